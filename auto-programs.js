@@ -0,0 +1,271 @@
+/**
+ * Auto Programs
+ * What the Auto button runs: a circadian program that follows a configurable
+ * daily brightness / color temperature curve, plus breathing, candle flicker
+ * and a strobe-safe pulse. Every program is a function of the clock, so a
+ * resumed or reloaded program picks up wherever the time of day says it should be
+ */
+
+const AUTO_PROGRAM_DEFAULT = 'circadian';
+
+// Photosensitivity guidance (WCAG 2.3.1) allows at most three flashes a second;
+// the pulse stays at one cycle a second and ramps smoothly instead of flashing
+const STROBE_SAFE_HZ = 1;
+const STROBE_SAFE_DEPTH = 0.4; // share of the level the pulse dips by
+
+// Warm and dim in the evening and overnight, cool and bright around midday
+const DEFAULT_CIRCADIAN_CURVE = [
+    { time: '06:00', brightness: 20, colorTemperature: 2200 },
+    { time: '08:00', brightness: 70, colorTemperature: 4000 },
+    { time: '12:00', brightness: 100, colorTemperature: 6000 },
+    { time: '17:00', brightness: 80, colorTemperature: 4500 },
+    { time: '20:00', brightness: 45, colorTemperature: 2700 },
+    { time: '22:30', brightness: 15, colorTemperature: 2200 }
+];
+
+// sample(now, { base, floor, curve }) returns the output for that moment;
+// base is the level the bulb had when the program started
+const AUTO_PROGRAMS = {
+    circadian: {
+        id: 'circadian',
+        name: 'Circadian',
+        icon: 'fa-sun',
+        tickMs: 60000,
+        runsWhileOff: true, // keeps the level current for when the bulb is switched on
+        restoreOnStop: false,
+        sample(now, { curve }) {
+            return AutoPrograms.sampleCurve(curve, AutoPrograms.minuteOfDay(now));
+        }
+    },
+    breathing: {
+        id: 'breathing',
+        name: 'Breathing',
+        icon: 'fa-wind',
+        tickMs: 100,
+        periodMs: 6000,
+        runsWhileOff: false,
+        restoreOnStop: true,
+        sample(now, { base, floor }) {
+            const phase = (now % this.periodMs) / this.periodMs;
+            const depth = 0.5 - 0.5 * Math.cos(2 * Math.PI * phase); // 0 -> 1 -> 0
+            return { brightness: floor + (base.brightness - floor) * depth };
+        }
+    },
+    candle: {
+        id: 'candle',
+        name: 'Candle flicker',
+        icon: 'fa-fire',
+        tickMs: 120,
+        runsWhileOff: false,
+        restoreOnStop: true,
+        sample(now, { base }) {
+            // Incommensurate waves never line up into a visible rhythm
+            const t = now / 1000;
+            const flicker = (Math.sin(t * 7.1) + Math.sin(t * 13.7 + 1.3) + Math.sin(t * 23.3 + 2.1)) / 3;
+            return {
+                brightness: base.brightness * (0.8 + 0.15 * flicker),
+                colorTemperature: COLOR_TEMP_MIN
+            };
+        }
+    },
+    pulse: {
+        id: 'pulse',
+        name: 'Strobe-safe pulse',
+        icon: 'fa-heartbeat',
+        tickMs: 50,
+        periodMs: 1000 / STROBE_SAFE_HZ,
+        runsWhileOff: false,
+        restoreOnStop: true,
+        sample(now, { base }) {
+            const phase = (now % this.periodMs) / this.periodMs;
+            const dip = 0.5 - 0.5 * Math.cos(2 * Math.PI * phase);
+            return { brightness: base.brightness * (1 - STROBE_SAFE_DEPTH * dip) };
+        }
+    }
+};
+
+const AutoPrograms = {
+    get(id) {
+        return AUTO_PROGRAMS[id] || AUTO_PROGRAMS[AUTO_PROGRAM_DEFAULT];
+    },
+
+    list() {
+        return Object.values(AUTO_PROGRAMS);
+    },
+
+    minuteOfDay(now) {
+        const date = new Date(now);
+        return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+    },
+
+    // 'HH:MM' -> minutes after midnight, or null
+    parseTime(time) {
+        const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    },
+
+    // Drop invalid points, clamp levels and sort by time; null if nothing usable is left.
+    // Brightness is only kept to 0-100: the bulb's floor is applied when the curve is played
+    normalizeCurve(points) {
+        if (!Array.isArray(points)) return null;
+
+        const byTime = new Map();
+        points.forEach(point => {
+            if (!point || AutoPrograms.parseTime(point.time) === null ||
+                !Number.isFinite(point.brightness) || !Number.isFinite(point.colorTemperature)) {
+                return;
+            }
+
+            byTime.set(point.time, {
+                time: point.time,
+                brightness: Math.round(Math.max(0, Math.min(100, point.brightness))),
+                colorTemperature: Math.round(Math.max(COLOR_TEMP_MIN, Math.min(COLOR_TEMP_MAX, point.colorTemperature)))
+            });
+        });
+
+        const curve = Array.from(byTime.values())
+            .sort((a, b) => AutoPrograms.parseTime(a.time) - AutoPrograms.parseTime(b.time));
+        return curve.length > 0 ? curve : null;
+    },
+
+    // Linear between neighbouring points, wrapping from the last point of the day to the first
+    sampleCurve(curve, minute) {
+        const points = AutoPrograms.normalizeCurve(curve) || DEFAULT_CIRCADIAN_CURVE;
+        if (points.length === 1) {
+            return { brightness: points[0].brightness, colorTemperature: points[0].colorTemperature };
+        }
+
+        const times = points.map(point => AutoPrograms.parseTime(point.time));
+        let index = times.findIndex(time => time > minute);
+        if (index === -1) index = 0;
+
+        const next = points[index];
+        const prevIndex = (index - 1 + points.length) % points.length;
+        const prev = points[prevIndex];
+
+        const span = (times[index] - times[prevIndex] + 1440) % 1440 || 1440;
+        const progress = ((minute - times[prevIndex] + 1440) % 1440) / span;
+
+        return {
+            brightness: prev.brightness + (next.brightness - prev.brightness) * progress,
+            colorTemperature: prev.colorTemperature + (next.colorTemperature - prev.colorTemperature) * progress
+        };
+    }
+};
+
+class AutoProgramPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.unsubscribe = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+
+        // Program, pause and level changes from any source
+        this.unsubscribe = this.bulb.on('change', () => this.renderSummary());
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            summary: find('auto-summary'),
+            curveList: find('circadian-list'),
+            timeInput: find('circadian-time'),
+            brightnessInput: find('circadian-brightness'),
+            kelvinInput: find('circadian-kelvin'),
+            addBtn: find('add-circadian-btn'),
+            resetBtn: find('reset-circadian-btn')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.addBtn.addEventListener('click', () => {
+            const time = this.elements.timeInput.value;
+            if (AutoPrograms.parseTime(time) === null) {
+                this.bulb.announceAutoChange('Enter a time for the curve point');
+                return;
+            }
+
+            this.bulb.setCircadianCurve(this.bulb.state.circadianCurve.concat({
+                time,
+                brightness: parseInt(this.elements.brightnessInput.value, 10),
+                colorTemperature: parseInt(this.elements.kelvinInput.value, 10)
+            }));
+            this.render();
+        });
+
+        this.elements.resetBtn.addEventListener('click', () => {
+            this.bulb.setCircadianCurve(DEFAULT_CIRCADIAN_CURVE);
+            this.render();
+        });
+
+        this.elements.curveList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (!button) return;
+
+            const time = button.closest('[data-time]').dataset.time;
+            this.bulb.setCircadianCurve(this.bulb.state.circadianCurve.filter(point => point.time !== time));
+            this.render();
+        });
+    }
+
+    render() {
+        const curve = this.bulb.state.circadianCurve;
+        this.elements.curveList.innerHTML = '';
+
+        curve.forEach(point => {
+            const item = document.createElement('li');
+            item.className = 'curve-item';
+            item.dataset.time = point.time;
+
+            const label = document.createElement('span');
+            label.className = 'curve-point';
+            label.textContent = `${point.time} • ${point.brightness}% • ${point.colorTemperature}K`;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'curve-swatch';
+            const { r, g, b } = ColorUtils.kelvinToRgb(point.colorTemperature);
+            swatch.style.background = `rgba(${r}, ${g}, ${b}, ${0.25 + 0.75 * point.brightness / 100})`;
+
+            const remove = document.createElement('button');
+            remove.className = 'icon-btn danger';
+            remove.dataset.action = 'remove';
+            remove.setAttribute('aria-label', `Remove curve point at ${point.time}`);
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            // The curve needs at least one point
+            remove.disabled = curve.length === 1;
+
+            item.append(swatch, label, remove);
+            this.elements.curveList.appendChild(item);
+        });
+
+        this.renderSummary();
+    }
+
+    renderSummary() {
+        const { autoMode, autoPaused, autoProgram, circadianCurve } = this.bulb.state;
+        const program = AutoPrograms.get(autoProgram);
+
+        let summary = `${program.name} - off`;
+        if (autoMode && autoPaused) {
+            summary = `${program.name} - paused`;
+        } else if (autoMode && program.id === 'circadian') {
+            const now = AutoPrograms.sampleCurve(circadianCurve, AutoPrograms.minuteOfDay(Date.now()));
+            const brightness = this.bulb.model.clampBrightness(now.brightness);
+            summary = `Circadian - now ${Math.round(brightness)}% at ${Math.round(now.colorTemperature)}K`;
+        } else if (autoMode) {
+            summary = `${program.name} - running`;
+        }
+
+        this.elements.summary.textContent = summary;
+    }
+}
+
+window.AutoPrograms = AutoPrograms;
+window.AutoProgramPanel = AutoProgramPanel;
@@ -0,0 +1,78 @@
+/**
+ * Bulb Change Events
+ * Typed subscriptions for external code that needs to react to a bulb:
+ * 'power', 'brightness', 'reset' and the catch-all 'change', each with
+ * the previous / next state and the source of the change
+ */
+
+const BULB_EVENT_TYPES = ['change', 'power', 'brightness', 'reset'];
+
+// What triggered a change: a control on the page, an automation, or code
+const BULB_CHANGE_SOURCES = [
+    'switch', 'button', 'slider', 'control', 'keyboard',
+    'voice', 'auto', 'scene', 'schedule', 'sensor', 'thermal', 'room', 'sync', 'bridge', 'launch', 'link', 'navigation', 'api'
+];
+
+// State fields included in event payloads
+const BULB_EVENT_FIELDS = [
+    'isOn', 'brightness', 'profile', 'colorMode', 'colorTemperature', 'color',
+    'autoMode', 'autoProgram', 'autoPaused', 'powerDraw', 'lumens', 'temperature'
+];
+
+class BulbEmitter {
+    constructor() {
+        this.handlers = {};
+        BULB_EVENT_TYPES.forEach(type => {
+            this.handlers[type] = [];
+        });
+    }
+
+    static snapshot(state) {
+        const snapshot = {};
+        BULB_EVENT_FIELDS.forEach(field => {
+            snapshot[field] = state[field];
+        });
+        return snapshot;
+    }
+
+    assertType(type) {
+        if (!BULB_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown bulb event "${type}" - expected one of ${BULB_EVENT_TYPES.join(', ')}`);
+        }
+    }
+
+    // Returns an unsubscribe function
+    on(type, handler) {
+        this.assertType(type);
+        if (typeof handler !== 'function') {
+            throw new Error('Bulb event handler must be a function');
+        }
+
+        this.handlers[type].push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.assertType(type);
+        this.handlers[type] = this.handlers[type].filter(fn => fn !== handler);
+    }
+
+    emit(type, payload) {
+        // Copy so handlers can unsubscribe while being called
+        this.handlers[type].slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Bulb "${type}" handler failed:`, error);
+            }
+        });
+    }
+
+    clear() {
+        BULB_EVENT_TYPES.forEach(type => {
+            this.handlers[type] = [];
+        });
+    }
+}
+
+window.BulbEmitter = BulbEmitter;
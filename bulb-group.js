@@ -0,0 +1,261 @@
+/**
+ * Room / Bulb Group Manager
+ * Creates, names, removes and renders several LEDLightBulb instances,
+ * each with its own DOM subtree and localStorage key, plus room-wide actions
+ */
+
+class BulbGroup {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.storageKey = options.storageKey || 'ledBulbRoom';
+        // Told about every bulb added or removed (TabSync, DeviceBridge)
+        this.observers = options.observers || [];
+        this.bulbs = new Map();
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.loadRoom();
+        this.updateRoomDisplay();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            bulbList: find('bulb-list'),
+            template: document.getElementById('bulb-card-template'),
+            nameInput: find('new-bulb-name'),
+            addBtn: find('add-bulb-btn'),
+            allOnBtn: find('all-on-btn'),
+            allOffBtn: find('all-off-btn'),
+            roomSlider: find('room-brightness-slider'),
+            roomValue: find('room-brightness-value'),
+            bulbCount: find('bulb-count'),
+            ariaAnnouncement: document.getElementById('aria-announcement')
+        };
+
+        Object.entries(this.elements).forEach(([key, element]) => {
+            if (!element) {
+                console.warn(`Room element not found: ${key}`);
+            }
+        });
+    }
+
+    setupEventListeners() {
+        this.elements.addBtn.addEventListener('click', () => {
+            const name = this.elements.nameInput.value.trim();
+            this.createBulb(name || `Light ${this.bulbs.size + 1}`);
+            this.elements.nameInput.value = '';
+        });
+
+        this.elements.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.elements.addBtn.click();
+            }
+        });
+
+        this.elements.allOnBtn.addEventListener('click', () => this.allOn());
+        this.elements.allOffBtn.addEventListener('click', () => this.allOff());
+
+        this.elements.roomSlider.addEventListener('input', (e) => {
+            this.elements.roomValue.textContent = `${e.target.value}%`;
+        });
+
+        // Apply once the user lets go, not on every intermediate value
+        this.elements.roomSlider.addEventListener('change', (e) => {
+            this.setAllBrightness(parseInt(e.target.value, 10));
+        });
+
+        // Bulbs added, renamed or removed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) this.reloadRoom();
+        });
+    }
+
+    loadRoom() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                (parsed.bulbs || []).forEach(({ id, name }) => {
+                    this.createBulb(name, id, { persist: false });
+                });
+            }
+        } catch (error) {
+            console.warn('Could not load saved room:', error);
+        }
+    }
+
+    reloadRoom() {
+        let listed = [];
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.storageKey));
+            listed = (parsed && parsed.bulbs) || [];
+        } catch (error) {
+            console.warn('Could not reload room:', error);
+            return;
+        }
+
+        const names = new Map(listed.map(({ id, name }) => [id, name]));
+
+        // The other tab already cleared storage for bulbs it removed
+        this.getBulbs()
+            .filter(bulb => bulb.id !== 'main' && !names.has(bulb.id))
+            .forEach(bulb => this.detachBulb(bulb));
+
+        names.forEach((name, id) => {
+            const bulb = this.bulbs.get(id);
+            if (!bulb) {
+                this.createBulb(name, id, { persist: false });
+            } else if (bulb.name !== name) {
+                bulb.setName(name);
+                bulb.root.querySelector('[data-role="bulb-name"]').value = name;
+            }
+        });
+
+        this.updateRoomDisplay();
+    }
+
+    saveRoom() {
+        try {
+            // The main bulb lives in the page layout, so only added bulbs are listed
+            const bulbs = this.getBulbs()
+                .filter(bulb => bulb.id !== 'main')
+                .map(({ id, name }) => ({ id, name }));
+
+            localStorage.setItem(this.storageKey, JSON.stringify({ bulbs }));
+        } catch (error) {
+            console.warn('Could not save room:', error);
+        }
+    }
+
+    // Register a bulb whose markup already exists on the page
+    addBulb(bulb) {
+        this.bulbs.set(bulb.id, bulb);
+        this.observers.forEach(observer => observer.addBulb(bulb));
+        return bulb;
+    }
+
+    createBulb(name, id = null, { persist = true } = {}) {
+        const bulbId = id || `bulb-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const card = this.renderCard(bulbId, name);
+        this.elements.bulbList.appendChild(card);
+
+        const bulb = new LEDLightBulb({
+            id: bulbId,
+            name,
+            root: card
+        });
+        bulb.setName(name);
+        this.addBulb(bulb);
+
+        if (persist) {
+            this.saveRoom();
+            this.announce(`${name} added to the room`);
+        }
+
+        this.updateRoomDisplay();
+        return bulb;
+    }
+
+    renderCard(id, name) {
+        const fragment = this.elements.template.content.cloneNode(true);
+        const card = fragment.querySelector('[data-role="bulb-card"]');
+        card.dataset.bulb = id;
+
+        const nameInput = card.querySelector('[data-role="bulb-name"]');
+        nameInput.value = name;
+        nameInput.addEventListener('change', () => {
+            this.renameBulb(id, nameInput.value.trim() || name);
+        });
+
+        card.querySelector('[data-role="remove-btn"]').addEventListener('click', () => {
+            this.removeBulb(id);
+        });
+
+        return card;
+    }
+
+    renameBulb(id, name) {
+        const bulb = this.bulbs.get(id);
+        if (!bulb) return;
+
+        bulb.setName(name);
+        this.saveRoom();
+        this.announce(`Renamed to ${name}`);
+    }
+
+    removeBulb(id) {
+        const bulb = this.bulbs.get(id);
+        if (!bulb || id === 'main') return;
+
+        this.detachBulb(bulb);
+
+        try {
+            localStorage.removeItem(bulb.storageKey);
+        } catch (error) {
+            console.warn('Could not clear bulb state:', error);
+        }
+        bulb.meter.clear();
+        bulb.history.clear();
+        bulb.events.clear();
+
+        this.saveRoom();
+        this.updateRoomDisplay();
+        this.announce(`${bulb.name} removed from the room`);
+    }
+
+    // Tear down a bulb's timers and markup without touching its storage
+    detachBulb(bulb) {
+        this.observers.forEach(observer => observer.removeBulb(bulb.id));
+        bulb.destroy();
+        bulb.root.remove();
+        this.bulbs.delete(bulb.id);
+    }
+
+    getBulb(id) {
+        return this.bulbs.get(id) || null;
+    }
+
+    getBulbs() {
+        return Array.from(this.bulbs.values());
+    }
+
+    // Group-wide actions
+    allOn() {
+        this.getBulbs().forEach(bulb => bulb.withSource('room', () => bulb.turnOn()));
+        this.announce('All lights turned ON');
+    }
+
+    allOff() {
+        this.getBulbs().forEach(bulb => bulb.withSource('room', () => bulb.turnOff()));
+        this.announce('All lights turned OFF');
+    }
+
+    setAllBrightness(level) {
+        this.getBulbs().forEach(bulb => {
+            bulb.withSource('room', () => bulb.setBrightnessLevel(level));
+        });
+        this.elements.roomSlider.value = level;
+        this.elements.roomValue.textContent = `${level}%`;
+        this.announce(`Room brightness set to ${level}%`);
+    }
+
+    updateRoomDisplay() {
+        const count = this.bulbs.size;
+        this.elements.bulbCount.textContent = `${count} ${count === 1 ? 'bulb' : 'bulbs'}`;
+    }
+
+    announce(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+}
+
+window.BulbGroup = BulbGroup;
@@ -0,0 +1,384 @@
+/**
+ * Bulb Model
+ * One bulb without a page: its lighting state, the rules that govern it
+ * (clamping, the switch-on minimum, auto-on when brightened) and the
+ * simulation of power draw, heat, wear and energy over time. Time comes from
+ * an injectable clock and nothing here touches the DOM, so the same code runs
+ * in the browser and under `node --test`. LEDLightBulb drives it and
+ * BulbView renders it
+ */
+
+// Switching on never lands below this level
+const POWER_ON_MIN_BRIGHTNESS = 30;
+
+// Raising an off bulb to this level or above switches it on
+const AUTO_ON_BRIGHTNESS = 30;
+
+class BulbModel {
+    constructor(options = {}) {
+        this.clock = options.clock || { now: () => Date.now() };
+
+        this.state = {
+            isOn: false,
+            brightness: 50, // profile minimum-100%
+            profile: DEFAULT_PROFILE_ID, // key into the bulb profile registry
+            colorMode: 'white', // 'white' (tunable CCT) or 'rgb'
+            colorTemperature: 2700, // kelvin, 2200-6500
+            color: '#FFB74D', // used in rgb mode
+            voltage: 0, // RMS volts reaching the lamp, from the dimmer model
+            temperature: DEFAULT_AMBIENT_F, // °F, advanced by the thermal model
+            tempUnit: 'F', // display unit, 'F' or 'C'
+            deratedMax: null, // brightness cap while overheat protection is active
+            runtime: 0, // seconds
+            powerDraw: 0, // watts
+            lumens: 0, // light output
+            totalEnergy: 0, // watt-hours
+            lastUpdate: this.clock.now(),
+            onSince: null, // when the light was last switched on
+            leftOnNotified: false, // the left-on reminder went out for this time on
+            autoMode: false,
+            autoProgram: AUTO_PROGRAM_DEFAULT, // key into the auto program registry
+            autoPaused: false,
+            autoBase: null, // { brightness, colorTemperature, colorMode } restored when an effect stops
+            circadianCurve: DEFAULT_CIRCADIAN_CURVE.map(point => ({ ...point })),
+            autoInterval: null,
+            scenes: null, // saved lighting presets, seeded by SceneManager
+            sceneFadeMs: 2000 // crossfade duration when recalling a scene
+        };
+
+        // Heats and cools over time
+        this.thermal = new ThermalModel();
+        this.lastDerate = 0;
+
+        // Wall dimmer and supply in front of the lamp
+        this.dimmer = new DimmerModel();
+
+        // Wear from hours lit and power cycles
+        this.life = new LifespanModel();
+
+        // Hourly energy history, persisted separately from the state blob
+        this.meter = new EnergyMeter({ storageKey: options.energyKey });
+    }
+
+    // Accepts '#RRGGBB', { r, g, b } or { h, s, v }; returns { r, g, b } or null
+    static parseColor(color) {
+        if (typeof color === 'string') return ColorUtils.hexToRgb(color);
+        if (color && 'h' in color) return ColorUtils.hsvToRgb(color);
+        if (color && 'r' in color) return color;
+        return null;
+    }
+
+    getProfile() {
+        return BulbProfiles.get(this.state.profile);
+    }
+
+    // The profile's own minimum, raised by a dimmer that can't hold lower levels
+    getMinBrightness() {
+        return this.dimmer.getFloor(this.getProfile());
+    }
+
+    // Overheat protection caps brightness until the bulb cools down
+    getMaxBrightness() {
+        return this.state.deratedMax || 100;
+    }
+
+    clampBrightness(value) {
+        return Math.max(this.getMinBrightness(), Math.min(this.getMaxBrightness(), value));
+    }
+
+    // A level kept for later, such as a rule's: the floor applies, but not the
+    // overheat cap, which lifts once the bulb cools
+    clampTarget(value) {
+        return Math.max(this.getMinBrightness(), Math.min(100, value));
+    }
+
+    // The setters below return whether anything changed
+
+    setPower(isOn) {
+        if (isOn === this.state.isOn) return false;
+
+        this.state.isOn = isOn;
+        this.state.onSince = isOn ? this.clock.now() : null;
+        this.state.leftOnNotified = false;
+        if (isOn && this.state.brightness < POWER_ON_MIN_BRIGHTNESS) {
+            this.state.brightness = POWER_ON_MIN_BRIGHTNESS;
+        }
+        return true;
+    }
+
+    setBrightness(value) {
+        const level = this.clampBrightness(value);
+        if (level === this.state.brightness) return false;
+
+        this.state.brightness = level;
+        if (!this.state.isOn && level >= AUTO_ON_BRIGHTNESS) {
+            this.state.isOn = true;
+            this.state.onSince = this.clock.now();
+            this.state.leftOnNotified = false;
+        }
+        return true;
+    }
+
+    setColorTemperature(kelvin) {
+        const level = Math.round(Math.max(COLOR_TEMP_MIN, Math.min(COLOR_TEMP_MAX, kelvin)));
+        if (level === this.state.colorTemperature && this.state.colorMode === 'white') return false;
+
+        this.state.colorTemperature = level;
+        this.state.colorMode = 'white';
+        return true;
+    }
+
+    setColor(rgb) {
+        const hex = ColorUtils.rgbToHex(rgb);
+        if (hex === this.state.color && this.state.colorMode === 'rgb') return false;
+
+        this.state.color = hex;
+        this.state.colorMode = 'rgb';
+        return true;
+    }
+
+    setColorMode(mode) {
+        const nextMode = mode === 'rgb' ? 'rgb' : 'white';
+        if (nextMode === this.state.colorMode) return false;
+
+        this.state.colorMode = nextMode;
+        return true;
+    }
+
+    setProfile(id) {
+        const profile = BulbProfiles.get(id);
+        if (profile.id === this.state.profile) return false;
+
+        this.state.profile = profile.id;
+        this.state.brightness = Math.max(this.getMinBrightness(), this.state.brightness);
+
+        // Start from the lamp's nominal white point
+        this.state.colorMode = 'white';
+        this.state.colorTemperature = Math.max(COLOR_TEMP_MIN,
+            Math.min(COLOR_TEMP_MAX, profile.colorTemperature));
+        return true;
+    }
+
+    setDimmerType(type) {
+        if (!DIMMER_TYPES[type] || type === this.dimmer.type) return false;
+
+        this.dimmer.type = type;
+
+        // The new dimmer may not reach the current level
+        this.state.brightness = Math.max(this.getMinBrightness(), this.state.brightness);
+        return true;
+    }
+
+    // Undo / redo - power goes through setPower so onSince and the left-on
+    // reminder follow it; the rest of the snapshot is written as saved
+    applySnapshot(snapshot) {
+        const { isOn, ...fields } = snapshot;
+        this.setPower(isOn);
+        Object.assign(this.state, fields);
+        this.state.profile = this.getProfile().id;
+        this.state.brightness = this.clampBrightness(this.state.brightness);
+    }
+
+    reset() {
+        this.state.isOn = false;
+        this.state.onSince = null;
+        this.state.leftOnNotified = false;
+        this.state.deratedMax = null;
+        this.state.brightness = 50;
+        this.state.colorTemperature = 2700;
+        this.state.colorMode = 'white';
+        this.state.autoMode = false;
+        this.state.autoPaused = false;
+    }
+
+    getElectrical() {
+        return this.dimmer.evaluate(this.getProfile(), this.state.brightness, this.state.isOn, this.clock.now());
+    }
+
+    getLEDRgb() {
+        // Tunable white follows the blackbody curve: ~2200K amber up to ~6500K daylight
+        if (this.state.colorMode === 'rgb') {
+            return ColorUtils.hexToRgb(this.state.color);
+        }
+        return ColorUtils.kelvinToRgb(this.state.colorTemperature + this.life.getColorShift(this.getProfile()));
+    }
+
+    getLEDColor() {
+        return ColorUtils.rgbToHex(this.getLEDRgb());
+    }
+
+    // Power draw and light output from the profile's dimming curve, the dimmer
+    // and lamp wear; returns the electrical reading they came from
+    updateOutput() {
+        const profile = this.getProfile();
+        const output = BulbProfiles.getOutput(profile, this.state.brightness);
+        const electrical = this.getElectrical();
+        const lit = this.state.isOn && !this.life.failed;
+
+        this.state.powerDraw = lit ? Math.round(output.watts * electrical.powerFactor * 10) / 10 : 0;
+        this.state.lumens = lit ?
+            Math.round(output.lumens * electrical.lightFactor * this.life.getLumenFactor(profile)) : 0;
+        this.state.voltage = Math.round(electrical.voltage);
+
+        return electrical;
+    }
+
+    // Advance the simulation to `now`: heat always, then runtime, wear and energy
+    // while the bulb is on. Returns what happened for the controller to report:
+    // { elapsedMs, change, derateTo, failed }, with change and derateTo as in stepThermal()
+    tick(now = this.clock.now()) {
+        const elapsedMs = Math.max(0, now - this.state.lastUpdate);
+        this.state.lastUpdate = now;
+
+        const { change, derateTo } = this.stepThermal(elapsedMs, now);
+        let failed = false;
+
+        if (this.state.isOn) {
+            this.state.runtime += elapsedMs / 1000;
+
+            // Only a working bulb wears; current stops flowing once it has failed
+            if (!this.life.failed) {
+                this.life.addOnTime(elapsedMs / 1000);
+                failed = this.checkFailure();
+            }
+
+            // Integrate energy at the draw for this tick (watt-hours),
+            // so brightness changes mid-session are metered correctly
+            const wattHours = this.state.powerDraw * elapsedMs / HOUR_MS;
+            this.state.totalEnergy += wattHours;
+            this.meter.record(wattHours, now);
+        }
+
+        return { elapsedMs, change, derateTo, failed };
+    }
+
+    // Let time pass without simulating it - another tab is running the bulb
+    skip(now = this.clock.now()) {
+        this.state.lastUpdate = now;
+    }
+
+    // Returns { change, derateTo }: the protection change ('tripped', 'cleared'
+    // or null) and, every DERATE_INTERVAL_MS while still too hot, the lower
+    // level the bulb should be dimmed to
+    stepThermal(elapsedMs, now = this.clock.now()) {
+        const profile = this.getProfile();
+        const heatFraction = this.state.isOn ? this.state.powerDraw / profile.watts : 0;
+        const change = this.thermal.step(elapsedMs / 1000, heatFraction, profile);
+
+        if (change === 'tripped') {
+            this.lastDerate = 0;
+        } else if (change === 'cleared') {
+            this.state.deratedMax = null;
+        }
+
+        // Shed brightness in steps while still above the threshold
+        let derateTo = null;
+        if (this.thermal.protecting && this.state.isOn && now - this.lastDerate >= DERATE_INTERVAL_MS) {
+            this.lastDerate = now;
+            derateTo = Math.max(this.getMinBrightness(), this.state.brightness - DERATE_STEP);
+            this.state.deratedMax = derateTo;
+        }
+
+        this.state.temperature = Math.round(this.thermal.temperatureF);
+        return { change, derateTo };
+    }
+
+    // True only on the check that breaks the bulb
+    checkFailure() {
+        return this.life.checkFailure(this.getProfile());
+    }
+
+    // Persistence - the saved blob read back by BulbStateSchema
+    serialize() {
+        return {
+            version: BULB_STATE_VERSION,
+            isOn: this.state.isOn,
+            brightness: this.state.brightness,
+            totalEnergy: this.state.totalEnergy,
+            runtime: this.state.runtime,
+            onSince: this.state.onSince,
+            leftOnNotified: this.state.leftOnNotified,
+            profile: this.state.profile,
+            colorMode: this.state.colorMode,
+            colorTemperature: this.state.colorTemperature,
+            color: this.state.color,
+            scenes: this.state.scenes,
+            sceneFadeMs: this.state.sceneFadeMs,
+            autoMode: this.state.autoMode,
+            autoProgram: this.state.autoProgram,
+            autoPaused: this.state.autoPaused,
+            autoBase: this.state.autoBase,
+            circadianCurve: this.state.circadianCurve,
+            tempUnit: this.state.tempUnit,
+            deratedMax: this.state.deratedMax,
+            dimmer: {
+                type: this.dimmer.type,
+                lineVoltage: this.dimmer.lineVoltage
+            },
+            life: this.life.toJSON(),
+            thermal: {
+                temperatureF: this.thermal.temperatureF,
+                ambientF: this.thermal.ambientF,
+                thresholdF: this.thermal.thresholdF
+            },
+            savedAt: this.clock.now()
+        };
+    }
+
+    // Text -> state; returns BulbStateSchema.read()'s { data, issues }, and
+    // leaves the model untouched when data is null
+    load(text) {
+        const result = BulbStateSchema.read(text);
+        if (result.data) this.restore(result.data);
+        return result;
+    }
+
+    // Takes a validated blob
+    restore(data) {
+        this.state.isOn = data.isOn;
+        this.state.profile = data.profile;
+        this.state.brightness = data.brightness;
+        this.state.totalEnergy = data.totalEnergy;
+        this.state.runtime = data.runtime;
+        // Saves from before onSince was kept count as switched on now
+        this.state.onSince = data.isOn ? (data.onSince === null ? this.clock.now() : data.onSince) : null;
+        this.state.leftOnNotified = data.isOn && data.leftOnNotified;
+        this.state.colorTemperature = data.colorTemperature;
+        this.state.colorMode = data.colorMode;
+        this.state.color = data.color;
+        this.state.scenes = data.scenes;
+        this.state.sceneFadeMs = data.sceneFadeMs;
+        this.state.autoMode = data.autoMode;
+        this.state.autoProgram = data.autoProgram;
+        this.state.autoPaused = data.autoPaused;
+        this.state.autoBase = data.autoBase;
+        this.state.circadianCurve = data.circadianCurve;
+        this.restoreThermal(data);
+
+        // A restrictive dimmer can raise the floor above the profile's own minimum
+        this.dimmer = new DimmerModel(data.dimmer);
+        this.state.brightness = Math.max(this.getMinBrightness(), this.state.brightness);
+
+        this.life = new LifespanModel(data.life);
+    }
+
+    restoreThermal(saved) {
+        this.state.tempUnit = saved.tempUnit;
+        this.thermal = new ThermalModel(saved.thermal);
+        // A derated save was under protection; the catch-up clears it once cool
+        this.thermal.protecting = saved.deratedMax !== null;
+
+        // Catch up on heating or cooling while the page was closed
+        if (Number.isFinite(saved.savedAt)) {
+            const profile = this.getProfile();
+            const output = BulbProfiles.getOutput(profile, this.state.brightness);
+            const heatFraction = this.state.isOn ? output.watts / profile.watts : 0;
+            const elapsedSec = Math.max(0, (this.clock.now() - saved.savedAt) / 1000);
+            this.thermal.step(elapsedSec, heatFraction, profile);
+        }
+        this.state.deratedMax = this.thermal.protecting ? saved.deratedMax : null;
+        this.state.temperature = Math.round(this.thermal.temperatureF);
+    }
+}
+
+window.BulbModel = BulbModel;
@@ -0,0 +1,142 @@
+/**
+ * Bulb Profiles
+ * Registry of lamp types describing wattage, lumen output, dimming range and
+ * curve, load type (LED driver or resistive filament), rated life and switch
+ * cycles, beam spread, warm-up / cool-down timing and thermal behavior; every
+ * power, light, temperature and wear calculation reads from the selected profile
+ */
+
+const DEFAULT_AMBIENT_F = 72;
+
+// Map a dim level (0-1) to fractions of full power and full light output
+const DIMMING_CURVES = {
+    // Constant-current LED driver: light and power track the level
+    linear: (level) => ({ power: level, light: level }),
+
+    // Perceptual (square-law) LED driver: gentler low end
+    'square-law': (level) => ({ power: level * level, light: level * level }),
+
+    // Phase-cut filament: power ~ V^1.55 and light ~ V^3.4, so light falls away much faster
+    incandescent: (level) => ({ power: Math.pow(level, 1.55), light: Math.pow(level, 3.4) })
+};
+
+const BULB_PROFILES = {
+    a19: {
+        id: 'a19',
+        name: 'A19 LED',
+        description: '9W LED • Soft White • Medium Base',
+        watts: 9,
+        lumens: 800,
+        colorTemperature: 2700,
+        base: 'E26',
+        ratedHours: 25000,
+        ratedCycles: 12500,
+        minBrightness: 10,
+        dimmingCurve: 'linear',
+        load: 'led',
+        warmUpMs: 400,
+        coolDownMs: 300,
+        thermal: { riseF: 12, timeConstantSec: 120 }
+    },
+    a21: {
+        id: 'a21',
+        name: 'A21 LED',
+        description: '14W LED • Soft White • Medium Base',
+        watts: 14,
+        lumens: 1600,
+        colorTemperature: 2700,
+        base: 'E26',
+        ratedHours: 25000,
+        ratedCycles: 12500,
+        minBrightness: 10,
+        dimmingCurve: 'linear',
+        load: 'led',
+        warmUpMs: 600,
+        coolDownMs: 300,
+        thermal: { riseF: 15, timeConstantSec: 150 }
+    },
+    br30: {
+        id: 'br30',
+        name: 'BR30 LED Flood',
+        description: '11W LED Flood • Soft White • Medium Base',
+        watts: 11,
+        lumens: 850,
+        colorTemperature: 2700,
+        base: 'E26',
+        ratedHours: 25000,
+        ratedCycles: 12500,
+        minBrightness: 15,
+        beamAngle: 110, // degrees; lamps without one shine in every direction
+        dimmingCurve: 'square-law',
+        load: 'led',
+        warmUpMs: 500,
+        coolDownMs: 300,
+        thermal: { riseF: 20, timeConstantSec: 180 }
+    },
+    filament: {
+        id: 'filament',
+        name: 'ST19 LED Filament',
+        description: '7W LED Filament • Amber • Medium Base',
+        watts: 7,
+        lumens: 800,
+        colorTemperature: 2200,
+        base: 'E26',
+        ratedHours: 15000,
+        ratedCycles: 7500,
+        minBrightness: 20,
+        dimmingCurve: 'square-law',
+        load: 'led',
+        warmUpMs: 800,
+        coolDownMs: 600,
+        thermal: { riseF: 18, timeConstantSec: 120 }
+    },
+    incandescent60: {
+        id: 'incandescent60',
+        name: 'Incandescent 60W',
+        description: '60W Incandescent • Soft White • Medium Base (for comparison)',
+        watts: 60,
+        lumens: 800,
+        colorTemperature: 2700,
+        base: 'E26',
+        ratedHours: 1000,
+        ratedCycles: 2000,
+        minBrightness: 5,
+        dimmingCurve: 'incandescent',
+        load: 'resistive',
+        warmUpMs: 150,
+        coolDownMs: 900,
+        thermal: { riseF: 150, timeConstantSec: 90 }
+    }
+};
+
+const DEFAULT_PROFILE_ID = 'a21';
+
+const BulbProfiles = {
+    get(id) {
+        return BULB_PROFILES[id] || BULB_PROFILES[DEFAULT_PROFILE_ID];
+    },
+
+    list() {
+        return Object.values(BULB_PROFILES);
+    },
+
+    register(profile) {
+        if (!profile || !profile.id || !DIMMING_CURVES[profile.dimmingCurve]) {
+            throw new Error('Bulb profile needs an id and a known dimming curve');
+        }
+        BULB_PROFILES[profile.id] = profile;
+    },
+
+    // Power (W) and light (lm) for a brightness percentage on a given profile
+    getOutput(profile, brightness) {
+        const curve = DIMMING_CURVES[profile.dimmingCurve] || DIMMING_CURVES.linear;
+        const { power, light } = curve(brightness / 100);
+
+        return {
+            watts: Math.round(profile.watts * power * 10) / 10,
+            lumens: Math.round(profile.lumens * light)
+        };
+    }
+};
+
+window.BulbProfiles = BulbProfiles;
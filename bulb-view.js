@@ -0,0 +1,409 @@
+/**
+ * Bulb View
+ * Draws a BulbModel into one bulb's subtree - the glass and LEDs, switch,
+ * sliders, status readouts and spec chips. It only reads the model; input
+ * handling and every change go through LEDLightBulb
+ */
+
+class BulbView {
+    constructor(root, model, options = {}) {
+        this.root = root;
+        this.model = model;
+        this.history = options.history || null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.renderOptions();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        // Bulb elements
+        this.elements = {
+            bulbContainer: find('bulb-container'),
+            bulbGlass: find('bulb-glass'),
+            glowEffect: find('glow-effect'),
+            lightCast: find('light-cast'),
+            ledArray: find('led-array'),
+
+            // Switch elements
+            physicalSwitch: find('physical-switch'),
+            switchBase: find('switch-base'),
+            switchToggle: find('switch-toggle'),
+            onIndicator: find('on-indicator'),
+            offIndicator: find('off-indicator'),
+
+            // Brightness control
+            brightnessSlider: find('brightness-slider'),
+            brightnessValue: find('brightness-value'),
+
+            // Color control
+            colorModeSelect: find('color-mode'),
+            colorTempSlider: find('color-temp-slider'),
+            colorTempValue: find('color-temp-value'),
+            colorPicker: find('color-picker'),
+
+            // Status elements
+            statusValue: find('status-value'),
+            powerValue: find('power-value'),
+            runtimeValue: find('runtime-value'),
+            tempValue: find('temp-value'),
+            healthValue: find('health-value'),
+
+            // Buttons
+            toggleBtn: find('toggle-btn'),
+            autoBtn: find('auto-btn'),
+            autoPauseBtn: find('auto-pause-btn'),
+            autoProgramSelect: find('auto-program'),
+            resetBtn: find('reset-btn'),
+            undoBtn: find('undo-btn'),
+            redoBtn: find('redo-btn'),
+
+            // Bulb profile
+            profileSelect: find('profile-select'),
+
+            // Aria announcement - shared live region for every bulb on the page
+            ariaAnnouncement: find('aria-announcement') ||
+                document.getElementById('aria-announcement')
+        };
+
+        // Spec chips and title only exist in the main layout
+        this.specElements = {
+            title: find('bulb-title'),
+            subtitle: find('bulb-subtitle'),
+            watts: find('spec-watts'),
+            colorTemperature: find('spec-cct'),
+            base: find('spec-base'),
+            ratedHours: find('spec-life')
+        };
+
+        // So do the voltage and driver readouts
+        this.electricalElements = {
+            voltage: find('voltage-value'),
+            driver: find('driver-value')
+        };
+
+        // Verify all required elements exist
+        Object.entries(this.elements).forEach(([key, element]) => {
+            if (!element) {
+                console.warn(`Element not found: ${key}`);
+            }
+        });
+    }
+
+    // Profile and auto program pickers
+    renderOptions() {
+        BulbProfiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.elements.profileSelect.appendChild(option);
+        });
+
+        AutoPrograms.list().forEach(program => {
+            const option = document.createElement('option');
+            option.value = program.id;
+            option.textContent = program.name;
+            this.elements.autoProgramSelect.appendChild(option);
+        });
+    }
+
+    render() {
+        const { isOn, brightness } = this.model.state;
+
+        // Update bulb visual state
+        this.updateBulbVisual(isOn, brightness);
+
+        // Update switch state
+        this.updateSwitchVisual(isOn);
+
+        // Update brightness display
+        this.updateBrightnessDisplay(brightness);
+
+        // Update color controls
+        this.updateColorDisplay();
+
+        // Update profile selector and spec chips
+        this.updateProfileDisplay();
+
+        // Update status panel
+        this.updateStatusPanel();
+
+        // Update button states
+        this.updateButtonStates();
+    }
+
+    // Just what a supply change affects - the light and the readouts
+    renderOutput() {
+        const { isOn, brightness } = this.model.state;
+
+        this.updateBulbVisual(isOn, brightness);
+        this.updateStatusPanel();
+    }
+
+    updateBulbVisual(isOn, brightness) {
+        const { model } = this;
+        const profile = model.getProfile();
+        const electrical = model.getElectrical();
+        const brightnessFactor = brightness / 100 * electrical.lightFactor * model.life.getLumenFactor(profile);
+        const flicker = Math.max(electrical.flicker, model.life.getFlicker(profile));
+        const { r, g, b } = model.getLEDRgb();
+
+        // A failed bulb stays dark whatever the switch says
+        const failed = model.life.failed;
+        const lit = isOn && !failed;
+
+        // Container classes
+        this.elements.bulbContainer.classList.toggle('on', lit);
+        this.elements.bulbContainer.classList.toggle('failed', failed);
+
+        // Driver misbehavior - flicker depth drives the CSS animation
+        this.elements.bulbContainer.classList.toggle('flickering', flicker > 0);
+        this.elements.bulbContainer.classList.toggle('buzzing', electrical.buzz);
+        this.elements.bulbContainer.style.setProperty('--flicker-depth', flicker.toFixed(2));
+
+        // Light color feeds the LED, glow and light cast gradients in CSS
+        this.elements.bulbContainer.style.setProperty('--light-rgb', `${r}, ${g}, ${b}`);
+
+        // LED array
+        this.elements.ledArray.classList.toggle('on', lit);
+
+        // Glow effect
+        this.elements.glowEffect.classList.toggle('on', lit);
+        if (lit) {
+            this.elements.glowEffect.style.opacity = brightnessFactor.toString();
+        }
+
+        // Light cast
+        this.elements.lightCast.classList.toggle('on', lit);
+        if (lit) {
+            this.elements.lightCast.style.opacity = (brightnessFactor * 0.8).toString();
+        }
+
+        // Individual LEDs
+        const leds = this.root.querySelectorAll('.led');
+        leds.forEach(led => {
+            if (lit) {
+                const intensity = brightnessFactor * 0.8 + 0.2;
+                led.style.opacity = intensity.toString();
+                led.style.boxShadow = `0 0 ${12 * brightnessFactor}px ${model.getLEDColor()}`;
+            } else {
+                led.style.opacity = '0';
+                led.style.boxShadow = 'none';
+            }
+        });
+    }
+
+    updateSwitchVisual(isOn) {
+        // Toggle switch position
+        this.elements.switchToggle.classList.toggle('on', isOn);
+
+        // Update indicators
+        this.elements.onIndicator.classList.toggle('active', isOn);
+        this.elements.offIndicator.classList.toggle('active', !isOn);
+
+        // Base tint comes from the theme
+        this.elements.switchBase.classList.toggle('on', isOn);
+    }
+
+    updateBrightnessDisplay(brightness) {
+        const minBrightness = this.model.getMinBrightness();
+        this.elements.brightnessValue.textContent = `${brightness}%`;
+
+        // Update slider range and position
+        this.elements.brightnessSlider.min = minBrightness;
+        this.elements.brightnessSlider.value = brightness;
+
+        // The track gradient in style.css reads these stops; its colors come from the theme
+        const slider = this.elements.brightnessSlider;
+        slider.style.setProperty('--slider-min', `${minBrightness}%`);
+        slider.style.setProperty('--slider-value', `${brightness}%`);
+    }
+
+    updateSliderPosition() {
+        if (this.elements.brightnessSlider) {
+            this.elements.brightnessSlider.value = this.model.state.brightness;
+        }
+    }
+
+    updateColorDisplay() {
+        const { colorMode, colorTemperature, color } = this.model.state;
+        const isWhite = colorMode === 'white';
+
+        this.elements.colorModeSelect.value = colorMode;
+        this.elements.colorTempSlider.value = colorTemperature;
+        this.elements.colorTempSlider.disabled = !isWhite;
+        this.elements.colorTempValue.textContent = isWhite ? `${colorTemperature}K` : color;
+        this.elements.colorPicker.value = isWhite ? this.model.getLEDColor().toLowerCase() : color.toLowerCase();
+        this.elements.colorPicker.disabled = isWhite;
+    }
+
+    updateStatusPanel() {
+        const { state } = this.model;
+
+        // Power status
+        this.elements.statusValue.textContent = state.isOn ? 'ON' : 'OFF';
+        this.elements.statusValue.style.color = state.isOn ?
+            'var(--success-color)' : 'var(--danger-color)';
+
+        // Power draw and light output, worked out by the model
+        this.elements.powerValue.textContent = `${state.powerDraw}W • ${state.lumens} lm`;
+
+        this.updateElectricalDisplay(this.model.getElectrical());
+
+        // Temperature - advanced over time by the thermal model
+        this.updateTemperatureDisplay();
+
+        // Runtime - advanced by the runtime counter
+        this.updateRuntimeDisplay();
+
+        // Health - from wear tracked by the lifespan model
+        this.updateHealthDisplay();
+    }
+
+    updateElectricalDisplay(electrical) {
+        const { voltage: voltageValue, driver: driverValue } = this.electricalElements;
+        if (!voltageValue || !driverValue) return;
+
+        voltageValue.textContent = electrical.control === null ?
+            `${Math.round(electrical.voltage)}V` :
+            `${Math.round(electrical.voltage)}V • ${electrical.control.toFixed(1)}V ctrl`;
+        voltageValue.classList.toggle('warning', this.model.dimmer.isSagging());
+
+        const labels = { off: 'Off', stable: 'Stable', flicker: 'Flickering', dropout: 'Dropout' };
+        if (this.model.life.failed && this.model.state.isOn) {
+            driverValue.textContent = 'Failed';
+            driverValue.classList.add('warning');
+            return;
+        }
+        driverValue.textContent = labels[electrical.status] + (electrical.buzz ? ' • buzzing' : '');
+        driverValue.classList.toggle('warning', electrical.status === 'flicker' || electrical.status === 'dropout');
+    }
+
+    updateProfileDisplay() {
+        const profile = this.model.getProfile();
+        const specs = this.specElements;
+
+        this.elements.profileSelect.value = profile.id;
+
+        if (specs.title) specs.title.textContent = `SMART ${profile.name} Home Light Bulb`;
+        if (specs.subtitle) specs.subtitle.textContent = profile.description;
+        if (specs.watts) specs.watts.textContent = `${profile.watts}W • ${profile.lumens} lm`;
+        if (specs.colorTemperature) specs.colorTemperature.textContent = `${profile.colorTemperature}K`;
+        if (specs.base) specs.base.textContent = profile.base;
+        if (specs.ratedHours) specs.ratedHours.textContent = `${profile.ratedHours.toLocaleString('en-US')} hrs`;
+    }
+
+    updateButtonStates() {
+        const { isOn } = this.model.state;
+
+        // Undo / redo availability
+        if (this.history) {
+            this.elements.undoBtn.disabled = !this.history.canUndo();
+            this.elements.redoBtn.disabled = !this.history.canRedo();
+        }
+
+        // Toggle button
+        const toggleIcon = this.elements.toggleBtn.querySelector('i');
+        const toggleText = this.elements.toggleBtn.querySelector('span');
+
+        toggleIcon.className = 'fas fa-power-off';
+        toggleText.textContent = isOn ? 'Turn OFF' : 'Turn ON';
+        this.elements.toggleBtn.classList.toggle('is-on', isOn);
+    }
+
+    updateAutoControls(program) {
+        const { autoMode, autoPaused } = this.model.state;
+        const { autoBtn, autoPauseBtn, autoProgramSelect } = this.elements;
+
+        if (autoMode) {
+            autoBtn.innerHTML = '<i class="fas fa-stop"></i><span>Stop Auto</span>';
+            autoBtn.classList.add('active');
+        } else {
+            autoBtn.innerHTML = `<i class="fas ${program.icon}"></i><span>Auto Mode</span>`;
+            autoBtn.classList.remove('active');
+        }
+
+        autoPauseBtn.disabled = !autoMode;
+        autoPauseBtn.setAttribute('aria-pressed', String(autoPaused));
+        autoPauseBtn.innerHTML = autoPaused ?
+            '<i class="fas fa-play"></i><span>Resume</span>' :
+            '<i class="fas fa-pause"></i><span>Pause</span>';
+        autoProgramSelect.value = program.id;
+    }
+
+    updateTemperatureDisplay() {
+        const { thermal, state } = this.model;
+
+        this.elements.tempValue.textContent = ThermalModel.format(thermal.temperatureF, state.tempUnit);
+        this.elements.tempValue.style.color = thermal.protecting ? 'var(--danger-color)' : '';
+        this.elements.bulbContainer.classList.toggle('overheat', thermal.protecting);
+    }
+
+    updateHealthDisplay() {
+        const health = this.model.life.getHealth(this.model.getProfile());
+        const labels = { good: 'Good', worn: 'Past L70', failing: 'Failing', failed: 'Failed' };
+
+        this.elements.healthValue.textContent = health.status === 'failed' ?
+            labels.failed : `${labels[health.status]} • ${Math.round(health.lumenFactor * 100)}%`;
+        this.elements.healthValue.classList.toggle('warning', health.status !== 'good');
+    }
+
+    updateRuntimeDisplay() {
+        const totalSeconds = Math.floor(this.model.state.runtime);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        this.elements.runtimeValue.textContent = hours > 0 ?
+            `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}` :
+            `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    // Simulate LED warm-up, staggered across the profile's warm-up time
+    warmUpLEDs() {
+        if (this.model.life.failed) return;
+
+        const leds = this.root.querySelectorAll('.led');
+        const stagger = this.getLEDStagger(this.model.getProfile().warmUpMs, leds.length);
+        leds.forEach((led, index) => {
+            setTimeout(() => {
+                led.style.opacity = '0.8';
+                led.style.boxShadow = `0 0 12px ${this.model.getLEDColor()}`;
+            }, index * stagger);
+        });
+    }
+
+    // Gradual fade for realistic turn-off
+    coolDownLEDs() {
+        const leds = this.root.querySelectorAll('.led');
+        const stagger = this.getLEDStagger(this.model.getProfile().coolDownMs, leds.length);
+        leds.forEach((led, index) => {
+            setTimeout(() => {
+                led.style.opacity = '0';
+                led.style.boxShadow = 'none';
+            }, index * stagger);
+        });
+    }
+
+    // With reduced motion every LED switches at once
+    getLEDStagger(durationMs, count) {
+        return ThemeManager.reducedMotion(this.root) ? 0 : durationMs / count;
+    }
+
+    showKeyboardFeedback(brighter) {
+        const feedback = document.createElement('div');
+        feedback.className = 'keyboard-feedback';
+        feedback.textContent = brighter ? '▲ Brighter' : '▼ Dimmer';
+
+        document.body.appendChild(feedback);
+
+        setTimeout(() => {
+            feedback.remove();
+        }, 800);
+    }
+}
+
+window.BulbView = BulbView;
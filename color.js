@@ -0,0 +1,113 @@
+/**
+ * Color Utilities
+ * Correlated color temperature to RGB (Tanner Helland's blackbody fit)
+ * and hex / RGB / HSV conversions used by the tunable-white and RGB modes
+ */
+
+const COLOR_TEMP_MIN = 2200;
+const COLOR_TEMP_MAX = 6500;
+
+const ColorUtils = {
+    clampChannel(value) {
+        return Math.round(Math.max(0, Math.min(255, value)));
+    },
+
+    // Approximates the blackbody curve; accurate to a few percent from 1000K to 40000K
+    kelvinToRgb(kelvin) {
+        const temp = kelvin / 100;
+        let r;
+        let g;
+        let b;
+
+        if (temp <= 66) {
+            r = 255;
+            g = 99.4708025861 * Math.log(temp) - 161.1195681661;
+        } else {
+            r = 329.698727446 * Math.pow(temp - 60, -0.1332047592);
+            g = 288.1221695283 * Math.pow(temp - 60, -0.0755148492);
+        }
+
+        if (temp >= 66) {
+            b = 255;
+        } else if (temp <= 19) {
+            b = 0;
+        } else {
+            b = 138.5177312231 * Math.log(temp - 10) - 305.0447927307;
+        }
+
+        return {
+            r: this.clampChannel(r),
+            g: this.clampChannel(g),
+            b: this.clampChannel(b)
+        };
+    },
+
+    rgbToHex({ r, g, b }) {
+        return '#' + [r, g, b]
+            .map(channel => this.clampChannel(channel).toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    },
+
+    hexToRgb(hex) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+        if (!match) return null;
+
+        const value = parseInt(match[1], 16);
+        return {
+            r: (value >> 16) & 255,
+            g: (value >> 8) & 255,
+            b: value & 255
+        };
+    },
+
+    // h: 0-360, s and v: 0-100
+    hsvToRgb({ h, s, v }) {
+        const hue = ((h % 360) + 360) % 360 / 60;
+        const sat = Math.max(0, Math.min(100, s)) / 100;
+        const val = Math.max(0, Math.min(100, v)) / 100;
+        const chroma = val * sat;
+        const x = chroma * (1 - Math.abs((hue % 2) - 1));
+        const m = val - chroma;
+
+        const [r, g, b] = [
+            [chroma, x, 0],
+            [x, chroma, 0],
+            [0, chroma, x],
+            [0, x, chroma],
+            [x, 0, chroma],
+            [chroma, 0, x]
+        ][Math.floor(hue) % 6];
+
+        return {
+            r: this.clampChannel((r + m) * 255),
+            g: this.clampChannel((g + m) * 255),
+            b: this.clampChannel((b + m) * 255)
+        };
+    },
+
+    rgbToHsv({ r, g, b }) {
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        const max = Math.max(rn, gn, bn);
+        const delta = max - Math.min(rn, gn, bn);
+        let h = 0;
+
+        if (delta !== 0) {
+            if (max === rn) h = 60 * (((gn - bn) / delta) % 6);
+            else if (max === gn) h = 60 * ((bn - rn) / delta + 2);
+            else h = 60 * ((rn - gn) / delta + 4);
+        }
+
+        return {
+            h: Math.round((h + 360) % 360),
+            s: Math.round(max === 0 ? 0 : (delta / max) * 100),
+            v: Math.round(max * 100)
+        };
+    },
+
+    rgba({ r, g, b }, alpha) {
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+};
+
+window.ColorUtils = ColorUtils;
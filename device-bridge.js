@@ -0,0 +1,387 @@
+/**
+ * Device Bridge
+ * Lets the page act as a virtual smart bulb on a local WebSocket endpoint,
+ * using MQTT-style topics inside JSON frames: every frame is
+ *   { "topic": "home/bulb/<id>/<channel>", "payload": { ... } }
+ *
+ * Published by the page:
+ *   home/bulb/<id>/state   { id, name, power, brightness, colorMode, colorTemperature,
+ *                            color, profile, source, timestamp }
+ *   home/bulb/<id>/error   { error, command }
+ * Accepted from controllers:
+ *   home/bulb/<id>/set     { power: 'on' | 'off' | 'toggle', brightness: 10-100,
+ *                            color: '#RRGGBB' | { kelvin } | { r, g, b } | { h, s, v },
+ *                            scene: scene id or name }  (any subset)
+ *   home/bulb/<id>/get     {}  - republish the current state
+ *
+ * Dropped connections retry with exponential backoff. tools/mock-bridge-server.js
+ * is a dependency-free local server to test against.
+ */
+
+const BRIDGE_DEFAULT_URL = 'ws://localhost:8080';
+const BRIDGE_TOPIC_PREFIX = 'home/bulb';
+const BRIDGE_BACKOFF_MIN_MS = 1000;
+const BRIDGE_BACKOFF_MAX_MS = 30000;
+
+class DeviceBridge {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.storageKey = options.storageKey || 'ledBulbBridge';
+        this.prefix = options.topicPrefix || BRIDGE_TOPIC_PREFIX;
+        this.scenes = options.scenes || null; // SceneManager for the bulb it is bound to
+        this.WebSocket = options.WebSocket || window.WebSocket;
+
+        this.url = BRIDGE_DEFAULT_URL;
+        this.enabled = false; // the user asked to be connected
+        this.active = options.active !== false; // false while another tab leads
+        this.socket = null;
+        this.status = 'disconnected';
+        this.attempt = 0;
+        this.reconnectTimeout = null;
+        this.bulbs = new Map(); // id -> { bulb, unsubscribe }
+    }
+
+    init() {
+        this.load();
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+
+        if (this.enabled && this.active) this.connect();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                this.url = parsed.url || this.url;
+                this.enabled = Boolean(parsed.enabled);
+            }
+        } catch (error) {
+            console.warn('Could not load bridge settings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                url: this.url,
+                enabled: this.enabled
+            }));
+        } catch (error) {
+            console.warn('Could not save bridge settings:', error);
+        }
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            urlInput: find('bridge-url'),
+            connectBtn: find('bridge-connect-btn'),
+            status: find('bridge-status'),
+            ariaAnnouncement: document.getElementById('aria-announcement')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.connectBtn.addEventListener('click', () => {
+            if (this.enabled) {
+                this.disable();
+            } else {
+                this.enable(this.elements.urlInput.value.trim());
+            }
+        });
+    }
+
+    // Bulbs - registered by BulbGroup as they are added and removed
+    addBulb(bulb) {
+        if (this.bulbs.has(bulb.id)) return;
+
+        const unsubscribe = bulb.on('change', (payload) => this.publishState(bulb, payload.source));
+        this.bulbs.set(bulb.id, { bulb, unsubscribe });
+        this.publishState(bulb);
+    }
+
+    removeBulb(id) {
+        const entry = this.bulbs.get(id);
+        if (!entry) return;
+
+        entry.unsubscribe();
+        this.bulbs.delete(id);
+    }
+
+    // Connection
+    enable(url) {
+        if (!/^wss?:\/\/.+/i.test(url)) {
+            this.elements.urlInput.setAttribute('aria-invalid', 'true');
+            this.announce('Enter a ws:// or wss:// address');
+            return;
+        }
+
+        this.elements.urlInput.removeAttribute('aria-invalid');
+        this.url = url;
+        this.enabled = true;
+        this.save();
+        this.connect();
+    }
+
+    disable() {
+        this.enabled = false;
+        this.save();
+        this.disconnect();
+        this.setStatus('disconnected');
+    }
+
+    // Only the leader tab holds the connection, so commands are applied once
+    setActive(active) {
+        this.active = active;
+
+        if (!active) {
+            this.disconnect();
+            this.setStatus(this.enabled ? 'standby' : 'disconnected');
+        } else if (this.enabled && !this.socket) {
+            this.connect();
+        }
+    }
+
+    connect() {
+        this.disconnect();
+        if (!this.WebSocket) {
+            this.setStatus('unsupported');
+            return;
+        }
+
+        this.setStatus(this.attempt > 0 ? 'reconnecting' : 'connecting');
+
+        let socket;
+        try {
+            socket = new this.WebSocket(this.url);
+        } catch (error) {
+            console.warn('Could not open bridge socket:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket = socket;
+        socket.onopen = () => {
+            this.attempt = 0;
+            this.setStatus('connected');
+            this.bulbs.forEach(({ bulb }) => this.publishState(bulb));
+        };
+        socket.onmessage = (e) => this.handleMessage(e.data);
+        socket.onclose = () => {
+            // Ignore sockets we already replaced or closed on purpose
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.scheduleReconnect();
+        };
+        socket.onerror = () => {
+            // A close event always follows; reconnecting is handled there
+        };
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+
+    // 1s, 2s, 4s ... capped at 30s, with jitter so several pages don't retry in lockstep
+    getBackoff(attempt) {
+        const base = Math.min(BRIDGE_BACKOFF_MAX_MS, BRIDGE_BACKOFF_MIN_MS * Math.pow(2, attempt));
+        return Math.round(base * (0.8 + Math.random() * 0.4));
+    }
+
+    scheduleReconnect() {
+        if (!this.enabled || !this.active) return;
+
+        const delay = this.getBackoff(this.attempt);
+        this.attempt++;
+        this.setStatus('waiting', delay);
+        this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+    }
+
+    send(topic, payload) {
+        if (!this.socket || this.socket.readyState !== 1) return false;
+
+        this.socket.send(JSON.stringify({ topic, payload }));
+        return true;
+    }
+
+    // Messages
+    topic(bulbId, channel) {
+        return `${this.prefix}/${bulbId}/${channel}`;
+    }
+
+    publishState(bulb, source = 'api') {
+        const { isOn, brightness, colorMode, colorTemperature, color, profile } = bulb.state;
+
+        this.send(this.topic(bulb.id, 'state'), {
+            id: bulb.id,
+            name: bulb.name,
+            power: isOn ? 'on' : 'off',
+            brightness,
+            colorMode,
+            colorTemperature,
+            color,
+            profile,
+            source,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    publishError(bulbId, error, command) {
+        this.send(this.topic(bulbId, 'error'), { error, command });
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring non-JSON bridge frame:', data);
+            return;
+        }
+        if (message === null || typeof message !== 'object') {
+            console.warn('Ignoring bridge frame that is not a JSON object:', data);
+            return;
+        }
+
+        const topic = typeof message.topic === 'string' ? message.topic : '';
+        if (!topic.startsWith(`${this.prefix}/`)) return;
+
+        // <prefix>/<id>/<channel>
+        const [bulbId, channel] = topic.slice(this.prefix.length + 1).split('/');
+        const entry = this.bulbs.get(bulbId);
+
+        if (channel !== 'set' && channel !== 'get') return;
+        if (!entry) {
+            this.publishError(bulbId, `Unknown bulb "${bulbId}"`, message.payload);
+            return;
+        }
+
+        const payload = message.payload;
+        if (channel === 'get') {
+            this.publishState(entry.bulb);
+        } else if (payload !== null && typeof payload === 'object' && !Array.isArray(payload)) {
+            this.applyCommand(entry.bulb, payload);
+        } else {
+            this.publishError(bulbId, 'set payload must be a JSON object', payload);
+        }
+    }
+
+    applyCommand(bulb, command) {
+        const errors = [];
+
+        bulb.withSource('bridge', () => {
+            // true, false or null for no change; a toggle is resolved before anything else applies
+            let power = null;
+            if ('power' in command) {
+                const value = command.power;
+                if (value === 'on' || value === true) {
+                    power = true;
+                } else if (value === 'off' || value === false) {
+                    power = false;
+                } else if (value === 'toggle') {
+                    power = !bulb.state.isOn;
+                } else {
+                    errors.push('power must be "on", "off" or "toggle"');
+                }
+            }
+
+            // A level can switch an off bulb on, so switching off comes after it
+            if (power === true) bulb.turnOn();
+
+            if ('brightness' in command) {
+                const level = Number(command.brightness);
+                if (Number.isFinite(level)) {
+                    bulb.setBrightnessLevel(Math.round(level));
+                } else {
+                    errors.push('brightness must be a number');
+                }
+            }
+
+            if (power === false) bulb.turnOff();
+
+            if ('color' in command) {
+                const color = command.color;
+                const isObject = color !== null && typeof color === 'object';
+                if (isObject && Number.isFinite(color.kelvin)) {
+                    bulb.setColorTemperature(color.kelvin);
+                } else if ((typeof color === 'string' && ColorUtils.hexToRgb(color)) ||
+                    (isObject && ('r' in color || 'h' in color))) {
+                    bulb.setColor(color);
+                } else {
+                    errors.push('color must be "#RRGGBB", { kelvin }, { r, g, b } or { h, s, v }');
+                }
+            }
+
+            if ('scene' in command) {
+                const scene = this.findScene(bulb, command.scene);
+                if (scene) {
+                    this.scenes.applyScene(scene.id);
+                } else {
+                    errors.push(`Unknown scene "${command.scene}"`);
+                }
+            }
+        });
+
+        errors.forEach(error => this.publishError(bulb.id, error, command));
+    }
+
+    // Scenes belong to the bulb the SceneManager is bound to; match by id or name
+    findScene(bulb, key) {
+        if (!this.scenes || this.scenes.bulb !== bulb || typeof key !== 'string') return null;
+
+        const name = key.toLowerCase();
+        return this.scenes.getScene(key) ||
+            this.scenes.getScenes().find(scene => scene.name.toLowerCase() === name) || null;
+    }
+
+    // UI
+    setStatus(status, delay = 0) {
+        this.status = status;
+        this.render(delay);
+    }
+
+    render(delay = 0) {
+        const labels = {
+            disconnected: 'Disconnected',
+            connecting: `Connecting to ${this.url}…`,
+            reconnecting: `Reconnecting (attempt ${this.attempt})…`,
+            waiting: `Connection lost - retrying in ${Math.ceil(delay / 1000)}s`,
+            connected: `Connected to ${this.url}`,
+            standby: 'Standby - another tab holds the connection',
+            unsupported: 'WebSockets are not available in this browser'
+        };
+
+        if (document.activeElement !== this.elements.urlInput) {
+            this.elements.urlInput.value = this.url;
+        }
+
+        this.elements.status.textContent = labels[this.status];
+        this.elements.status.dataset.status = this.status;
+        this.elements.connectBtn.querySelector('span').textContent = this.enabled ? 'Disconnect' : 'Connect';
+
+        if (this.status === 'connected') {
+            this.announce('Bridge connected');
+        }
+    }
+
+    announce(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+}
+
+window.DeviceBridge = DeviceBridge;
@@ -0,0 +1,259 @@
+/**
+ * Dimmer & Driver Simulation
+ * Models the electrical side of the lamp: the wall dimmer in front of it
+ * (none, trailing-edge, leading-edge TRIAC or 0-10V), the supply voltage and
+ * transient sags. Together with the profile's load type they decide the usable
+ * dim range, whether an LED driver flickers or buzzes, and what actually reaches
+ * the bulb - the usual reasons a retrofit LED misbehaves on an old dimmer
+ */
+
+const LINE_VOLTAGE_NOMINAL = 120;
+const LINE_VOLTAGE_MIN = 90;
+const LINE_VOLTAGE_MAX = 135;
+
+// Below this supply an LED driver can no longer hold constant current
+const LED_DRIVER_DROPOUT_V = 96;
+
+// A motor start or heavy appliance elsewhere on the circuit
+const SAG_DEPTH = 0.18;
+const SAG_DURATION_MS = 3000;
+
+// ledFloor / flickerBand are brightness points and only apply to LED loads;
+// filament lamps are resistive and dim smoothly on any phase-cut dimmer
+const DIMMER_TYPES = {
+    none: {
+        id: 'none',
+        name: 'None (driver dims)',
+        description: 'Full line voltage; the bulb\'s own driver sets the level',
+        phaseCut: false,
+        controlSignal: false,
+        ledFloor: 0,
+        flickerBand: 0,
+        buzz: false
+    },
+    'trailing-edge': {
+        id: 'trailing-edge',
+        name: 'Trailing-edge (ELV)',
+        description: 'Cuts the end of each half-cycle - the LED-friendly phase dimmer',
+        phaseCut: true,
+        controlSignal: false,
+        ledFloor: 10,
+        flickerBand: 5,
+        buzz: false
+    },
+    'leading-edge': {
+        id: 'leading-edge',
+        name: 'Leading-edge TRIAC',
+        description: 'Cuts the start of each half-cycle - built for incandescent loads',
+        phaseCut: true,
+        controlSignal: false,
+        ledFloor: 25,
+        flickerBand: 20,
+        buzz: true
+    },
+    '0-10v': {
+        id: '0-10v',
+        name: '0-10V control',
+        description: 'Separate low-voltage control wires; the driver sees full line voltage',
+        phaseCut: false,
+        controlSignal: true,
+        ledFloor: 0,
+        flickerBand: 0,
+        buzz: false
+    }
+};
+
+const DEFAULT_DIMMER_ID = 'none';
+
+class DimmerModel {
+    constructor(options = {}) {
+        this.type = DIMMER_TYPES[options.type] ? options.type : DEFAULT_DIMMER_ID;
+        this.lineVoltage = Number.isFinite(options.lineVoltage) ?
+            DimmerModel.clampLineVoltage(options.lineVoltage) : LINE_VOLTAGE_NOMINAL;
+        this.sag = null; // { start, depth, durationMs } while a sag is recovering
+    }
+
+    static clampLineVoltage(volts) {
+        return Math.max(LINE_VOLTAGE_MIN, Math.min(LINE_VOLTAGE_MAX, Math.round(volts)));
+    }
+
+    static isLED(profile) {
+        return profile.load !== 'resistive';
+    }
+
+    getType() {
+        return DIMMER_TYPES[this.type];
+    }
+
+    // Lowest level this dimmer and lamp combination can hold
+    getFloor(profile) {
+        const floor = DimmerModel.isLED(profile) ? this.getType().ledFloor : 0;
+        return Math.max(profile.minBrightness, floor);
+    }
+
+    // Drops at once, then recovers linearly
+    startSag(now = Date.now(), depth = SAG_DEPTH, durationMs = SAG_DURATION_MS) {
+        this.sag = { start: now, depth, durationMs };
+    }
+
+    isSagging(now = Date.now()) {
+        return Boolean(this.sag) && now - this.sag.start < this.sag.durationMs;
+    }
+
+    getSupplyVoltage(now = Date.now()) {
+        if (!this.isSagging(now)) {
+            this.sag = null;
+            return this.lineVoltage;
+        }
+
+        const recovered = (now - this.sag.start) / this.sag.durationMs;
+        return this.lineVoltage * (1 - this.sag.depth * (1 - recovered));
+    }
+
+    // What reaches the lamp and how it behaves: { supply, voltage, control, lightFactor,
+    // powerFactor, flicker (0-1), buzz, status: 'off' | 'stable' | 'flicker' | 'dropout' }
+    evaluate(profile, brightness, isOn, now = Date.now()) {
+        const type = this.getType();
+        const supply = this.getSupplyVoltage(now);
+        const level = brightness / 100;
+
+        if (!isOn) {
+            return {
+                supply, voltage: 0, control: null, lightFactor: 0, powerFactor: 0,
+                flicker: 0, buzz: false, status: 'off'
+            };
+        }
+
+        // RMS left after phase cutting - a filament's dimming curve is its voltage fraction,
+        // an LED driver's input is chopped more gently for the same output
+        let voltage = supply;
+        if (type.phaseCut) {
+            voltage = supply * (DimmerModel.isLED(profile) ? Math.sqrt(level) : level);
+        }
+
+        const result = {
+            supply,
+            voltage,
+            control: type.controlSignal ? 10 * level : null,
+            lightFactor: 1,
+            powerFactor: 1,
+            flicker: 0,
+            buzz: false,
+            status: 'stable'
+        };
+
+        // Filaments simply follow the supply: light ~ V^3.4, power ~ V^1.55
+        if (!DimmerModel.isLED(profile)) {
+            const ratio = supply / LINE_VOLTAGE_NOMINAL;
+            result.lightFactor = Math.pow(ratio, 3.4);
+            result.powerFactor = Math.pow(ratio, 1.55);
+            return result;
+        }
+
+        // LED drivers hold their output until the supply falls below dropout
+        if (supply < LED_DRIVER_DROPOUT_V) {
+            result.lightFactor = supply / LED_DRIVER_DROPOUT_V;
+            result.flicker = 1;
+            result.status = 'dropout';
+            return result;
+        }
+
+        // A sagging supply eats into the phase-cut headroom, so flicker reaches higher levels
+        if (type.flickerBand > 0) {
+            const headroom = supply / LINE_VOLTAGE_NOMINAL;
+            const edge = this.getFloor(profile) / headroom + type.flickerBand;
+            if (brightness < edge) {
+                result.flicker = Math.min(1, (edge - brightness) / type.flickerBand);
+                result.status = 'flicker';
+            }
+        }
+
+        result.buzz = type.buzz && brightness < 100;
+        return result;
+    }
+}
+
+class DimmerPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.unsubscribe = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.renderTypeOptions();
+        this.setupEventListeners();
+        this.render();
+
+        this.unsubscribe = this.bulb.on('change', () => this.renderSummary());
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            typeSelect: find('dimmer-type'),
+            lineInput: find('line-voltage-input'),
+            sagBtn: find('sag-btn'),
+            summary: find('dimmer-summary')
+        };
+    }
+
+    renderTypeOptions() {
+        Object.values(DIMMER_TYPES).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.name;
+            option.title = type.description;
+            this.elements.typeSelect.appendChild(option);
+        });
+    }
+
+    setupEventListeners() {
+        this.elements.typeSelect.addEventListener('change', (e) => {
+            this.bulb.withSource('control', () => this.bulb.setDimmerType(e.target.value));
+            this.render();
+        });
+
+        this.elements.lineInput.addEventListener('change', (e) => {
+            this.bulb.setLineVoltage(parseFloat(e.target.value));
+            this.render();
+        });
+
+        this.elements.sagBtn.addEventListener('click', () => this.bulb.simulateVoltageSag());
+    }
+
+    render() {
+        const { dimmer } = this.bulb;
+
+        this.elements.typeSelect.value = dimmer.type;
+        this.elements.lineInput.value = dimmer.lineVoltage;
+        this.renderSummary();
+    }
+
+    // Explain what this dimmer does to the selected lamp
+    renderSummary() {
+        const { dimmer } = this.bulb;
+        const profile = this.bulb.getProfile();
+        const type = dimmer.getType();
+        const floor = dimmer.getFloor(profile);
+        const parts = [`${profile.name}: usable ${floor}-100%`];
+
+        if (DimmerModel.isLED(profile) && type.flickerBand > 0) {
+            parts.push(`flickers below ${floor + type.flickerBand}%`);
+        }
+        if (DimmerModel.isLED(profile) && type.buzz) {
+            parts.push('driver buzz when dimmed');
+        }
+        if (!DimmerModel.isLED(profile) && dimmer.lineVoltage !== LINE_VOLTAGE_NOMINAL) {
+            const light = Math.pow(dimmer.lineVoltage / LINE_VOLTAGE_NOMINAL, 3.4);
+            parts.push(`${Math.round(light * 100)}% of rated light at ${dimmer.lineVoltage}V`);
+        }
+
+        this.elements.summary.textContent = parts.join(' • ');
+    }
+}
+
+window.DimmerModel = DimmerModel;
+window.DimmerPanel = DimmerPanel;
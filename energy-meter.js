@@ -0,0 +1,328 @@
+/**
+ * Energy Metering
+ * Hourly time-series of integrated watt-hours per bulb, with an electricity
+ * rate for cost to date / projected monthly cost, a daily kWh chart and
+ * CSV / JSON export of the history
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const ENERGY_HISTORY_DAYS = 90;
+const ENERGY_SAVE_INTERVAL = 30 * 1000;
+
+class EnergyMeter {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ledBulbEnergy';
+        this.rate = 0.15; // per kWh
+        this.currency = 'USD';
+        this.hours = {}; // 'YYYY-MM-DDTHH' (local) -> watt-hours
+        this.lastSave = 0;
+        this.dirty = false;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                this.rate = Number.isFinite(parsed.rate) ? parsed.rate : this.rate;
+                this.currency = parsed.currency || this.currency;
+                this.hours = parsed.hours || {};
+            }
+        } catch (error) {
+            console.warn('Could not load energy history:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                rate: this.rate,
+                currency: this.currency,
+                hours: this.hours
+            }));
+            this.lastSave = Date.now();
+            this.dirty = false;
+        } catch (error) {
+            console.warn('Could not save energy history:', error);
+        }
+    }
+
+    // Write pending samples now rather than waiting for the throttle
+    flush() {
+        if (this.dirty) this.save();
+    }
+
+    clear() {
+        this.hours = {};
+        this.dirty = false;
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear energy history:', error);
+        }
+    }
+
+    // Keys use local time so "today" matches the user's wall clock
+    hourKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => value.toString().padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}`;
+    }
+
+    record(wattHours, timestamp = Date.now()) {
+        if (!(wattHours > 0)) return;
+
+        const key = this.hourKey(timestamp);
+        this.hours[key] = (this.hours[key] || 0) + wattHours;
+        this.dirty = true;
+
+        if (timestamp - this.lastSave > ENERGY_SAVE_INTERVAL) {
+            this.prune(timestamp);
+            this.save();
+        }
+    }
+
+    prune(now) {
+        const cutoff = this.hourKey(now - ENERGY_HISTORY_DAYS * 24 * HOUR_MS);
+        Object.keys(this.hours).forEach(key => {
+            if (key < cutoff) delete this.hours[key];
+        });
+    }
+
+    setRate(rate, currency = this.currency) {
+        if (Number.isFinite(rate) && rate >= 0) {
+            this.rate = rate;
+        }
+
+        if (this.isValidCurrency(currency)) {
+            this.currency = currency.toUpperCase();
+        }
+
+        this.save();
+    }
+
+    isValidCurrency(code) {
+        try {
+            new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+            return /^[a-z]{3}$/i.test(code);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Aggregates
+    getHourly() {
+        return Object.keys(this.hours).sort().map(hour => ({
+            hour,
+            wattHours: this.hours[hour]
+        }));
+    }
+
+    getDaily() {
+        const days = {};
+        Object.entries(this.hours).forEach(([hour, wattHours]) => {
+            const day = hour.slice(0, 10);
+            days[day] = (days[day] || 0) + wattHours;
+        });
+
+        return Object.keys(days).sort().map(day => ({
+            day,
+            kWh: days[day] / 1000
+        }));
+    }
+
+    // The last `count` calendar days, including days with no usage
+    getRecentDays(count, now = Date.now()) {
+        const daily = {};
+        this.getDaily().forEach(({ day, kWh }) => {
+            daily[day] = kWh;
+        });
+
+        const days = [];
+        for (let offset = count - 1; offset >= 0; offset--) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - offset);
+            const day = this.hourKey(date.getTime()).slice(0, 10);
+            days.push({ day, kWh: daily[day] || 0 });
+        }
+
+        return days;
+    }
+
+    getCost(kWh) {
+        return kWh * this.rate;
+    }
+
+    // Average of the last week (or fewer days if history is shorter) scaled to 30 days
+    getProjectedMonthlyKWh(now = Date.now()) {
+        const daily = this.getDaily();
+        if (daily.length === 0) return 0;
+
+        const firstDay = new Date(`${daily[0].day}T00:00`).getTime();
+        const daysOfHistory = Math.floor((now - firstDay) / (24 * HOUR_MS)) + 1;
+        const span = Math.max(1, Math.min(7, daysOfHistory));
+        const recent = this.getRecentDays(span, now).reduce((sum, { kWh }) => sum + kWh, 0);
+
+        return (recent / span) * 30;
+    }
+
+    formatCost(amount) {
+        return new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: 2,
+            maximumFractionDigits: amount < 1 ? 3 : 2
+        }).format(amount);
+    }
+
+    // Export
+    toCSV() {
+        const rows = [['hour_start', 'watt_hours', 'kwh', `cost_${this.currency}`]];
+        this.getHourly().forEach(({ hour, wattHours }) => {
+            const kWh = wattHours / 1000;
+            rows.push([
+                `${hour}:00`,
+                wattHours.toFixed(3),
+                kWh.toFixed(6),
+                this.getCost(kWh).toFixed(6)
+            ]);
+        });
+
+        return rows.map(row => row.join(',')).join('\n') + '\n';
+    }
+
+    toJSON() {
+        return {
+            rate: this.rate,
+            currency: this.currency,
+            exportedAt: new Date().toISOString(),
+            daily: this.getDaily().map(({ day, kWh }) => ({ day, kWh, cost: this.getCost(kWh) })),
+            hourly: this.getHourly()
+        };
+    }
+}
+
+class EnergyPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.meter = bulb.meter;
+        this.root = options.root || bulb.root;
+        this.chartDays = options.chartDays || 14;
+        this.refreshInterval = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+
+        // The chart only needs to follow the meter loosely
+        this.refreshInterval = setInterval(() => this.render(), 10000);
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            costValue: find('cost-value'),
+            projectedValue: find('projected-value'),
+            chart: find('energy-chart'),
+            totalValue: find('energy-total'),
+            rateInput: find('energy-rate'),
+            currencyInput: find('energy-currency'),
+            csvBtn: find('export-csv-btn'),
+            jsonBtn: find('export-json-btn')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.rateInput.addEventListener('change', () => this.applySettings());
+        this.elements.currencyInput.addEventListener('change', () => this.applySettings());
+
+        this.elements.csvBtn.addEventListener('click', () => {
+            this.download(`${this.bulb.id}-energy.csv`, this.meter.toCSV(), 'text/csv');
+        });
+
+        this.elements.jsonBtn.addEventListener('click', () => {
+            const report = { bulb: this.bulb.name, ...this.meter.toJSON() };
+            this.download(`${this.bulb.id}-energy.json`, JSON.stringify(report, null, 2), 'application/json');
+        });
+    }
+
+    applySettings() {
+        const rate = parseFloat(this.elements.rateInput.value);
+        const currency = this.elements.currencyInput.value.trim();
+
+        if (!this.meter.isValidCurrency(currency)) {
+            this.elements.currencyInput.setAttribute('aria-invalid', 'true');
+        } else {
+            this.elements.currencyInput.removeAttribute('aria-invalid');
+        }
+
+        this.meter.setRate(rate, currency);
+        this.render();
+    }
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.bulb.logEvent('export', { filename });
+    }
+
+    render() {
+        const totalKWh = this.bulb.state.totalEnergy / 1000;
+        const projectedKWh = this.meter.getProjectedMonthlyKWh();
+
+        this.elements.costValue.textContent = this.meter.formatCost(this.meter.getCost(totalKWh));
+        this.elements.projectedValue.textContent =
+            `${this.meter.formatCost(this.meter.getCost(projectedKWh))}/mo`;
+        this.elements.totalValue.textContent = `${totalKWh.toFixed(3)} kWh total`;
+
+        if (document.activeElement !== this.elements.rateInput) {
+            this.elements.rateInput.value = this.meter.rate;
+        }
+        if (document.activeElement !== this.elements.currencyInput) {
+            this.elements.currencyInput.value = this.meter.currency;
+        }
+
+        this.renderChart();
+    }
+
+    renderChart() {
+        const days = this.meter.getRecentDays(this.chartDays);
+        const max = Math.max(...days.map(({ kWh }) => kWh), 0.001);
+
+        this.elements.chart.innerHTML = '';
+        days.forEach(({ day, kWh }) => {
+            const bar = document.createElement('div');
+            bar.className = 'energy-bar';
+            bar.setAttribute('role', 'listitem');
+            bar.setAttribute('aria-label', `${day}: ${kWh.toFixed(3)} kWh`);
+            bar.title = `${day}: ${kWh.toFixed(3)} kWh`;
+
+            const fill = document.createElement('span');
+            fill.className = 'energy-bar-fill';
+            fill.style.height = `${(kWh / max) * 100}%`;
+
+            const label = document.createElement('span');
+            label.className = 'energy-bar-label';
+            label.textContent = day.slice(8);
+
+            bar.append(fill, label);
+            this.elements.chart.appendChild(bar);
+        });
+    }
+}
+
+window.EnergyMeter = EnergyMeter;
+window.EnergyPanel = EnergyPanel;
@@ -0,0 +1,367 @@
+/**
+ * Event Log
+ * Typed bulb events kept in a capped, persisted ring buffer, with an
+ * activity panel that filters by type and date range and NDJSON
+ * export / import for reviewing a session outside the page
+ */
+
+const EVENT_LOG_LIMIT = 500;
+const EVENT_SAVE_DELAY = 1000;
+const ACTIVITY_DISPLAY_LIMIT = 100;
+
+// Known event types and their labels in the activity filter
+const EVENT_TYPES = {
+    toggle: 'Power',
+    brightness: 'Brightness',
+    color: 'Color',
+    profile: 'Profile',
+    scene: 'Scene',
+    schedule: 'Schedule fired',
+    motion: 'Motion',
+    sensor: 'Sensor rule',
+    'auto-mode': 'Auto mode',
+    reset: 'Reset',
+    undo: 'Undo',
+    redo: 'Redo',
+    overheat: 'Overheat',
+    'overheat-cleared': 'Overheat cleared',
+    ambient: 'Ambient temperature',
+    threshold: 'Overheat threshold',
+    dimmer: 'Dimmer',
+    'line-voltage': 'Line voltage',
+    sag: 'Voltage sag',
+    failure: 'Bulb failure',
+    'failure-mode': 'Failure mode',
+    replace: 'Bulb replaced',
+    export: 'Export',
+    'state-recovered': 'Saved state recovered'
+};
+
+class EventLog {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ledBulbEvents';
+        this.limit = options.limit || EVENT_LOG_LIMIT;
+        this.buffer = new Array(this.limit);
+        this.start = 0; // index of the oldest event
+        this.size = 0;
+        this.saveTimeout = null;
+        this.listeners = [];
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                if (Array.isArray(parsed)) {
+                    parsed.filter(EventLog.isValid).forEach(event => this.push(event));
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load event log:', error);
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toArray()));
+        } catch (error) {
+            console.warn('Could not save event log:', error);
+        }
+    }
+
+    // Bursts of events (slider drags) share one write
+    scheduleSave() {
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => this.save(), EVENT_SAVE_DELAY);
+    }
+
+    flush() {
+        if (this.saveTimeout) this.save();
+    }
+
+    clear() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        this.buffer = new Array(this.limit);
+        this.start = 0;
+        this.size = 0;
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear event log:', error);
+        }
+
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    // Ring buffer - once full, each new event overwrites the oldest
+    push(event) {
+        if (this.size < this.limit) {
+            this.buffer[(this.start + this.size) % this.limit] = event;
+            this.size++;
+        } else {
+            this.buffer[this.start] = event;
+            this.start = (this.start + 1) % this.limit;
+        }
+    }
+
+    record(type, data = {}, timestamp = Date.now()) {
+        const event = {
+            time: new Date(timestamp).toISOString(),
+            type,
+            data
+        };
+
+        this.push(event);
+        this.scheduleSave();
+        this.notify();
+        return event;
+    }
+
+    // Oldest first
+    toArray() {
+        const events = [];
+        for (let i = 0; i < this.size; i++) {
+            events.push(this.buffer[(this.start + i) % this.limit]);
+        }
+        return events;
+    }
+
+    // `from` / `to` are inclusive timestamps; either may be omitted
+    query({ type = null, from = null, to = null } = {}) {
+        return this.toArray().filter(event => {
+            const time = Date.parse(event.time);
+            return (!type || event.type === type) &&
+                (from === null || time >= from) &&
+                (to === null || time <= to);
+        });
+    }
+
+    static isValid(event) {
+        return Boolean(event) &&
+            typeof event.type === 'string' && event.type.length > 0 &&
+            typeof event.time === 'string' && !Number.isNaN(Date.parse(event.time)) &&
+            (event.data === undefined || (typeof event.data === 'object' && event.data !== null));
+    }
+
+    static describe(event) {
+        return Object.entries(event.data || {})
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+    }
+
+    // One JSON object per line
+    toNDJSON(events = this.toArray()) {
+        return events.map(event => JSON.stringify(event)).join('\n') + (events.length ? '\n' : '');
+    }
+
+    // Merge events from NDJSON text; duplicates are ignored and malformed lines counted as skipped
+    importNDJSON(text) {
+        const seen = new Set(this.toArray().map(event => JSON.stringify(event)));
+        const incoming = [];
+        let skipped = 0;
+
+        text.split(/\r?\n/).forEach(line => {
+            if (!line.trim()) return;
+
+            try {
+                const parsed = JSON.parse(line);
+                const event = { time: parsed.time, type: parsed.type, data: parsed.data || {} };
+                const key = JSON.stringify(event);
+
+                if (!EventLog.isValid(event)) {
+                    skipped++;
+                } else if (!seen.has(key)) {
+                    seen.add(key);
+                    incoming.push(event);
+                }
+            } catch (error) {
+                skipped++;
+            }
+        });
+
+        // Rebuild in time order so imported history interleaves correctly
+        const merged = this.toArray().concat(incoming)
+            .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+        this.buffer = new Array(this.limit);
+        this.start = 0;
+        this.size = 0;
+        merged.forEach(event => this.push(event));
+
+        this.save();
+        this.notify();
+        return { imported: incoming.length, skipped };
+    }
+}
+
+class ActivityPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.log = bulb.events;
+        this.root = options.root || bulb.root;
+        this.renderTimeout = null;
+        this.unsubscribe = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.renderTypeOptions();
+        this.setupEventListeners();
+        this.render();
+
+        // Re-render shortly after new events rather than on every one
+        this.unsubscribe = this.log.subscribe(() => {
+            if (this.renderTimeout) return;
+            this.renderTimeout = setTimeout(() => {
+                this.renderTimeout = null;
+                this.render();
+            }, 100);
+        });
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            typeFilter: find('activity-type'),
+            fromInput: find('activity-from'),
+            toInput: find('activity-to'),
+            list: find('activity-list'),
+            count: find('activity-count'),
+            exportBtn: find('activity-export-btn'),
+            importInput: find('activity-import'),
+            clearBtn: find('activity-clear-btn')
+        };
+    }
+
+    renderTypeOptions() {
+        Object.entries(EVENT_TYPES).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            this.elements.typeFilter.appendChild(option);
+        });
+    }
+
+    setupEventListeners() {
+        ['typeFilter', 'fromInput', 'toInput'].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.render());
+        });
+
+        this.elements.exportBtn.addEventListener('click', () => this.exportEvents());
+
+        this.elements.importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importEvents(file);
+            e.target.value = '';
+        });
+
+        this.elements.clearBtn.addEventListener('click', () => {
+            this.log.clear();
+            this.announce('Activity log cleared');
+        });
+    }
+
+    // Date inputs are local calendar days; the range covers both whole days
+    getFilter() {
+        const { typeFilter, fromInput, toInput } = this.elements;
+        return {
+            type: typeFilter.value || null,
+            from: fromInput.value ? new Date(`${fromInput.value}T00:00:00`).getTime() : null,
+            to: toInput.value ? new Date(`${toInput.value}T23:59:59.999`).getTime() : null
+        };
+    }
+
+    exportEvents() {
+        const events = this.log.query(this.getFilter());
+        const url = URL.createObjectURL(new Blob([this.log.toNDJSON(events)], { type: 'application/x-ndjson' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.bulb.id}-events.ndjson`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.announce(`Exported ${events.length} events`);
+    }
+
+    importEvents(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { imported, skipped } = this.log.importNDJSON(String(reader.result));
+            this.announce(skipped ?
+                `Imported ${imported} events, skipped ${skipped}` :
+                `Imported ${imported} events`);
+        };
+        reader.onerror = () => this.announce('Could not read the event file');
+        reader.readAsText(file);
+    }
+
+    render() {
+        const events = this.log.query(this.getFilter());
+        const shown = events.slice(-ACTIVITY_DISPLAY_LIMIT).reverse(); // newest first
+
+        this.elements.count.textContent = events.length === 1 ? '1 event' : `${events.length} events`;
+        this.elements.list.innerHTML = '';
+
+        if (shown.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'scene-empty';
+            empty.textContent = 'No matching activity';
+            this.elements.list.appendChild(empty);
+            return;
+        }
+
+        shown.forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'activity-item';
+
+            const time = document.createElement('time');
+            time.className = 'activity-time';
+            time.dateTime = event.time;
+            time.textContent = new Date(event.time).toLocaleString();
+
+            const type = document.createElement('span');
+            type.className = 'activity-type';
+            type.textContent = EVENT_TYPES[event.type] || event.type;
+
+            const detail = document.createElement('span');
+            detail.className = 'activity-detail';
+            detail.textContent = EventLog.describe(event);
+
+            item.append(time, type, detail);
+            this.elements.list.appendChild(item);
+        });
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+}
+
+window.EventLog = EventLog;
+window.ActivityPanel = ActivityPanel;
@@ -0,0 +1,117 @@
+/**
+ * Undo / Redo History
+ * Bounded stack of lighting-state snapshots taken before each mutation,
+ * with rapid slider / arrow-key changes coalesced into a single step
+ * and both stacks persisted so history survives a reload
+ */
+
+const HISTORY_LIMIT = 50;
+const HISTORY_COALESCE_MS = 1000;
+const HISTORY_COALESCE_LABELS = ['brightness', 'color']; // what sliders and arrow keys change
+const HISTORY_FIELDS = ['isOn', 'brightness', 'colorMode', 'colorTemperature', 'color', 'profile'];
+
+class CommandHistory {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ledBulbHistory';
+        this.limit = options.limit || HISTORY_LIMIT;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastCapture = null; // { label, at } of the newest undo entry
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                this.undoStack = Array.isArray(parsed.undo) ? parsed.undo : [];
+                this.redoStack = Array.isArray(parsed.redo) ? parsed.redo : [];
+            }
+        } catch (error) {
+            console.warn('Could not load history:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                undo: this.undoStack,
+                redo: this.redoStack
+            }));
+        } catch (error) {
+            console.warn('Could not save history:', error);
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastCapture = null;
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear history:', error);
+        }
+    }
+
+    static snapshot(state) {
+        const snapshot = {};
+        HISTORY_FIELDS.forEach(field => {
+            snapshot[field] = state[field];
+        });
+        return snapshot;
+    }
+
+    // Record the state as it was before a change labelled `label`
+    capture(label, state, now = Date.now()) {
+        const last = this.lastCapture;
+
+        // A burst of slider or arrow-key changes becomes one undo step
+        if (HISTORY_COALESCE_LABELS.includes(label) && last && last.label === label &&
+            now - last.at < HISTORY_COALESCE_MS) {
+            last.at = now;
+            return;
+        }
+
+        this.undoStack.push({ label, state: CommandHistory.snapshot(state) });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.lastCapture = { label, at: now };
+        this.save();
+    }
+
+    // Each returns the entry to restore, or null; `current` goes on the opposite stack
+    undo(current) {
+        return this.move(this.undoStack, this.redoStack, current);
+    }
+
+    redo(current) {
+        return this.move(this.redoStack, this.undoStack, current);
+    }
+
+    move(from, to, current) {
+        const entry = from.pop();
+        if (!entry) return null;
+
+        to.push({ label: entry.label, state: CommandHistory.snapshot(current) });
+        this.lastCapture = null;
+        this.save();
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+window.CommandHistory = CommandHistory;
@@ -0,0 +1,420 @@
+/**
+ * Keyboard Shortcuts
+ * A rebindable keymap for the main light - power, brightness steps with fine /
+ * coarse modifiers, jump-to levels, scene cycling, undo / redo - persisted in
+ * localStorage, plus the "?" overlay that lists and rebinds the shortcuts.
+ * Shortcuts never fire while typing in a form field, and the arrow keys only
+ * act while focus is inside the light's own section so they still scroll the page
+ */
+
+const KEYMAP_STORAGE_KEY = 'ledBulbKeymap';
+
+// Brightness points per step: plain, with Alt held and with Shift held
+const KEYMAP_STEPS = { normal: 5, fine: 1, coarse: 20 };
+
+// Combos are 'Mod+Shift+Z' style: Mod is Ctrl, or Cmd on macOS. scope 'page' fires
+// anywhere outside a form field, 'bulb' only while focus is in the light's section
+const KEYMAP_ACTIONS = {
+    'toggle-power': { id: 'toggle-power', label: 'Toggle power', keys: ['T'], scope: 'page' },
+    'brightness-up': { id: 'brightness-up', label: 'Brighter', keys: ['ArrowUp', 'ArrowRight'], scope: 'bulb', steps: true },
+    'brightness-down': { id: 'brightness-down', label: 'Dimmer', keys: ['ArrowDown', 'ArrowLeft'], scope: 'bulb', steps: true },
+    'level-10': { id: 'level-10', label: 'Brightness 10%', keys: ['1'], scope: 'page', level: 10 },
+    'level-25': { id: 'level-25', label: 'Brightness 25%', keys: ['2'], scope: 'page', level: 25 },
+    'level-50': { id: 'level-50', label: 'Brightness 50%', keys: ['5'], scope: 'page', level: 50 },
+    'level-75': { id: 'level-75', label: 'Brightness 75%', keys: ['7'], scope: 'page', level: 75 },
+    'level-100': { id: 'level-100', label: 'Brightness 100%', keys: ['0'], scope: 'page', level: 100 },
+    'next-scene': { id: 'next-scene', label: 'Next scene', keys: [']'], scope: 'page' },
+    'previous-scene': { id: 'previous-scene', label: 'Previous scene', keys: ['['], scope: 'page' },
+    undo: { id: 'undo', label: 'Undo', keys: ['Mod+Z'], scope: 'page' },
+    redo: { id: 'redo', label: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'], scope: 'page' },
+    help: { id: 'help', label: 'Show keyboard shortcuts', keys: ['?'], scope: 'page' }
+};
+
+class KeyMap {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || KEYMAP_STORAGE_KEY;
+        this.bindings = KeyMap.defaults();
+        this.load();
+    }
+
+    static defaults() {
+        const bindings = {};
+        Object.values(KEYMAP_ACTIONS).forEach(action => {
+            bindings[action.id] = action.keys.slice();
+        });
+        return bindings;
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) return;
+
+            const parsed = JSON.parse(saved);
+            Object.keys(this.bindings).forEach(id => {
+                const keys = parsed && parsed[id];
+                if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) {
+                    this.bindings[id] = keys;
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load keyboard shortcuts:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save keyboard shortcuts:', error);
+        }
+    }
+
+    reset() {
+        this.bindings = KeyMap.defaults();
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not reset keyboard shortcuts:', error);
+        }
+    }
+
+    // 'Mod+Shift+Z' for a keydown event, or null for a lone modifier
+    static comboFromEvent(e) {
+        const named = { ' ': 'Space', Esc: 'Escape', Left: 'ArrowLeft', Right: 'ArrowRight', Up: 'ArrowUp', Down: 'ArrowDown' };
+        let key = named[e.key] || e.key;
+        if (!key || ['Control', 'Meta', 'Alt', 'Shift', 'Dead'].includes(key)) return null;
+        if (key.length === 1) key = key.toUpperCase();
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Mod');
+        if (e.altKey) parts.push('Alt');
+        // Shift is already part of symbols such as '?'; it only counts for letters and named keys
+        if (e.shiftKey && (key.length > 1 || /^[A-Z]$/.test(key))) parts.push('Shift');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+
+    getAction(combo) {
+        const id = Object.keys(this.bindings).find(actionId => this.bindings[actionId].includes(combo));
+        return id ? KEYMAP_ACTIONS[id] : null;
+    }
+
+    // { action, step } for a keydown event, or null. Step actions also match with Alt
+    // (fine) or Shift (coarse) held on top of their binding
+    match(e) {
+        const combo = KeyMap.comboFromEvent(e);
+        if (!combo) return null;
+
+        const action = this.getAction(combo);
+        if (action) {
+            return { action, step: KEYMAP_STEPS.normal };
+        }
+
+        const base = combo.replace(/^(Mod\+)?(Alt\+)?(Shift\+)?/, '$1');
+        const stepAction = base !== combo ? this.getAction(base) : null;
+        if (stepAction && stepAction.steps) {
+            return { action: stepAction, step: e.altKey ? KEYMAP_STEPS.fine : KEYMAP_STEPS.coarse };
+        }
+
+        return null;
+    }
+
+    // Bind `combo` to one action, taking it from any other; returns the action it was taken from
+    rebind(id, combo) {
+        let previous = null;
+        Object.keys(this.bindings).forEach(actionId => {
+            if (actionId !== id && this.bindings[actionId].includes(combo)) {
+                this.bindings[actionId] = this.bindings[actionId].filter(key => key !== combo);
+                previous = KEYMAP_ACTIONS[actionId];
+            }
+        });
+
+        this.bindings[id] = [combo];
+        this.save();
+        return previous;
+    }
+
+    static format(combo) {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+        const names = {
+            Mod: isMac ? '⌘' : 'Ctrl',
+            Alt: isMac ? '⌥' : 'Alt',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            ArrowLeft: '←',
+            ArrowRight: '→'
+        };
+        return combo.split('+').map(part => names[part] || part).join(' + ');
+    }
+}
+
+class KeyboardShortcuts {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.scenes = options.scenes || null;
+        this.keymap = options.keymap || new KeyMap();
+        this.root = options.root || document;
+
+        this.sceneIndex = -1; // last scene recalled from the keyboard
+        this.capturing = null; // action id waiting for a new key
+        this.returnFocus = null;
+
+        this.handleKeydown = (e) => this.onKeydown(e);
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            helpBtn: find('keymap-help-btn'),
+            overlay: find('keymap-overlay'),
+            dialog: find('keymap-dialog'),
+            list: find('keymap-list'),
+            closeBtn: find('keymap-close-btn'),
+            resetBtn: find('keymap-reset-btn')
+        };
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.elements.helpBtn.addEventListener('click', () => this.open());
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.resetBtn.addEventListener('click', () => {
+            this.keymap.reset();
+            this.capturing = null;
+            this.render();
+            this.announce('Keyboard shortcuts reset to defaults');
+        });
+
+        // A click on the backdrop closes, clicks inside the dialog don't
+        this.elements.overlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.overlay) this.close();
+        });
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="rebind"]');
+            if (!button) return;
+
+            this.capturing = button.dataset.id;
+            this.render();
+            this.elements.list.querySelector(`[data-id="${this.capturing}"]`).focus();
+        });
+    }
+
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    static isEditable(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable) return true;
+        if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+
+        // Every input type takes its own keys, except the button-like ones
+        return target.tagName === 'INPUT' &&
+            !['button', 'checkbox', 'radio', 'submit', 'reset'].includes(target.type);
+    }
+
+    isOpen() {
+        return !this.elements.overlay.hidden;
+    }
+
+    onKeydown(e) {
+        if (this.capturing) {
+            this.captureKey(e);
+            return;
+        }
+
+        if (this.isOpen()) {
+            this.handleOverlayKey(e);
+            return;
+        }
+
+        if (e.defaultPrevented || KeyboardShortcuts.isEditable(e.target)) return;
+
+        const match = this.keymap.match(e);
+        if (!match) return;
+        if (match.action.scope === 'bulb' && !this.bulb.root.contains(e.target)) return;
+
+        e.preventDefault();
+        this.run(match.action, match.step);
+    }
+
+    run(action, step) {
+        const { bulb } = this;
+
+        bulb.withSource('keyboard', () => {
+            switch (action.id) {
+                case 'toggle-power':
+                    bulb.togglePower();
+                    break;
+                case 'brightness-up':
+                    bulb.stepBrightness(step);
+                    break;
+                case 'brightness-down':
+                    bulb.stepBrightness(-step);
+                    break;
+                case 'next-scene':
+                    this.cycleScene(1);
+                    break;
+                case 'previous-scene':
+                    this.cycleScene(-1);
+                    break;
+                case 'undo':
+                    bulb.undo();
+                    break;
+                case 'redo':
+                    bulb.redo();
+                    break;
+                case 'help':
+                    this.open();
+                    break;
+                default:
+                    if (action.level) bulb.setBrightness(action.level);
+            }
+        });
+    }
+
+    cycleScene(direction) {
+        const list = this.scenes ? this.scenes.getScenes() : [];
+        if (list.length === 0) {
+            this.announce('No saved scenes');
+            return;
+        }
+
+        this.sceneIndex = (this.sceneIndex + direction + list.length) % list.length;
+        this.scenes.applyScene(list[this.sceneIndex].id);
+    }
+
+    // Overlay
+    open() {
+        this.returnFocus = document.activeElement;
+        this.elements.overlay.hidden = false;
+        this.render();
+        this.elements.closeBtn.focus();
+    }
+
+    close() {
+        this.capturing = null;
+        this.elements.overlay.hidden = true;
+
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    handleOverlayKey(e) {
+        if (e.key === 'Escape' || (e.key === '?' && !KeyboardShortcuts.isEditable(e.target))) {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        // Keep Tab inside the dialog while it is open
+        if (e.key === 'Tab') {
+            const focusable = Array.from(this.elements.dialog.querySelectorAll('button:not([disabled])'));
+            if (focusable.length === 0) return;
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    captureKey(e) {
+        // Tab still moves focus; the next real key press becomes the binding
+        if (e.key === 'Tab') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = this.capturing;
+        if (e.key === 'Escape') {
+            this.capturing = null;
+            this.render();
+            this.announce('Shortcut unchanged');
+            return;
+        }
+
+        const combo = KeyMap.comboFromEvent(e);
+        if (!combo) return; // wait for the key that goes with the modifier
+
+        this.capturing = null;
+        const previous = this.keymap.rebind(id, combo);
+        this.render();
+        this.elements.list.querySelector(`[data-id="${id}"]`).focus();
+
+        const label = KEYMAP_ACTIONS[id].label;
+        this.announce(previous ?
+            `${label} set to ${KeyMap.format(combo)}, removed from ${previous.label}` :
+            `${label} set to ${KeyMap.format(combo)}`);
+    }
+
+    render() {
+        this.elements.list.innerHTML = '';
+
+        Object.values(KEYMAP_ACTIONS).forEach(action => {
+            const keys = this.keymap.bindings[action.id];
+            const row = document.createElement('tr');
+
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = action.steps ?
+                `${action.label} (Alt: ${KEYMAP_STEPS.fine}%, Shift: ${KEYMAP_STEPS.coarse}%)` : action.label;
+
+            const bindings = document.createElement('td');
+            if (keys.length === 0) {
+                bindings.textContent = 'Not set';
+            }
+            keys.forEach(combo => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = KeyMap.format(combo);
+                bindings.appendChild(kbd);
+            });
+
+            const change = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'control-btn compact secondary';
+            button.dataset.action = 'rebind';
+            button.dataset.id = action.id;
+            button.textContent = this.capturing === action.id ? 'Press a key…' : 'Change';
+            button.setAttribute('aria-label', this.capturing === action.id ?
+                `Press the new shortcut for ${action.label}, or Escape to cancel` :
+                `Change the shortcut for ${action.label}`);
+            change.appendChild(button);
+
+            row.append(label, bindings, change);
+            this.elements.list.appendChild(row);
+        });
+
+        this.elements.helpBtn.title = `Keyboard shortcuts (${this.keymap.bindings.help.map(KeyMap.format).join(', ') || 'no key'})`;
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+}
+
+window.KeyMap = KeyMap;
+window.KeyboardShortcuts = KeyboardShortcuts;
@@ -0,0 +1,363 @@
+/**
+ * <led-bulb> Web Component
+ * Wraps an LEDLightBulb in Shadow DOM so bulbs can be dropped into any page:
+ *   <led-bulb power="on" brightness="60" profile="a21"></led-bulb>
+ * Attributes and properties are reflected both ways, and every state change
+ * is re-dispatched as a DOM CustomEvent (bulb-change, bulb-power,
+ * bulb-brightness, bulb-reset) that bubbles out of the shadow root
+ */
+
+// Resolve style.css and the icon font next to this script, wherever the host page lives
+const LED_BULB_BASE_URL = document.currentScript ?
+    new URL('.', document.currentScript.src).href : document.baseURI;
+const LED_BULB_FONT_URL = new URL('vendor/fontawesome/css/all.min.css', LED_BULB_BASE_URL).href;
+
+// Applied in this order so power wins over the auto-on of a bright level
+const LED_BULB_ATTRIBUTES = ['name', 'profile', 'color-temperature', 'color', 'brightness', 'power'];
+
+const LED_BULB_MARKUP = `
+    <link rel="stylesheet" href="${new URL('style.css', LED_BULB_BASE_URL).href}">
+    <link rel="stylesheet" href="${LED_BULB_FONT_URL}">
+    <style>
+        :host {
+            display: block;
+            font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+            color: var(--text-primary);
+        }
+
+        :host([hidden]) {
+            display: none;
+        }
+    </style>
+
+    <article class="bulb-card" part="card">
+        <header class="bulb-card-header">
+            <span class="bulb-name" data-role="bulb-name"></span>
+            <select class="text-input bulb-profile" data-role="profile-select" aria-label="Bulb type"></select>
+        </header>
+
+        <div class="bulb-card-stage">
+            <div class="bulb-container" data-role="bulb-container">
+                <div class="bulb-glass" data-role="bulb-glass">
+                    <div class="bulb-interior">
+                        <div class="led-array" data-role="led-array">
+                            <div class="led led-1"></div>
+                            <div class="led led-2"></div>
+                            <div class="led led-3"></div>
+                            <div class="led led-4"></div>
+                            <div class="led led-5"></div>
+                            <div class="led led-6"></div>
+                        </div>
+                        <div class="led-chips">
+                            <div class="chip-row">
+                                <div class="chip"></div>
+                                <div class="chip"></div>
+                                <div class="chip"></div>
+                            </div>
+                        </div>
+                        <div class="heat-sink">
+                            <div class="fin"></div>
+                            <div class="fin"></div>
+                            <div class="fin"></div>
+                            <div class="fin"></div>
+                            <div class="fin"></div>
+                        </div>
+                    </div>
+                </div>
+                <div class="bulb-base">
+                    <div class="base-threads">
+                        <div class="thread"></div>
+                        <div class="thread"></div>
+                        <div class="thread"></div>
+                    </div>
+                    <div class="base-contact">
+                        <div class="contact-dot"></div>
+                    </div>
+                </div>
+                <div class="glow-effect" data-role="glow-effect"></div>
+                <div class="light-cast" data-role="light-cast"></div>
+                <div class="overheat-badge" aria-hidden="true">
+                    <i class="fas fa-temperature-high"></i>
+                </div>
+                <div class="driver-badge" aria-hidden="true">
+                    <i class="fas fa-volume-up"></i>
+                </div>
+            </div>
+        </div>
+
+        <div class="physical-switch" data-role="physical-switch">
+            <div class="switch-base" data-role="switch-base">
+                <div class="switch-toggle" data-role="switch-toggle">
+                    <div class="toggle-knob"></div>
+                </div>
+                <div class="switch-indicators">
+                    <div class="indicator on-indicator" data-role="on-indicator">
+                        <i class="fas fa-check-circle"></i>
+                        <span>ON</span>
+                    </div>
+                    <div class="indicator off-indicator active" data-role="off-indicator">
+                        <i class="fas fa-times-circle"></i>
+                        <span>OFF</span>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <div class="slider-labels">
+            <span class="slider-label">Dim</span>
+            <span class="slider-value" data-role="brightness-value">50%</span>
+            <span class="slider-label">Bright</span>
+        </div>
+        <input type="range" class="slider" data-role="brightness-slider" min="10" max="100" value="50">
+
+        <div class="bulb-card-color">
+            <select class="text-input" data-role="color-mode" aria-label="Color mode">
+                <option value="white">White</option>
+                <option value="rgb">RGB</option>
+            </select>
+            <input type="range" class="slider color-temp-slider" data-role="color-temp-slider"
+                   min="2200" max="6500" step="100" value="2700" aria-label="Color temperature in kelvin">
+            <span class="bulb-card-temp" data-role="color-temp-value">2700K</span>
+            <input type="color" data-role="color-picker" value="#ffb74d" aria-label="Light color">
+        </div>
+
+        <dl class="bulb-card-status">
+            <div><dt>Status</dt><dd data-role="status-value">OFF</dd></div>
+            <div><dt>Power</dt><dd data-role="power-value">0.0W</dd></div>
+            <div><dt>Runtime</dt><dd data-role="runtime-value">0:00</dd></div>
+            <div><dt>Health</dt><dd data-role="health-value">Good • 100%</dd></div>
+            <div><dt>Temp</dt><dd data-role="temp-value">72°F</dd></div>
+        </dl>
+
+        <div class="bulb-card-controls">
+            <button class="control-btn compact" data-role="toggle-btn" aria-label="Toggle light bulb">
+                <i class="fas fa-power-off"></i>
+                <span>Toggle Power</span>
+            </button>
+            <select class="text-input compact-select" data-role="auto-program" aria-label="Auto program"></select>
+            <button class="control-btn compact secondary" data-role="auto-btn" aria-label="Start or stop the auto program">
+                <i class="fas fa-sun"></i>
+                <span>Auto Mode</span>
+            </button>
+            <button class="control-btn compact secondary" data-role="auto-pause-btn" aria-label="Pause or resume the auto program" aria-pressed="false" disabled>
+                <i class="fas fa-pause"></i>
+                <span>Pause</span>
+            </button>
+            <button class="control-btn compact secondary" data-role="reset-btn" aria-label="Reset to default">
+                <i class="fas fa-redo"></i>
+                <span>Reset</span>
+            </button>
+            <button class="control-btn compact secondary" data-role="undo-btn" aria-label="Undo last change" disabled>
+                <i class="fas fa-undo-alt"></i>
+                <span>Undo</span>
+            </button>
+            <button class="control-btn compact secondary" data-role="redo-btn" aria-label="Redo change" disabled>
+                <i class="fas fa-redo-alt"></i>
+                <span>Redo</span>
+            </button>
+        </div>
+
+        <div class="sr-only" data-role="aria-announcement" aria-live="polite" aria-atomic="true"></div>
+    </article>
+`;
+
+class LEDBulbElement extends HTMLElement {
+    static get observedAttributes() {
+        return LED_BULB_ATTRIBUTES;
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.bulb = null;
+        this.unsubscribers = [];
+        this.reflecting = false;
+    }
+
+    connectedCallback() {
+        if (this.bulb) return;
+
+        LEDBulbElement.loadDocumentFonts();
+
+        // Bulbs added after ThemeManager ran pick up the page's theme and motion
+        ['theme', 'motion'].forEach(key => {
+            if (!this.dataset[key] && document.documentElement.dataset[key]) {
+                this.dataset[key] = document.documentElement.dataset[key];
+            }
+        });
+        this.shadowRoot.innerHTML = LED_BULB_MARKUP;
+
+        this.bulb = new LEDLightBulb({
+            id: this.getBulbId(),
+            name: this.getAttribute('name') || 'LED Bulb',
+            root: this.shadowRoot
+        });
+
+        // Declared attributes override whatever state was saved for this id
+        LED_BULB_ATTRIBUTES.forEach(name => {
+            if (this.hasAttribute(name)) {
+                this.applyAttribute(name, this.getAttribute(name));
+            }
+        });
+        this.renderName();
+        this.reflectState();
+
+        BULB_EVENT_TYPES.forEach(type => {
+            this.unsubscribers.push(this.bulb.on(type, (detail) => {
+                this.reflectState();
+
+                this.dispatchEvent(new CustomEvent(`bulb-${type}`, {
+                    detail,
+                    bubbles: true,
+                    composed: true
+                }));
+            }));
+        });
+    }
+
+    disconnectedCallback() {
+        if (!this.bulb) return;
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.bulb.destroy();
+        this.bulb = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.bulb || this.reflecting || oldValue === newValue) return;
+
+        this.applyAttribute(name, newValue);
+        this.reflectState();
+    }
+
+    // @font-face rules are ignored inside shadow roots, so the icon font
+    // stylesheet also has to be loaded by the document itself
+    static loadDocumentFonts() {
+        if (document.querySelector(`link[href="${LED_BULB_FONT_URL}"]`)) return;
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = LED_BULB_FONT_URL;
+        document.head.appendChild(link);
+    }
+
+    // Storage is keyed by bulb id: an explicit bulb-id, the element id, or document position
+    getBulbId() {
+        if (this.getAttribute('bulb-id')) return this.getAttribute('bulb-id');
+        if (this.id) return this.id;
+
+        const index = Array.from(document.querySelectorAll('led-bulb')).indexOf(this);
+        return `led-bulb-${Math.max(0, index)}`;
+    }
+
+    applyAttribute(name, value) {
+        const bulb = this.bulb;
+
+        switch (name) {
+            case 'power':
+                if (value === 'on') {
+                    bulb.turnOn();
+                } else {
+                    bulb.turnOff();
+                }
+                break;
+            case 'brightness': {
+                const level = parseInt(value, 10);
+                if (Number.isFinite(level)) bulb.setBrightnessLevel(level);
+                break;
+            }
+            case 'profile':
+                if (value) bulb.setProfile(value);
+                break;
+            case 'color-temperature': {
+                const kelvin = parseInt(value, 10);
+                if (Number.isFinite(kelvin)) bulb.setColorTemperature(kelvin);
+                break;
+            }
+            case 'color':
+                if (ColorUtils.hexToRgb(value)) bulb.setColor(value);
+                break;
+            case 'name':
+                bulb.setName(value || 'LED Bulb');
+                this.renderName();
+                break;
+        }
+    }
+
+    renderName() {
+        this.shadowRoot.querySelector('[data-role="bulb-name"]').textContent = this.bulb.name;
+    }
+
+    // Mirror the bulb's state onto attributes without re-applying it
+    reflectState() {
+        const { isOn, brightness, profile, colorTemperature, color } = this.bulb.state;
+
+        this.reflecting = true;
+        try {
+            this.setAttribute('power', isOn ? 'on' : 'off');
+            this.setAttribute('brightness', brightness);
+            this.setAttribute('profile', profile);
+            this.setAttribute('color-temperature', colorTemperature);
+            this.setAttribute('color', color);
+        } finally {
+            this.reflecting = false;
+        }
+    }
+
+    // Properties - read live state once connected, otherwise the attribute
+    get power() {
+        return this.bulb ? (this.bulb.state.isOn ? 'on' : 'off') : this.getAttribute('power') || 'off';
+    }
+
+    set power(value) {
+        this.setAttribute('power', value === true || value === 'on' ? 'on' : 'off');
+    }
+
+    get brightness() {
+        return this.bulb ? this.bulb.state.brightness : parseInt(this.getAttribute('brightness'), 10) || null;
+    }
+
+    set brightness(value) {
+        this.setAttribute('brightness', value);
+    }
+
+    get profile() {
+        return this.bulb ? this.bulb.state.profile : this.getAttribute('profile');
+    }
+
+    set profile(value) {
+        this.setAttribute('profile', value);
+    }
+
+    get colorTemperature() {
+        return this.bulb ? this.bulb.state.colorTemperature :
+            parseInt(this.getAttribute('color-temperature'), 10) || null;
+    }
+
+    set colorTemperature(value) {
+        this.setAttribute('color-temperature', value);
+    }
+
+    get color() {
+        return this.bulb ? this.bulb.state.color : this.getAttribute('color');
+    }
+
+    set color(value) {
+        this.setAttribute('color', value);
+    }
+
+    get name() {
+        return this.bulb ? this.bulb.name : this.getAttribute('name');
+    }
+
+    set name(value) {
+        this.setAttribute('name', value);
+    }
+}
+
+if (!customElements.get('led-bulb')) {
+    customElements.define('led-bulb', LEDBulbElement);
+}
+
+window.LEDBulbElement = LEDBulbElement;
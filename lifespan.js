@@ -0,0 +1,239 @@
+/**
+ * Lifespan & Failure Simulation
+ * Tracks how hard a bulb has been used - hours lit and power cycles - and
+ * turns that wear into lumen depreciation toward L70 (the point where an LED
+ * is rated to have lost 30% of its light) and, optionally, a failure: sudden
+ * death, flicker before failure or a drifting color. A failed bulb stays dark
+ * until it is replaced
+ */
+
+// Share of initial light left at the profile's rated life
+const LUMEN_MAINTENANCE = {
+    led: 0.7, // L70
+    resistive: 0.88 // filaments blacken the glass more slowly
+};
+
+// Real bulbs of one type don't all fail at the rated hour; each draws its own
+// life within this spread of the rating when it is installed
+const LIFE_SPREAD = 0.25;
+
+// When the failure modes start to show, as a share of this bulb's own life
+const FLICKER_ONSET = 0.9;
+const COLOR_SHIFT_ONSET = 0.5;
+const COLOR_SHIFT_MAX_K = 800; // aging phosphor drifts cool
+
+const FAILURE_MODES = {
+    none: {
+        id: 'none',
+        name: 'Wear only',
+        description: 'Dims with age but never fails'
+    },
+    sudden: {
+        id: 'sudden',
+        name: 'Sudden death',
+        description: 'Works normally, then goes dark without warning'
+    },
+    flicker: {
+        id: 'flicker',
+        name: 'Flicker, then fail',
+        description: 'The driver starts flickering near the end of life before it fails'
+    },
+    'color-shift': {
+        id: 'color-shift',
+        name: 'Color shift',
+        description: 'Keeps running, but white light drifts cooler as the phosphor ages'
+    }
+};
+
+const DEFAULT_FAILURE_MODE = 'none';
+
+class LifespanModel {
+    constructor(options = {}) {
+        const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+        this.onHours = isCount(options.onHours) ? options.onHours : 0;
+        this.cycles = isCount(options.cycles) ? Math.round(options.cycles) : 0;
+        this.failureMode = FAILURE_MODES[options.failureMode] ? options.failureMode : DEFAULT_FAILURE_MODE;
+        this.lifeFactor = Number.isFinite(options.lifeFactor) &&
+            Math.abs(options.lifeFactor - 1) <= LIFE_SPREAD ? options.lifeFactor : LifespanModel.drawLifeFactor();
+        this.failed = options.failed === true;
+        this.installedAt = Number.isFinite(options.installedAt) ? options.installedAt : Date.now();
+    }
+
+    static drawLifeFactor(random = Math.random) {
+        return 1 - LIFE_SPREAD + 2 * LIFE_SPREAD * random();
+    }
+
+    addOnTime(seconds) {
+        this.onHours += seconds / 3600;
+    }
+
+    recordCycle() {
+        this.cycles++;
+    }
+
+    // Rated hours plus the hours each switch-on costs: a profile rated for N cycles
+    // over its life spends ratedHours / N of it per cycle
+    getWearHours(profile) {
+        const perCycle = profile.ratedCycles ? profile.ratedHours / profile.ratedCycles : 0;
+        return this.onHours + this.cycles * perCycle;
+    }
+
+    // 1 when new, reaching this bulb's own end of life at 1
+    getLifeFraction(profile) {
+        return this.getWearHours(profile) / (profile.ratedHours * this.lifeFactor);
+    }
+
+    getLumenFactor(profile) {
+        const maintenance = profile.load === 'resistive' ? LUMEN_MAINTENANCE.resistive : LUMEN_MAINTENANCE.led;
+        return Math.pow(maintenance, this.getWearHours(profile) / profile.ratedHours);
+    }
+
+    // Flicker depth (0-1) in the run-up to a 'flicker' failure
+    getFlicker(profile) {
+        if (this.failed || this.failureMode !== 'flicker') return 0;
+
+        const fraction = this.getLifeFraction(profile);
+        return Math.max(0, Math.min(1, (fraction - FLICKER_ONSET) / (1 - FLICKER_ONSET)));
+    }
+
+    // Kelvin added to tunable white by a 'color-shift' failure
+    getColorShift(profile) {
+        if (this.failureMode !== 'color-shift') return 0;
+
+        const fraction = this.getLifeFraction(profile);
+        const progress = Math.max(0, Math.min(1, (fraction - COLOR_SHIFT_ONSET) / (1 - COLOR_SHIFT_ONSET)));
+        return Math.round(COLOR_SHIFT_MAX_K * progress);
+    }
+
+    // Returns true when the bulb has just failed
+    checkFailure(profile) {
+        const canFail = this.failureMode === 'sudden' || this.failureMode === 'flicker';
+        if (this.failed || !canFail || this.getLifeFraction(profile) < 1) return false;
+
+        this.failed = true;
+        return true;
+    }
+
+    // { status: 'good' | 'worn' | 'failing' | 'failed', lumenFactor, hoursToL70 }
+    getHealth(profile) {
+        const lumenFactor = this.getLumenFactor(profile);
+        const hoursToL70 = Math.max(0, profile.ratedHours - this.getWearHours(profile));
+
+        let status = 'good';
+        if (this.failed) {
+            status = 'failed';
+        } else if (this.getFlicker(profile) > 0 || this.getColorShift(profile) > 0) {
+            status = 'failing';
+        } else if (hoursToL70 === 0) {
+            status = 'worn';
+        }
+
+        return { status, lumenFactor, hoursToL70 };
+    }
+
+    // A fresh bulb of the same type; the chosen failure mode carries over
+    replace(now = Date.now()) {
+        this.onHours = 0;
+        this.cycles = 0;
+        this.failed = false;
+        this.lifeFactor = LifespanModel.drawLifeFactor();
+        this.installedAt = now;
+    }
+
+    toJSON() {
+        return {
+            onHours: this.onHours,
+            cycles: this.cycles,
+            failureMode: this.failureMode,
+            lifeFactor: this.lifeFactor,
+            failed: this.failed,
+            installedAt: this.installedAt
+        };
+    }
+}
+
+class LifespanPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.refreshInterval = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.renderModeOptions();
+        this.setupEventListeners();
+        this.render();
+
+        // Follow hours, cycles and failures as the bulb wears
+        this.refreshInterval = setInterval(() => this.renderSummary(), 1000);
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            modeSelect: find('failure-mode'),
+            ageBtn: find('age-btn'),
+            replaceBtn: find('replace-btn'),
+            summary: find('life-summary')
+        };
+    }
+
+    renderModeOptions() {
+        Object.values(FAILURE_MODES).forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            option.title = mode.description;
+            this.elements.modeSelect.appendChild(option);
+        });
+    }
+
+    setupEventListeners() {
+        this.elements.modeSelect.addEventListener('change', (e) => {
+            this.bulb.setFailureMode(e.target.value);
+            this.render();
+        });
+
+        // Rated lives run to tens of thousands of hours, so aging has to be fast-forwarded
+        this.elements.ageBtn.addEventListener('click', () => {
+            this.bulb.ageBulb(parseFloat(this.elements.ageBtn.dataset.hours));
+            this.render();
+        });
+
+        this.elements.replaceBtn.addEventListener('click', () => {
+            this.bulb.replaceBulb();
+            this.render();
+        });
+    }
+
+    render() {
+        this.elements.modeSelect.value = this.bulb.life.failureMode;
+        this.renderSummary();
+    }
+
+    renderSummary() {
+        const { life } = this.bulb;
+        const profile = this.bulb.getProfile();
+        const hours = Math.round(life.onHours).toLocaleString('en-US');
+        const cycles = life.cycles === 1 ? '1 cycle' : `${life.cycles.toLocaleString('en-US')} cycles`;
+        const health = life.getHealth(profile);
+
+        const parts = [`${hours} h on`, cycles, `${Math.round(health.lumenFactor * 100)}% light`];
+        if (health.status === 'failed') {
+            parts.push('failed - replace the bulb');
+        } else if (health.hoursToL70 > 0) {
+            parts.push(`~${Math.round(health.hoursToL70).toLocaleString('en-US')} h to L70`);
+        } else {
+            parts.push('past L70');
+        }
+
+        this.elements.summary.textContent = parts.join(' • ');
+        this.elements.replaceBtn.classList.toggle('active', life.failed);
+    }
+}
+
+window.LifespanModel = LifespanModel;
+window.LifespanPanel = LifespanPanel;
@@ -0,0 +1,222 @@
+/**
+ * Notifications
+ * System notifications for what happens while the app sits in the
+ * background: a schedule rule firing, and the light being left on longer
+ * than a configurable limit. Only the tab that owns the timers notifies, so
+ * several open tabs don't repeat the same alert
+ */
+
+const NOTIFY_STORAGE_KEY = 'ledBulbNotifications';
+const NOTIFY_CHECK_MS = MINUTE_MS;
+const NOTIFY_ICON = 'icons/icon-192.png';
+
+const NOTIFY_DEFAULTS = {
+    enabled: false,
+    schedules: true,
+    leftOnHours: 4 // 0 turns the reminder off
+};
+
+class BulbNotifier {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.scheduler = options.scheduler || null;
+        this.storageKey = options.storageKey || NOTIFY_STORAGE_KEY;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.Notification = 'Notification' in options ? options.Notification : (window.Notification || null);
+
+        this.settings = { ...NOTIFY_DEFAULTS };
+        this.checkInterval = null;
+    }
+
+    init() {
+        this.loadSettings();
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+
+        if (this.scheduler) {
+            this.scheduler.onFire((rule) => this.handleScheduleFire(rule));
+        }
+
+        this.checkInterval = setInterval(() => this.checkLeftOn(), NOTIFY_CHECK_MS);
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            this.settings = {
+                enabled: saved.enabled === true,
+                schedules: saved.schedules !== false,
+                leftOnHours: Number.isFinite(saved.leftOnHours) && saved.leftOnHours >= 0 ?
+                    saved.leftOnHours : NOTIFY_DEFAULTS.leftOnHours
+            };
+        } catch (error) {
+            console.warn('Could not load notification settings:', error);
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save notification settings:', error);
+        }
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            status: find('notify-status'),
+            toggleBtn: find('notify-btn'),
+            hoursInput: find('notify-hours'),
+            schedulesInput: find('notify-schedules')
+        };
+    }
+
+    setupEventListeners() {
+        const { toggleBtn, hoursInput, schedulesInput } = this.elements;
+
+        toggleBtn.addEventListener('click', () => {
+            if (this.isActive()) {
+                this.disable();
+            } else {
+                this.enable();
+            }
+        });
+
+        hoursInput.addEventListener('change', () => {
+            const hours = parseFloat(hoursInput.value);
+            const valid = Number.isFinite(hours) && hours >= 0;
+            hoursInput.setAttribute('aria-invalid', String(!valid));
+            if (!valid) return;
+
+            this.settings.leftOnHours = hours;
+            this.setLeftOnNotified(false);
+            this.saveSettings();
+            this.render();
+        });
+
+        schedulesInput.addEventListener('change', () => {
+            this.settings.schedules = schedulesInput.checked;
+            this.saveSettings();
+        });
+    }
+
+    // 'granted', 'denied', 'default' or 'unsupported'
+    getPermission() {
+        return this.Notification ? this.Notification.permission : 'unsupported';
+    }
+
+    isActive() {
+        return this.settings.enabled && this.getPermission() === 'granted';
+    }
+
+    enable() {
+        if (!this.Notification) {
+            this.announce('Notifications are not supported in this browser');
+            return Promise.resolve(false);
+        }
+
+        return Promise.resolve(this.Notification.requestPermission()).then(permission => {
+            this.settings.enabled = permission === 'granted';
+            this.saveSettings();
+            this.render();
+            this.announce(this.settings.enabled ? 'Notifications on' : 'Notifications were blocked');
+            return this.settings.enabled;
+        });
+    }
+
+    disable() {
+        this.settings.enabled = false;
+        this.saveSettings();
+        this.render();
+        this.announce('Notifications off');
+    }
+
+    handleScheduleFire(rule) {
+        if (!this.settings.schedules) return;
+
+        this.notify('Schedule ran', this.scheduler.describeRule(rule), 'schedule');
+    }
+
+    // The bulb keeps when it was switched on and whether the reminder went out,
+    // so one reminder per time on carries across reloads
+    setLeftOnNotified(notified) {
+        this.bulb.state.leftOnNotified = notified;
+        this.bulb.saveState();
+    }
+
+    // Returns true when the reminder was sent
+    checkLeftOn(now = this.clock.now()) {
+        const { isOn, onSince, leftOnNotified } = this.bulb.state;
+        const limitMs = this.settings.leftOnHours * HOUR_MS;
+        if (!limitMs || !isOn || onSince === null || leftOnNotified) return false;
+        if (now - onSince < limitMs) return false;
+
+        const hours = Math.floor((now - onSince) / HOUR_MS);
+        const sent = this.notify(
+            `${this.bulb.name} is still on`,
+            `It has been on for ${hours === 1 ? '1 hour' : `${hours} hours`}`,
+            'left-on'
+        );
+        if (sent) this.setLeftOnNotified(true);
+        return sent;
+    }
+
+    // Through the service worker where there is one - mobile browsers only allow that route
+    notify(title, body, tag) {
+        if (!this.isActive() || !this.bulb.ownsTimers()) return false;
+
+        const options = { body, tag, icon: NOTIFY_ICON };
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.ready
+                .then(registration => registration.showNotification(title, options))
+                .catch(error => console.warn('Could not show notification:', error));
+        } else {
+            try {
+                new this.Notification(title, options);
+            } catch (error) {
+                console.warn('Could not show notification:', error);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    render() {
+        const { status, toggleBtn, hoursInput, schedulesInput } = this.elements;
+        const permission = this.getPermission();
+        const active = this.isActive();
+
+        const labels = {
+            unsupported: 'Not supported in this browser',
+            denied: 'Blocked in browser settings'
+        };
+        status.textContent = labels[permission] || (active ? 'On' : 'Off');
+
+        toggleBtn.disabled = permission === 'unsupported' || permission === 'denied';
+        toggleBtn.classList.toggle('active', active);
+        toggleBtn.setAttribute('aria-pressed', String(active));
+        toggleBtn.querySelector('span').textContent = active ? 'Turn Off Notifications' : 'Turn On Notifications';
+
+        hoursInput.value = this.settings.leftOnHours;
+        schedulesInput.checked = this.settings.schedules;
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+
+    destroy() {
+        clearInterval(this.checkInterval);
+    }
+}
+
+window.BulbNotifier = BulbNotifier;
@@ -0,0 +1,72 @@
+/**
+ * Installable App
+ * Registers the service worker that makes the controller installable and
+ * usable offline, and runs the launch actions behind the home-screen
+ * shortcuts in manifest.webmanifest: index.html?action=on / ?action=off
+ */
+
+const LAUNCH_ACTIONS = {
+    on: { method: 'turnOn', message: 'Light turned on from shortcut' },
+    off: { method: 'turnOff', message: 'Light turned off from shortcut' }
+};
+
+class AppShell {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.serviceWorkerUrl = options.serviceWorkerUrl || 'service-worker.js';
+        this.location = options.location || window.location;
+        this.registration = null;
+    }
+
+    init() {
+        this.registerServiceWorker();
+        this.runLaunchAction();
+    }
+
+    // Service workers need http(s); opened from a file the app just stays online-only
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(this.location.protocol)) {
+            return Promise.resolve(null);
+        }
+
+        return navigator.serviceWorker.register(this.serviceWorkerUrl)
+            .then(registration => {
+                this.registration = registration;
+                return registration;
+            })
+            .catch(error => {
+                console.warn('Could not register service worker:', error);
+                return null;
+            });
+    }
+
+    // Returns the action that ran, or null
+    runLaunchAction() {
+        const params = new URLSearchParams(this.location.search);
+        const name = params.get('action');
+        const action = LAUNCH_ACTIONS[name];
+        if (!action) return null;
+
+        this.bulb.withSource('launch', () => this.bulb[action.method]());
+
+        // Drop the parameter so a reload doesn't switch the light again
+        params.delete('action');
+        const query = params.toString();
+        history.replaceState(history.state, '',
+            `${this.location.pathname}${query ? `?${query}` : ''}${this.location.hash}`);
+
+        this.announce(action.message);
+        return name;
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+}
+
+window.AppShell = AppShell;
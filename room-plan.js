@@ -0,0 +1,841 @@
+/**
+ * Room Plan
+ * A scaled floor plan of the room with each bulb placed on it, drawn on a
+ * canvas as the light falling on the floor or desk plane and on the walls.
+ * Illuminance comes from each bulb's current lumen output and position by
+ * the inverse-square and cosine laws - direct light only, no reflections off
+ * walls or ceiling, so real rooms read somewhat brighter - and measuring
+ * points placed on the plan show the estimate at that spot
+ */
+
+const ROOM_PLAN_STORAGE_KEY = 'ledBulbRoomPlan';
+
+// Meters; `plane` is the height light is measured at - the floor or a desk
+const ROOM_PLAN_DEFAULTS = { width: 5, depth: 4, height: 2.7, plane: 0.75 };
+const ROOM_PLAN_LIMITS = { width: [1, 20], depth: [1, 20], height: [2, 6] };
+
+// Walls are sampled at eye level
+const ROOM_PLAN_WALL_HEIGHT = 1.5;
+
+// Color scale: a log ramp from unlit to ROOM_PLAN_LUX_SCALE
+const ROOM_PLAN_LUX_SCALE = 1000;
+const ROOM_PLAN_RAMP = [
+    [0, [16, 20, 33]],
+    [0.6, [255, 179, 71]],
+    [1, [255, 248, 225]]
+];
+
+// Canvas layout, in CSS pixels
+const ROOM_PLAN_CELL_PX = 6;
+const ROOM_PLAN_WALL_PX = 14;
+const ROOM_PLAN_HIT_PX = 14;
+const ROOM_PLAN_MAX_HEIGHT_PX = 480;
+const ROOM_PLAN_NUDGE_M = 0.1; // per arrow key press, five times that with Shift
+
+// Points are { x, y, z } in meters - x from the left wall, y from the back
+// wall, z up from the floor. Lights are { x, y, z, lumens, beamAngle },
+// pointing straight down
+const Illuminance = {
+    // Candela toward a direction whose angle from straight down has cosine `cosNadir`
+    intensity(light, cosNadir) {
+        if (!light.beamAngle) return light.lumens / (4 * Math.PI);
+
+        // A flood spreads its lumens evenly over its beam
+        const cosHalfAngle = Math.cos(light.beamAngle / 2 * Math.PI / 180);
+        if (cosNadir < cosHalfAngle) return 0;
+        return light.lumens / (2 * Math.PI * (1 - cosHalfAngle));
+    },
+
+    // Lux on a surface at `point` facing `normal` (a unit vector)
+    at(point, normal, lights) {
+        return lights.reduce((total, light) => {
+            const dx = light.x - point.x;
+            const dy = light.y - point.y;
+            const dz = light.z - point.z;
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            if (distanceSq === 0) return total;
+
+            const distance = Math.sqrt(distanceSq);
+            const cosIncidence = (dx * normal.x + dy * normal.y + dz * normal.z) / distance;
+            if (cosIncidence <= 0) return total;
+
+            return total + Illuminance.intensity(light, dz / distance) * cosIncidence / distanceSq;
+        }, 0);
+    }
+};
+
+const ROOM_PLAN_UP = { x: 0, y: 0, z: 1 };
+
+// Each wall as a start corner, a direction along it and the normal into the room
+const ROOM_PLAN_WALLS = {
+    back: (room) => ({ x: 0, y: 0, along: { x: 1, y: 0 }, length: room.width, normal: { x: 0, y: 1, z: 0 } }),
+    right: (room) => ({ x: room.width, y: 0, along: { x: 0, y: 1 }, length: room.depth, normal: { x: -1, y: 0, z: 0 } }),
+    front: (room) => ({ x: 0, y: room.depth, along: { x: 1, y: 0 }, length: room.width, normal: { x: 0, y: -1, z: 0 } }),
+    left: (room) => ({ x: 0, y: 0, along: { x: 0, y: 1 }, length: room.depth, normal: { x: 1, y: 0, z: 0 } })
+};
+
+// The room, where each bulb hangs and the measuring points. Registered with
+// BulbGroup as an observer, so it follows bulbs being added and removed
+class RoomPlan {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || ROOM_PLAN_STORAGE_KEY;
+
+        this.room = { ...ROOM_PLAN_DEFAULTS };
+        this.placements = {}; // bulb id -> { x, y, z }
+        this.points = []; // { id, x, y }
+        this.bulbs = new Map(); // id -> { bulb, unsubscribe }
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) this.applySaved(JSON.parse(saved));
+        } catch (error) {
+            console.warn('Could not load room plan:', error);
+        }
+    }
+
+    applySaved(saved) {
+        const room = { ...ROOM_PLAN_DEFAULTS, ...(saved.room || {}) };
+        this.room = { ...ROOM_PLAN_DEFAULTS };
+        this.setRoom(room, { persist: false });
+
+        this.placements = {};
+        Object.entries(saved.placements || {}).forEach(([id, position]) => {
+            this.placements[id] = this.clampPlacement(position);
+        });
+
+        this.points = (Array.isArray(saved.points) ? saved.points : [])
+            .filter(point => point && typeof point.id === 'string')
+            .map(point => ({ id: point.id, ...this.clampPoint(point) }));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                room: this.room,
+                placements: this.placements,
+                points: this.points
+            }));
+        } catch (error) {
+            console.warn('Could not save room plan:', error);
+        }
+    }
+
+    // The plan changed in another tab
+    syncFromStorage(value) {
+        try {
+            this.applySaved(JSON.parse(value));
+        } catch (error) {
+            console.warn('Could not sync room plan:', error);
+            return;
+        }
+
+        // Bulbs this tab knows about keep a place on the plan
+        this.bulbs.forEach((entry, id) => {
+            if (!this.placements[id]) this.placements[id] = this.defaultPlacement(this.bulbs.size - 1);
+        });
+        this.notify();
+    }
+
+    // Called after every change to the room, a placement, a point or a bulb's output
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    // BulbGroup observer
+    addBulb(bulb) {
+        if (this.bulbs.has(bulb.id)) return;
+
+        const unsubscribe = bulb.on('change', () => this.notify());
+        this.bulbs.set(bulb.id, { bulb, unsubscribe });
+
+        if (!this.placements[bulb.id]) {
+            this.placements[bulb.id] = this.defaultPlacement(this.bulbs.size - 1);
+            this.save();
+        }
+        this.notify();
+    }
+
+    removeBulb(id) {
+        const entry = this.bulbs.get(id);
+        if (!entry) return;
+
+        entry.unsubscribe();
+        this.bulbs.delete(id);
+        delete this.placements[id];
+        this.save();
+        this.notify();
+    }
+
+    getBulbs() {
+        return Array.from(this.bulbs.values(), entry => entry.bulb);
+    }
+
+    // The first bulb in the middle of the ceiling, the rest around it
+    defaultPlacement(index) {
+        const { width, depth, height } = this.room;
+        if (index === 0) return { x: width / 2, y: depth / 2, z: height };
+
+        const angle = (index - 1) * Math.PI / 3;
+        const radius = Math.min(width, depth) / 3;
+        return this.clampPlacement({
+            x: width / 2 + radius * Math.cos(angle),
+            y: depth / 2 + radius * Math.sin(angle),
+            z: height
+        });
+    }
+
+    clampPoint({ x, y }) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const clamp = (value, max) => round(Math.max(0, Math.min(max, Number.isFinite(value) ? value : max / 2)));
+
+        return { x: clamp(x, this.room.width), y: clamp(y, this.room.depth) };
+    }
+
+    // Bulbs hang anywhere between the measuring plane and the ceiling
+    clampPlacement(position) {
+        const { height, plane } = this.room;
+        const z = Number.isFinite(position.z) ? position.z : height;
+
+        return {
+            ...this.clampPoint(position),
+            z: Math.round(Math.max(plane + 0.1, Math.min(height, z)) * 100) / 100
+        };
+    }
+
+    // Takes any of { width, depth, height, plane }; returns whether all of them were usable
+    setRoom(changes, { persist = true } = {}) {
+        const room = { ...this.room };
+        let valid = true;
+
+        Object.entries(ROOM_PLAN_LIMITS).forEach(([key, [min, max]]) => {
+            if (changes[key] === undefined) return;
+            if (Number.isFinite(changes[key]) && changes[key] > 0) {
+                room[key] = Math.max(min, Math.min(max, changes[key]));
+            } else {
+                valid = false;
+            }
+        });
+
+        // Below the lowest ceiling allowed
+        if (changes.plane !== undefined) {
+            if (Number.isFinite(changes.plane) && changes.plane >= 0 && changes.plane < ROOM_PLAN_LIMITS.height[0]) {
+                room.plane = changes.plane;
+            } else {
+                valid = false;
+            }
+        }
+
+        this.room = room;
+
+        // Shrinking the room pulls bulbs and points back inside it
+        Object.keys(this.placements).forEach(id => {
+            this.placements[id] = this.clampPlacement(this.placements[id]);
+        });
+        this.points = this.points.map(point => ({ ...point, ...this.clampPoint(point) }));
+
+        if (persist) {
+            this.save();
+            this.notify();
+        }
+        return valid;
+    }
+
+    // The fields of a position that are numbers - a cleared input leaves that coordinate alone
+    static finite(position) {
+        return Object.fromEntries(Object.entries(position).filter(([, value]) => Number.isFinite(value)));
+    }
+
+    moveBulb(id, position, { persist = true } = {}) {
+        if (!this.placements[id]) return;
+
+        this.placements[id] = this.clampPlacement({ ...this.placements[id], ...RoomPlan.finite(position) });
+        if (persist) this.save();
+        this.notify();
+    }
+
+    addPoint(x, y) {
+        const point = {
+            id: `point-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...this.clampPoint({ x, y })
+        };
+
+        this.points.push(point);
+        this.save();
+        this.notify();
+        return point;
+    }
+
+    movePoint(id, position, { persist = true } = {}) {
+        const index = this.points.findIndex(point => point.id === id);
+        if (index === -1) return;
+
+        const point = this.points[index];
+        this.points[index] = { id, ...this.clampPoint({ ...point, ...RoomPlan.finite(position) }) };
+        if (persist) this.save();
+        this.notify();
+    }
+
+    removePoint(id) {
+        this.points = this.points.filter(point => point.id !== id);
+        this.save();
+        this.notify();
+    }
+
+    // Light sources as Illuminance expects them; a bulb that is off gives no light
+    getLights() {
+        return this.getBulbs()
+            .filter(bulb => this.placements[bulb.id])
+            .map(bulb => ({
+                ...this.placements[bulb.id],
+                lumens: bulb.state.lumens,
+                beamAngle: bulb.getProfile().beamAngle || 0
+            }));
+    }
+
+    // Lux on the measuring plane
+    luxAt(x, y, lights = this.getLights()) {
+        return Illuminance.at({ x, y, z: this.room.plane }, ROOM_PLAN_UP, lights);
+    }
+
+    // Lux at eye level on a wall (back, right, front or left), `along` meters from its start
+    wallLuxAt(side, along, lights = this.getLights()) {
+        const wall = ROOM_PLAN_WALLS[side](this.room);
+        const point = {
+            x: wall.x + wall.along.x * along,
+            y: wall.y + wall.along.y * along,
+            z: ROOM_PLAN_WALL_HEIGHT
+        };
+        return Illuminance.at(point, wall.normal, lights);
+    }
+
+    // Lux at the center of each cell of a columns x rows grid over the plane,
+    // with its minimum, maximum and average
+    sample(columns, rows) {
+        const lights = this.getLights();
+        const cellWidth = this.room.width / columns;
+        const cellDepth = this.room.depth / rows;
+        const values = [];
+
+        for (let row = 0; row < rows; row++) {
+            const line = [];
+            for (let column = 0; column < columns; column++) {
+                line.push(this.luxAt((column + 0.5) * cellWidth, (row + 0.5) * cellDepth, lights));
+            }
+            values.push(line);
+        }
+
+        const all = values.flat();
+        return {
+            values,
+            min: Math.min(...all),
+            max: Math.max(...all),
+            average: all.reduce((sum, lux) => sum + lux, 0) / all.length
+        };
+    }
+
+    destroy() {
+        this.bulbs.forEach(entry => entry.unsubscribe());
+        this.bulbs.clear();
+    }
+}
+
+class RoomPlanPanel {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.plan = options.plan || new RoomPlan();
+
+        this.context = null;
+        this.layout = null; // where the floor was last drawn
+        this.selected = null; // { type: 'bulb' | 'point', id }
+        this.dragging = false;
+        this.frame = null;
+
+        this.handleStorage = (e) => {
+            if (e.key === this.plan.storageKey && e.newValue) this.plan.syncFromStorage(e.newValue);
+        };
+        this.handleResize = () => this.scheduleRender();
+    }
+
+    // Before the room adds its bulbs, so saved placements are in place
+    init() {
+        this.plan.load();
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+
+        this.plan.onChange(() => this.scheduleRender());
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            canvas: find('room-canvas'),
+            summary: find('room-plan-summary'),
+            widthInput: find('room-width'),
+            depthInput: find('room-depth'),
+            heightInput: find('room-height'),
+            planeSelect: find('room-plane'),
+            bulbList: find('plan-bulb-list'),
+            pointList: find('plan-point-list'),
+            ariaAnnouncement: document.getElementById('aria-announcement')
+        };
+
+        this.context = this.elements.canvas.getContext('2d');
+    }
+
+    setupEventListeners() {
+        const { canvas, widthInput, depthInput, heightInput, planeSelect, bulbList, pointList } = this.elements;
+
+        [['width', widthInput], ['depth', depthInput], ['height', heightInput]].forEach(([key, input]) => {
+            input.addEventListener('change', () => {
+                const valid = this.plan.setRoom({ [key]: parseFloat(input.value) });
+                input.setAttribute('aria-invalid', String(!valid));
+            });
+        });
+
+        planeSelect.addEventListener('change', () => {
+            this.plan.setRoom({ plane: parseFloat(planeSelect.value) });
+        });
+
+        // Position fields in the bulb and point lists
+        bulbList.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (field) this.plan.moveBulb(e.target.closest('[data-id]').dataset.id, { [field]: parseFloat(e.target.value) });
+        });
+
+        pointList.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (field) this.plan.movePoint(e.target.closest('[data-id]').dataset.id, { [field]: parseFloat(e.target.value) });
+        });
+
+        pointList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            if (button) this.removePoint(button.closest('[data-id]').dataset.id);
+        });
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => this.handlePointerUp());
+        canvas.addEventListener('pointercancel', () => this.handlePointerUp());
+        canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+
+    // Pointer handling - drag bulbs and points, click the floor to add a point
+    getPlanPosition(e) {
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const { left, top, scale } = this.layout;
+
+        return {
+            x: (e.clientX - rect.left - left) / scale,
+            y: (e.clientY - rect.top - top) / scale
+        };
+    }
+
+    // The point or bulb drawn under a plan position, points first since they sit on top
+    hitTest(position) {
+        const reach = ROOM_PLAN_HIT_PX / this.layout.scale;
+        const near = ({ x, y }) => Math.hypot(x - position.x, y - position.y) <= reach;
+
+        const point = this.plan.points.slice().reverse().find(near);
+        if (point) return { type: 'point', id: point.id };
+
+        const bulb = this.plan.getBulbs().reverse().find(item => near(this.plan.placements[item.id]));
+        return bulb ? { type: 'bulb', id: bulb.id } : null;
+    }
+
+    handlePointerDown(e) {
+        if (!this.layout) return;
+
+        const position = this.getPlanPosition(e);
+        const hit = this.hitTest(position);
+        const { width, depth } = this.plan.room;
+
+        if (hit) {
+            this.selected = hit;
+            this.dragging = true;
+            this.elements.canvas.setPointerCapture(e.pointerId);
+        } else if (position.x >= 0 && position.x <= width && position.y >= 0 && position.y <= depth) {
+            const point = this.plan.addPoint(position.x, position.y);
+            this.selected = { type: 'point', id: point.id };
+            this.announce(`Measuring point added: ${this.describePoint(point)}`);
+        }
+        this.scheduleRender();
+    }
+
+    handlePointerMove(e) {
+        if (!this.dragging) return;
+        this.moveSelected(this.getPlanPosition(e), { persist: false });
+    }
+
+    handlePointerUp() {
+        if (!this.dragging) return;
+
+        this.dragging = false;
+        this.plan.save();
+        this.announce(this.describeSelected());
+    }
+
+    // Arrow keys nudge the selected bulb or point, Delete removes a point
+    handleKeyDown(e) {
+        const selected = this.getSelectedPosition();
+        if (!selected) return;
+
+        const step = ROOM_PLAN_NUDGE_M * (e.shiftKey ? 5 : 1);
+        const moves = {
+            ArrowLeft: { x: selected.x - step },
+            ArrowRight: { x: selected.x + step },
+            ArrowUp: { y: selected.y - step },
+            ArrowDown: { y: selected.y + step }
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            this.moveSelected(moves[e.key]);
+            this.announce(this.describeSelected());
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected.type === 'point') {
+            e.preventDefault();
+            this.removePoint(this.selected.id);
+        }
+    }
+
+    getSelectedPosition() {
+        if (!this.selected) return null;
+        if (this.selected.type === 'bulb') return this.plan.placements[this.selected.id] || null;
+        return this.plan.points.find(point => point.id === this.selected.id) || null;
+    }
+
+    moveSelected(position, options) {
+        if (this.selected.type === 'bulb') {
+            this.plan.moveBulb(this.selected.id, position, options);
+        } else {
+            this.plan.movePoint(this.selected.id, position, options);
+        }
+    }
+
+    removePoint(id) {
+        this.plan.removePoint(id);
+        if (this.selected && this.selected.id === id) this.selected = null;
+        this.announce('Measuring point removed');
+    }
+
+    describePoint(point) {
+        return `${Math.round(this.plan.luxAt(point.x, point.y))} lx at ${point.x.toFixed(1)} m, ${point.y.toFixed(1)} m`;
+    }
+
+    describeSelected() {
+        const position = this.getSelectedPosition();
+        if (!position) return '';
+        if (this.selected.type === 'point') return this.describePoint(position);
+
+        const bulb = this.plan.bulbs.get(this.selected.id).bulb;
+        return `${bulb.name} at ${position.x.toFixed(1)} m, ${position.y.toFixed(1)} m`;
+    }
+
+    // Rendering - a bulb change fires for every slider step, so draws are
+    // batched into the next frame
+    scheduleRender() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        const { room } = this.plan;
+        const { widthInput, depthInput, heightInput, planeSelect } = this.elements;
+
+        // Leave a field alone while someone is typing in it
+        [[widthInput, room.width], [depthInput, room.depth], [heightInput, room.height]].forEach(([input, value]) => {
+            if (input !== document.activeElement) input.value = value;
+        });
+        planeSelect.value = String(room.plane);
+
+        const stats = this.draw();
+        this.renderBulbList();
+        this.renderPointList();
+
+        const plane = room.plane > 0 ? 'desk height' : 'the floor';
+        const summary = stats.max > 0 ?
+            `${Math.round(stats.average)} lx average • ${Math.round(stats.min)}–${Math.round(stats.max)} lx` :
+            'No light';
+        this.elements.summary.textContent = summary;
+        this.elements.canvas.setAttribute('aria-label',
+            `Room plan, ${room.width} by ${room.depth} m, light at ${plane}: ${summary}`);
+    }
+
+    // Returns the plane's lux statistics
+    draw() {
+        const { canvas } = this.elements;
+        const { room } = this.plan;
+
+        // Fit the room to the canvas width, within a maximum height
+        const cssWidth = canvas.clientWidth || canvas.width;
+        const inner = Math.max(1, cssWidth - ROOM_PLAN_WALL_PX * 2);
+        const scale = Math.min(inner / room.width, (ROOM_PLAN_MAX_HEIGHT_PX - ROOM_PLAN_WALL_PX * 2) / room.depth);
+        const floor = { width: room.width * scale, height: room.depth * scale };
+        const cssHeight = floor.height + ROOM_PLAN_WALL_PX * 2;
+        this.layout = { left: (cssWidth - floor.width) / 2, top: ROOM_PLAN_WALL_PX, scale };
+
+        const columns = Math.max(1, Math.ceil(floor.width / ROOM_PLAN_CELL_PX));
+        const rows = Math.max(1, Math.ceil(floor.height / ROOM_PLAN_CELL_PX));
+        const stats = this.plan.sample(columns, rows);
+
+        const context = this.context;
+        if (!context) return stats;
+
+        // Sharp on high-density screens
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(cssWidth * ratio);
+        canvas.height = Math.round(cssHeight * ratio);
+        canvas.style.height = `${cssHeight}px`;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        const styles = getComputedStyle(canvas);
+        const color = (name) => styles.getPropertyValue(name).trim();
+        context.fillStyle = color('--card-bg');
+        context.fillRect(0, 0, cssWidth, cssHeight);
+
+        const { left, top } = this.layout;
+        const cellWidth = floor.width / columns;
+        const cellHeight = floor.height / rows;
+        stats.values.forEach((line, row) => {
+            line.forEach((lux, column) => {
+                context.fillStyle = this.luxColor(lux);
+                // Overlap by a pixel so no seams show between cells
+                context.fillRect(left + column * cellWidth, top + row * cellHeight, cellWidth + 1, cellHeight + 1);
+            });
+        });
+
+        this.drawWalls();
+
+        context.strokeStyle = color('--text-secondary');
+        context.lineWidth = 2;
+        context.strokeRect(left, top, floor.width, floor.height);
+
+        this.drawBulbs(color);
+        this.drawPoints(color);
+        return stats;
+    }
+
+    // Each wall as a strip just outside the floor, colored by its eye-level lux
+    drawWalls() {
+        const { context } = this;
+        const { left, top, scale } = this.layout;
+        const { room } = this.plan;
+        const lights = this.plan.getLights();
+        const right = left + room.width * scale;
+        const bottom = top + room.depth * scale;
+
+        const strips = {
+            back: (offset, length) => [left + offset, top - ROOM_PLAN_WALL_PX, length, ROOM_PLAN_WALL_PX],
+            right: (offset, length) => [right, top + offset, ROOM_PLAN_WALL_PX, length],
+            front: (offset, length) => [left + offset, bottom, length, ROOM_PLAN_WALL_PX],
+            left: (offset, length) => [left - ROOM_PLAN_WALL_PX, top + offset, ROOM_PLAN_WALL_PX, length]
+        };
+
+        Object.entries(strips).forEach(([side, rect]) => {
+            const length = ROOM_PLAN_WALLS[side](room).length * scale;
+            const cells = Math.max(1, Math.ceil(length / ROOM_PLAN_CELL_PX));
+            const cellLength = length / cells;
+
+            for (let cell = 0; cell < cells; cell++) {
+                const along = (cell + 0.5) * cellLength / scale;
+                context.fillStyle = this.luxColor(this.plan.wallLuxAt(side, along, lights));
+                context.fillRect(...rect(cell * cellLength, cellLength + 1));
+            }
+        });
+    }
+
+    drawBulbs(color) {
+        const { context } = this;
+        const { left, top, scale } = this.layout;
+
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+
+        this.plan.getBulbs().forEach(bulb => {
+            const { x, y } = this.plan.placements[bulb.id];
+            const cx = left + x * scale;
+            const cy = top + y * scale;
+            const isSelected = this.selected && this.selected.type === 'bulb' && this.selected.id === bulb.id;
+
+            context.beginPath();
+            context.arc(cx, cy, 8, 0, Math.PI * 2);
+            context.fillStyle = color(bulb.state.lumens > 0 ? '--plan-bulb-on' : '--plan-bulb-off');
+            context.fill();
+            context.lineWidth = isSelected ? 3 : 1.5;
+            context.strokeStyle = color(isSelected ? '--plan-selected' : '--plan-bulb-stroke');
+            context.stroke();
+
+            this.drawLabel(color, bulb.name, cx, cy - 14);
+        });
+    }
+
+    drawPoints(color) {
+        const { context } = this;
+        const { left, top, scale } = this.layout;
+
+        this.plan.points.forEach(point => {
+            const cx = left + point.x * scale;
+            const cy = top + point.y * scale;
+            const isSelected = this.selected && this.selected.type === 'point' && this.selected.id === point.id;
+
+            context.beginPath();
+            context.moveTo(cx - 6, cy);
+            context.lineTo(cx + 6, cy);
+            context.moveTo(cx, cy - 6);
+            context.lineTo(cx, cy + 6);
+            context.lineWidth = isSelected ? 3 : 2;
+            context.strokeStyle = color(isSelected ? '--plan-selected' : '--plan-point');
+            context.stroke();
+
+            this.drawLabel(color, `${Math.round(this.plan.luxAt(point.x, point.y))} lx`, cx, cy + 20);
+        });
+    }
+
+    // Text on a backing so it reads over any part of the light map
+    drawLabel(color, text, x, y) {
+        const { context } = this;
+        const width = context.measureText(text).width + 8;
+
+        context.fillStyle = color('--plan-label-bg');
+        context.fillRect(x - width / 2, y - 11, width, 15);
+        context.fillStyle = color('--plan-label-text');
+        context.fillText(text, x, y);
+    }
+
+    luxColor(lux) {
+        const t = Math.min(1, Math.log10(1 + lux) / Math.log10(1 + ROOM_PLAN_LUX_SCALE));
+        const upper = ROOM_PLAN_RAMP.findIndex(([stop]) => stop >= t);
+        if (upper <= 0) return `rgb(${ROOM_PLAN_RAMP[0][1].join(', ')})`;
+
+        const [fromStop, from] = ROOM_PLAN_RAMP[upper - 1];
+        const [toStop, to] = ROOM_PLAN_RAMP[upper];
+        const mix = (t - fromStop) / (toStop - fromStop);
+        return `rgb(${from.map((channel, i) => Math.round(channel + (to[i] - channel) * mix)).join(', ')})`;
+    }
+
+    // Rows are kept from one render to the next, so a field being edited keeps its focus
+    syncRows(list, ids, createRow) {
+        const rows = new Map(Array.from(list.children, row => [row.dataset.id, row]));
+        rows.forEach((row, id) => {
+            if (!ids.includes(id)) row.remove();
+        });
+
+        return ids.map(id => {
+            let row = rows.get(id);
+            if (!row) {
+                row = createRow(id);
+                row.dataset.id = id;
+                list.appendChild(row);
+            }
+            return row;
+        });
+    }
+
+    setField(row, field, value) {
+        const input = row.querySelector(`[data-field="${field}"]`);
+        if (input !== document.activeElement) input.value = value;
+    }
+
+    renderBulbList() {
+        const bulbs = this.plan.getBulbs();
+        const { room } = this.plan;
+
+        const rows = this.syncRows(this.elements.bulbList, bulbs.map(bulb => bulb.id), () => {
+            const row = document.createElement('li');
+            row.className = 'schedule-item plan-row';
+            row.innerHTML = `
+                <i class="fas fa-lightbulb" aria-hidden="true"></i>
+                <span class="schedule-desc"></span>
+                <label class="plan-field">x <input type="number" class="text-input" data-field="x" step="0.1" min="0"></label>
+                <label class="plan-field">y <input type="number" class="text-input" data-field="y" step="0.1" min="0"></label>
+                <label class="plan-field">height <input type="number" class="text-input" data-field="z" step="0.1"></label>
+            `;
+            return row;
+        });
+
+        rows.forEach((row, index) => {
+            const bulb = bulbs[index];
+            const { x, y, z } = this.plan.placements[bulb.id];
+
+            row.querySelector('.schedule-desc').textContent = `${bulb.name} • ${bulb.state.lumens} lm`;
+            row.querySelectorAll('input').forEach(input => {
+                input.setAttribute('aria-label', `${bulb.name} ${input.dataset.field === 'z' ? 'height' : input.dataset.field} (m)`);
+            });
+            row.querySelector('[data-field="x"]').max = room.width;
+            row.querySelector('[data-field="y"]').max = room.depth;
+            row.querySelector('[data-field="z"]').max = room.height;
+            this.setField(row, 'x', x);
+            this.setField(row, 'y', y);
+            this.setField(row, 'z', z);
+        });
+    }
+
+    renderPointList() {
+        const { points } = this.plan;
+        const list = this.elements.pointList;
+
+        const rows = this.syncRows(list, points.map(point => point.id), () => {
+            const row = document.createElement('li');
+            row.className = 'schedule-item plan-row';
+            row.innerHTML = `
+                <i class="fas fa-crosshairs" aria-hidden="true"></i>
+                <span class="schedule-desc"></span>
+                <label class="plan-field">x <input type="number" class="text-input" data-field="x" step="0.1" min="0"></label>
+                <label class="plan-field">y <input type="number" class="text-input" data-field="y" step="0.1" min="0"></label>
+                <button class="icon-btn danger" data-action="delete" aria-label="Delete measuring point">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+            return row;
+        });
+
+        rows.forEach((row, index) => {
+            const point = points[index];
+            const label = `Point ${index + 1}`;
+
+            row.querySelector('.schedule-desc').textContent = `${label} • ${Math.round(this.plan.luxAt(point.x, point.y))} lx`;
+            row.querySelector('[data-field="x"]').setAttribute('aria-label', `${label} x (m)`);
+            row.querySelector('[data-field="y"]').setAttribute('aria-label', `${label} y (m)`);
+            this.setField(row, 'x', point.x);
+            this.setField(row, 'y', point.y);
+        });
+
+        // The hint stands in for an empty list
+        list.hidden = points.length === 0;
+    }
+
+    announce(message) {
+        const region = this.elements.ariaAnnouncement;
+        if (!region) return;
+
+        region.textContent = message;
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.plan.destroy();
+        window.removeEventListener('storage', this.handleStorage);
+        window.removeEventListener('resize', this.handleResize);
+    }
+}
+
+window.Illuminance = Illuminance;
+window.RoomPlan = RoomPlan;
+window.RoomPlanPanel = RoomPlanPanel;
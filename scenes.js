@@ -0,0 +1,249 @@
+/**
+ * Scene Presets
+ * Named lighting states (power, brightness, color) that are
+ * saved with the bulb's persisted state and recalled with a timed crossfade
+ */
+
+const DEFAULT_SCENES = [
+    { id: 'reading', name: 'Reading', isOn: true, brightness: 85, colorMode: 'white', colorTemperature: 4000 },
+    { id: 'movie', name: 'Movie', isOn: true, brightness: 20, colorMode: 'white', colorTemperature: 2700 },
+    { id: 'night-light', name: 'Night light', isOn: true, brightness: 10, colorMode: 'white', colorTemperature: 2200 }
+];
+
+class SceneManager {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+    }
+
+    init() {
+        // First run - seed the scene list with a few useful presets
+        if (!this.bulb.state.scenes) {
+            this.bulb.state.scenes = DEFAULT_SCENES.map(scene => ({ ...scene }));
+            this.bulb.saveState();
+        }
+
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            sceneList: find('scene-list'),
+            nameInput: find('scene-name-input'),
+            saveBtn: find('save-scene-btn'),
+            fadeInput: find('scene-fade-input')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.saveBtn.addEventListener('click', () => {
+            const name = this.elements.nameInput.value.trim();
+            this.saveScene(name || `Scene ${this.getScenes().length + 1}`);
+            this.elements.nameInput.value = '';
+        });
+
+        this.elements.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.elements.saveBtn.click();
+            }
+        });
+
+        this.elements.fadeInput.addEventListener('change', (e) => {
+            this.setFadeDuration(parseFloat(e.target.value) * 1000);
+        });
+
+        // Scene rows are re-rendered often, so delegate their clicks
+        this.elements.sceneList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-scene]').dataset.scene;
+            switch (button.dataset.action) {
+                case 'apply':
+                    this.applyScene(id);
+                    break;
+                case 'up':
+                    this.moveScene(id, -1);
+                    break;
+                case 'down':
+                    this.moveScene(id, 1);
+                    break;
+                case 'delete':
+                    this.deleteScene(id);
+                    break;
+            }
+        });
+
+        this.elements.sceneList.addEventListener('change', (e) => {
+            if (e.target.dataset.action === 'rename') {
+                const id = e.target.closest('[data-scene]').dataset.scene;
+                this.renameScene(id, e.target.value.trim());
+            }
+        });
+    }
+
+    getScenes() {
+        return this.bulb.state.scenes || [];
+    }
+
+    getScene(id) {
+        return this.getScenes().find(scene => scene.id === id) || null;
+    }
+
+    // The first scene whose lighting matches the bulb right now, if any
+    getActiveScene() {
+        return this.getScenes().find(scene => this.isActive(scene)) || null;
+    }
+
+    isActive(scene) {
+        const { isOn, brightness, colorMode, colorTemperature, color } = this.bulb.state;
+
+        return scene.isOn === isOn &&
+            scene.brightness === brightness &&
+            (scene.colorMode || 'white') === colorMode &&
+            (colorMode === 'rgb' ? scene.color === color : scene.colorTemperature === colorTemperature);
+    }
+
+    // Capture the bulb's current lighting state under a new name
+    saveScene(name) {
+        const { isOn, brightness, colorMode, colorTemperature, color } = this.bulb.state;
+        const scene = {
+            id: `scene-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            isOn,
+            brightness,
+            colorMode,
+            colorTemperature,
+            color
+        };
+
+        this.getScenes().push(scene);
+        this.persist();
+        this.announce(`Scene ${name} saved`);
+        return scene;
+    }
+
+    applyScene(id) {
+        const scene = this.getScene(id);
+        if (!scene) return;
+
+        // Reapplying the scene the bulb already shows is not a step to undo
+        if (!this.isActive(scene)) this.bulb.recordHistory('scene');
+        this.bulb.withSource('scene', () => {
+            this.bulb.fadeTo(scene, this.bulb.state.sceneFadeMs, () => {
+                this.bulb.logEvent('scene', { scene: scene.name });
+            });
+        });
+        this.announce(`Scene ${scene.name} applied`);
+    }
+
+    renameScene(id, name) {
+        const scene = this.getScene(id);
+        if (!scene || !name) {
+            this.render();
+            return;
+        }
+
+        scene.name = name;
+        this.persist();
+        this.announce(`Scene renamed to ${name}`);
+    }
+
+    deleteScene(id) {
+        const scene = this.getScene(id);
+        if (!scene) return;
+
+        this.bulb.state.scenes = this.getScenes().filter(item => item.id !== id);
+        this.persist();
+        this.announce(`Scene ${scene.name} deleted`);
+    }
+
+    moveScene(id, direction) {
+        const scenes = this.getScenes();
+        const index = scenes.findIndex(scene => scene.id === id);
+        const target = index + direction;
+
+        if (index === -1 || target < 0 || target >= scenes.length) return;
+
+        [scenes[index], scenes[target]] = [scenes[target], scenes[index]];
+        this.persist();
+
+        // Keep keyboard focus on the row that moved
+        const row = this.elements.sceneList.querySelector(`[data-scene="${id}"]`);
+        const button = row && row.querySelector(`[data-action="${direction < 0 ? 'up' : 'down'}"]`);
+        if (button) button.focus();
+    }
+
+    setFadeDuration(ms) {
+        const duration = Math.max(0, Math.min(60000, Number.isFinite(ms) ? ms : 0));
+        this.bulb.state.sceneFadeMs = duration;
+        this.bulb.saveState();
+        this.elements.fadeInput.value = duration / 1000;
+    }
+
+    persist() {
+        this.bulb.saveState();
+        this.render();
+    }
+
+    render() {
+        const scenes = this.getScenes();
+        this.elements.fadeInput.value = this.bulb.state.sceneFadeMs / 1000;
+        this.elements.sceneList.innerHTML = '';
+
+        if (scenes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'scene-empty';
+            empty.textContent = 'No scenes yet - save the current lighting to create one';
+            this.elements.sceneList.appendChild(empty);
+            return;
+        }
+
+        scenes.forEach((scene, index) => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            item.dataset.scene = scene.id;
+
+            const colorLabel = scene.colorMode === 'rgb' ? scene.color : `${scene.colorTemperature}K`;
+            const summary = scene.isOn ? `${scene.brightness}% • ${colorLabel}` : 'Off';
+
+            item.innerHTML = `
+                <button class="scene-apply" data-action="apply" aria-label="Apply scene">
+                    <i class="fas fa-play"></i>
+                </button>
+                <input type="text" class="text-input scene-name" data-action="rename" aria-label="Scene name">
+                <span class="scene-summary">${summary}</span>
+                <button class="icon-btn" data-action="up" aria-label="Move scene up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button class="icon-btn" data-action="down" aria-label="Move scene down" ${index === scenes.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button class="icon-btn danger" data-action="delete" aria-label="Delete scene">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+
+            // Set via property so scene names are never parsed as markup
+            item.querySelector('.scene-name').value = scene.name;
+            item.querySelector('.scene-apply').setAttribute('aria-label', `Apply scene ${scene.name}`);
+            this.elements.sceneList.appendChild(item);
+        });
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+}
+
+window.SceneManager = SceneManager;
@@ -0,0 +1,463 @@
+/**
+ * Schedule Automation
+ * Time-of-day rules ("on at 07:00 ramping to 80% over 20 minutes",
+ * "off at 23:30 on weekdays") evaluated against an injectable clock,
+ * with catch-up of the rule that should currently be in effect on load
+ */
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class Scheduler {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.storageKey = options.storageKey || `ledBulbSchedule:${bulb.id}`;
+
+        // Anything with a now() returning epoch ms - swap in a fake clock for tests
+        this.clock = options.clock || { now: () => Date.now() };
+        this.tickMs = options.tickMs || 5000;
+
+        this.rules = [];
+        this.lastTick = null; // persisted, so reloads know what already ran
+        this.activeRamp = null;
+        this.savedRamp = null;
+        this.tickInterval = null;
+        this.fireListeners = [];
+        this.elements = null; // set by init()
+    }
+
+    init() {
+        this.loadSchedule();
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+        this.start();
+    }
+
+    loadSchedule() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                this.rules = Array.isArray(parsed.rules) ? parsed.rules : [];
+                this.lastTick = Number.isFinite(parsed.lastTick) ? parsed.lastTick : null;
+                this.savedRamp = parsed.activeRamp || null;
+            }
+        } catch (error) {
+            console.warn('Could not load schedule:', error);
+        }
+    }
+
+    saveSchedule() {
+        const ramp = this.activeRamp;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                rules: this.rules,
+                lastTick: this.lastTick,
+                activeRamp: ramp ? { ruleId: ramp.rule.id, start: ramp.start, from: ramp.from } : null
+            }));
+        } catch (error) {
+            console.warn('Could not save schedule:', error);
+        }
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            ruleList: find('schedule-list'),
+            timeInput: find('schedule-time'),
+            actionSelect: find('schedule-action'),
+            brightnessInput: find('schedule-brightness'),
+            rampInput: find('schedule-ramp'),
+            dayInputs: this.root.querySelectorAll('[data-role="schedule-day"]'),
+            addBtn: find('add-schedule-btn'),
+            nextValue: find('schedule-next')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.addBtn.addEventListener('click', () => {
+            const days = Array.from(this.elements.dayInputs)
+                .filter(input => input.checked)
+                .map(input => parseInt(input.value, 10));
+
+            this.addRule({
+                time: this.elements.timeInput.value,
+                action: this.elements.actionSelect.value,
+                brightness: parseInt(this.elements.brightnessInput.value, 10),
+                rampMinutes: parseInt(this.elements.rampInput.value, 10) || 0,
+                days
+            });
+        });
+
+        // "Off" rules have no level or ramp
+        this.elements.actionSelect.addEventListener('change', () => this.updateFormState());
+        this.updateFormState();
+
+        this.elements.ruleList.addEventListener('change', (e) => {
+            if (e.target.dataset.action === 'toggle') {
+                const id = e.target.closest('[data-rule]').dataset.rule;
+                this.setRuleEnabled(id, e.target.checked);
+            }
+        });
+
+        this.elements.ruleList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            if (button) {
+                this.removeRule(button.closest('[data-rule]').dataset.rule);
+            }
+        });
+
+        // Rules edited or ticked in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey && e.newValue) this.syncFromStorage(e.newValue);
+        });
+    }
+
+    syncFromStorage(value) {
+        try {
+            const parsed = JSON.parse(value);
+            const rules = Array.isArray(parsed.rules) ? parsed.rules : [];
+
+            // Never move lastTick backwards, or rules that already ran would fire again
+            if (Number.isFinite(parsed.lastTick)) {
+                this.lastTick = Math.max(this.lastTick || 0, parsed.lastTick);
+            }
+
+            if (JSON.stringify(rules) !== JSON.stringify(this.rules)) {
+                this.rules = rules;
+                this.render();
+            }
+        } catch (error) {
+            console.warn('Could not sync schedule:', error);
+        }
+    }
+
+    updateFormState() {
+        const isOff = this.elements.actionSelect.value === 'off';
+        this.elements.brightnessInput.disabled = isOff;
+        this.elements.rampInput.disabled = isOff;
+    }
+
+    // Rule management
+    addRule(rule) {
+        if (!/^\d{2}:\d{2}$/.test(rule.time || '')) {
+            this.announce('Enter a time for the schedule');
+            return null;
+        }
+
+        const newRule = {
+            id: `rule-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            enabled: true,
+            time: rule.time,
+            days: rule.days && rule.days.length ? rule.days : [0, 1, 2, 3, 4, 5, 6],
+            action: rule.action || 'on',
+            brightness: Number.isFinite(rule.brightness) ?
+                this.bulb.model.clampTarget(Math.round(rule.brightness)) : 100,
+            rampMinutes: Math.max(0, rule.rampMinutes || 0)
+        };
+
+        this.rules.push(newRule);
+        this.saveSchedule();
+        this.render();
+        this.announce(`Schedule added: ${this.describeRule(newRule)}`);
+        return newRule;
+    }
+
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        if (this.activeRamp && this.activeRamp.rule.id === id) {
+            this.activeRamp = null;
+        }
+
+        this.saveSchedule();
+        this.render();
+        this.announce('Schedule removed');
+    }
+
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.find(item => item.id === id);
+        if (!rule) return;
+
+        rule.enabled = enabled;
+        if (!enabled && this.activeRamp && this.activeRamp.rule.id === id) {
+            this.activeRamp = null;
+        }
+
+        this.saveSchedule();
+        this.render();
+    }
+
+    // Timing
+    start() {
+        this.stop();
+        this.catchUp();
+        this.tickInterval = setInterval(() => this.tick(), this.tickMs);
+    }
+
+    stop() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+
+    // After this tab becomes the leader, continue from what the old leader saved
+    resume() {
+        this.loadSchedule();
+        this.render();
+        this.start();
+    }
+
+    // Apply the rule that should be in effect now, as if the page had been open all along
+    catchUp() {
+        const now = this.clock.now();
+        let latest = null;
+
+        // Another tab is running the schedule
+        if (!this.bulb.ownsTimers()) {
+            this.renderNext(now);
+            return;
+        }
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            const occurrence = this.getPreviousOccurrence(rule, now);
+            if (occurrence !== null && (!latest || occurrence > latest.at)) {
+                latest = { rule, at: occurrence };
+            }
+        });
+
+        if (latest && (this.lastTick === null || latest.at > this.lastTick)) {
+            // Came due while the page was closed
+            this.fireRule(latest.rule, latest.at, now);
+        } else if (this.savedRamp) {
+            // Already fired before the reload - pick the ramp up where it left off
+            const rule = this.rules.find(item => item.id === this.savedRamp.ruleId && item.enabled);
+            if (rule) {
+                this.activeRamp = { rule, start: this.savedRamp.start, from: this.savedRamp.from, lastLevel: null };
+                this.updateRamp(now);
+            }
+        }
+
+        this.savedRamp = null;
+        this.lastTick = now;
+        this.saveSchedule();
+        this.renderNext(now);
+    }
+
+    tick() {
+        const now = this.clock.now();
+        if (!this.bulb.ownsTimers()) {
+            this.renderNext(now);
+            return;
+        }
+
+        const since = this.lastTick === null ? now : this.lastTick;
+
+        // Everything that came due since the last tick, oldest first
+        const due = [];
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            this.getOccurrencesBetween(rule, since, now).forEach(at => due.push({ rule, at }));
+        });
+        due.sort((a, b) => a.at - b.at);
+        due.forEach(({ rule, at }) => {
+            this.fireRule(rule, at, now);
+            this.fireListeners.forEach(listener => listener(rule, at));
+        });
+
+        this.updateRamp(now);
+        this.lastTick = now;
+        this.saveSchedule();
+        this.renderNext(now);
+    }
+
+    // Called with (rule, firedAt) as rules come due - not for the catch-up on load
+    onFire(listener) {
+        this.fireListeners.push(listener);
+    }
+
+    fireRule(rule, firedAt, now) {
+        this.activeRamp = null;
+
+        if (rule.action === 'off') {
+            this.bulb.withSource('schedule', () => this.bulb.turnOff());
+        } else {
+            const ramping = rule.rampMinutes > 0;
+            // Sunrise-style ramps start from the dimmest level
+            const from = rule.action === 'on' && !this.bulb.state.isOn ?
+                this.bulb.getMinBrightness() : this.bulb.state.brightness;
+
+            if (ramping) {
+                this.activeRamp = { rule, start: firedAt, from, lastLevel: null };
+                this.updateRamp(now);
+            } else {
+                this.applyLevel(rule, rule.brightness);
+            }
+        }
+
+        this.bulb.logEvent('schedule', { rule: this.describeRule(rule) });
+        this.announce(`Schedule: ${this.describeRule(rule)}`);
+    }
+
+    updateRamp(now) {
+        const ramp = this.activeRamp;
+        if (!ramp) return;
+
+        // A manual change since our last step hands control back to the user
+        const { isOn, brightness } = this.bulb.state;
+        const switchedOff = ramp.rule.action === 'on' && !isOn;
+        if (ramp.lastLevel !== null && (switchedOff || brightness !== ramp.lastLevel)) {
+            this.activeRamp = null;
+            return;
+        }
+
+        const duration = ramp.rule.rampMinutes * MINUTE_MS;
+        const progress = Math.max(0, Math.min(1, (now - ramp.start) / duration));
+        const level = Math.round(ramp.from + (ramp.rule.brightness - ramp.from) * progress);
+
+        this.applyLevel(ramp.rule, level);
+        ramp.lastLevel = this.bulb.state.brightness;
+
+        if (progress >= 1) {
+            this.activeRamp = null;
+        }
+    }
+
+    applyLevel(rule, level) {
+        // An instant fade updates visuals and storage without announcing every step;
+        // "dim to" rules adjust the level but leave a switched-off bulb off
+        const target = rule.action === 'on' ? { isOn: true, brightness: level } : { brightness: level };
+        this.bulb.withSource('schedule', () => this.bulb.fadeTo(target, 0));
+    }
+
+    // Occurrence maths - local wall-clock time, so DST shifts follow the user's clock
+    getOccurrenceOnDay(rule, dayStart) {
+        const [hours, minutes] = rule.time.split(':').map(Number);
+        const day = new Date(dayStart);
+        if (!rule.days.includes(day.getDay())) return null;
+
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).getTime();
+    }
+
+    getOccurrencesBetween(rule, from, to) {
+        const occurrences = [];
+        const cursor = new Date(from);
+        cursor.setHours(0, 0, 0, 0);
+
+        while (cursor.getTime() <= to) {
+            const at = this.getOccurrenceOnDay(rule, cursor.getTime());
+            if (at !== null && at > from && at <= to) {
+                occurrences.push(at);
+            }
+            cursor.setDate(cursor.getDate() + 1);
+        }
+
+        return occurrences;
+    }
+
+    getPreviousOccurrence(rule, now) {
+        const occurrences = this.getOccurrencesBetween(rule, now - 7 * DAY_MS, now);
+        return occurrences.length ? occurrences[occurrences.length - 1] : null;
+    }
+
+    getNextOccurrence(now) {
+        let next = null;
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            const [at] = this.getOccurrencesBetween(rule, now, now + 8 * DAY_MS);
+            if (at !== undefined && (!next || at < next.at)) {
+                next = { rule, at };
+            }
+        });
+
+        return next;
+    }
+
+    // Rendering
+    describeRule(rule) {
+        let action = 'Turn off';
+        if (rule.action === 'on') action = `Turn on at ${rule.brightness}%`;
+        if (rule.action === 'brightness') action = `Dim to ${rule.brightness}%`;
+        if (rule.action !== 'off' && rule.rampMinutes > 0) {
+            action += ` over ${rule.rampMinutes} min`;
+        }
+
+        return `${rule.time} ${this.describeDays(rule.days)} - ${action}`;
+    }
+
+    describeDays(days) {
+        const sorted = [...days].sort();
+        const key = sorted.join('');
+
+        if (key === '0123456') return 'daily';
+        if (key === '12345') return 'weekdays';
+        if (key === '06') return 'weekends';
+        return sorted.map(day => DAY_LABELS[day]).join(', ');
+    }
+
+    // Nothing to draw until init() - the rules also run without a panel, as in the tests
+    render() {
+        if (!this.elements) return;
+        this.elements.ruleList.innerHTML = '';
+
+        if (this.rules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'scene-empty';
+            empty.textContent = 'No schedules yet';
+            this.elements.ruleList.appendChild(empty);
+        }
+
+        this.rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'schedule-item';
+            item.classList.toggle('disabled', !rule.enabled);
+            item.dataset.rule = rule.id;
+
+            item.innerHTML = `
+                <input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''}>
+                <span class="schedule-desc"></span>
+                <button class="icon-btn danger" data-action="delete" aria-label="Delete schedule">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+
+            const description = this.describeRule(rule);
+            item.querySelector('.schedule-desc').textContent = description;
+            item.querySelector('[data-action="toggle"]').setAttribute('aria-label', `Enable ${description}`);
+            this.elements.ruleList.appendChild(item);
+        });
+
+        this.renderNext(this.clock.now());
+    }
+
+    renderNext(now) {
+        if (!this.elements) return;
+        const next = this.getNextOccurrence(now);
+
+        if (!next) {
+            this.elements.nextValue.textContent = 'Nothing scheduled';
+            return;
+        }
+
+        const when = new Date(next.at);
+        const day = when.toDateString() === new Date(now).toDateString() ?
+            'today' : DAY_LABELS[when.getDay()];
+        this.elements.nextValue.textContent = `Next: ${next.rule.time} ${day}`;
+    }
+
+    announce(message) {
+        if (!this.elements) return;
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+}
+
+window.Scheduler = Scheduler;
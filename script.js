@@ -2,126 +2,198 @@
  * Realistic LED Light Bulb Controller
  * Simulates A21 LED bulb behavior with physical switch
  * Fixed keyboard brightness control with arrow keys
+ *
+ * The state and simulation live in a BulbModel and the drawing in a
+ * BulbView; this class wires them to the page, history, events and timers
  */
 
+// Auto program frames reach change subscribers at most this often
+const AUTO_EMIT_INTERVAL_MS = 1000;
+
 class LEDLightBulb {
-    constructor() {
-        this.state = {
-            isOn: false,
-            brightness: 50, // 10-100%
-            voltage: 0, // 0-120V simulation
-            temperature: 72, // °F
-            runtime: 0, // seconds
-            powerDraw: 0, // watts
-            totalEnergy: 0, // watt-hours
-            lastUpdate: Date.now(),
-            autoMode: false,
-            autoInterval: null
+    constructor(options = {}) {
+        // Identity and DOM scope - each bulb owns its own subtree and storage key
+        this.id = options.id || 'main';
+        this.name = options.name || 'Main Light';
+        this.root = options.root || document;
+        this.storageKey = options.storageKey || `ledBulbState:${this.id}`;
+        this.runtimeInterval = null;
+        this.fadeInterval = null;
+        this.sagInterval = null;
+        this.runningProgram = null; // id of the auto program whose timer is running
+        this.autoPending = null; // state before the program frames not yet emitted
+        this.autoEmittedAt = 0;
+
+        // State, thermal, dimmer, lifespan and energy meter - restored by loadState()
+        this.model = new BulbModel({ energyKey: `ledBulbEnergy:${this.id}` });
+        this.state = this.model.state;
+
+        // Undo / redo snapshots; automated changes run with history paused
+        this.history = new CommandHistory({ storageKey: `ledBulbHistory:${this.id}` });
+        this.historyPaused = 0;
+
+        this.view = new BulbView(this.root, this.model, { history: this.history });
+
+        // Subscriptions for external code; changes default to the 'api' source
+        this.emitter = new BulbEmitter();
+        this.changeSource = 'api';
+        this.notifyPaused = 0;
+
+        // Set by TabSync when other tabs may be showing the same bulb
+        this.sync = null;
+
+        // Typed activity events, kept in a capped ring buffer
+        this.events = new EventLog({ storageKey: `ledBulbEvents:${this.id}` });
+
+        this.handlePageHide = () => {
+            this.saveState();
+            this.meter.flush();
+            this.events.flush();
         };
 
         this.init();
     }
 
+    // The model's parts, for the panels that configure them
+    get thermal() {
+        return this.model.thermal;
+    }
+
+    get dimmer() {
+        return this.model.dimmer;
+    }
+
+    get life() {
+        return this.model.life;
+    }
+
+    get meter() {
+        return this.model.meter;
+    }
+
     init() {
         this.loadState();
-        this.cacheElements();
+        this.view.init();
+        this.elements = this.view.elements;
         this.setupEventListeners();
         this.setupKeyboardControls();
         this.updateUI();
+        this.updateAutoCycle(); // resume a program left running before the reload
         this.startRuntimeCounter();
-        
-        console.log('A21 LED Bulb Controller initialized');
+
+        // A bulb saved ON powers back up like one switched on, keeping its saved level
+        if (this.state.isOn) {
+            this.view.warmUpLEDs();
+        }
     }
 
     loadState() {
+        // The main bulb falls back to the pre-room single-bulb key
+        let saved;
         try {
-            const saved = localStorage.getItem('ledBulbState');
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                this.state.isOn = parsed.isOn || false;
-                this.state.brightness = Math.max(10, Math.min(100, parsed.brightness || 50));
-                this.state.totalEnergy = parsed.totalEnergy || 0;
-            }
+            saved = localStorage.getItem(this.storageKey) ||
+                (this.id === 'main' ? localStorage.getItem('ledBulbState') : null);
         } catch (error) {
             console.warn('Could not load saved state:', error);
+            return;
+        }
+        if (!saved) return;
+
+        const { data, issues } = this.model.load(saved);
+        if (issues.length > 0) {
+            console.warn(`Repaired saved state for ${this.name}:`, issues);
+        }
+        if (!data) {
+            this.quarantineState(saved);
         }
     }
 
-    saveState() {
+    // Keep unreadable data aside for inspection and start from defaults
+    quarantineState(saved) {
         try {
-            localStorage.setItem('ledBulbState', JSON.stringify({
-                isOn: this.state.isOn,
-                brightness: this.state.brightness,
-                totalEnergy: this.state.totalEnergy
-            }));
+            localStorage.setItem(`${this.storageKey}:corrupt`, saved);
+            localStorage.removeItem(this.storageKey);
         } catch (error) {
-            console.warn('Could not save state:', error);
+            console.warn('Could not set aside corrupt state:', error);
         }
+        this.logEvent('state-recovered', { key: this.storageKey });
     }
 
-    cacheElements() {
-        // Bulb elements
-        this.elements = {
-            bulbContainer: document.getElementById('bulb-container'),
-            bulbGlass: document.getElementById('bulb-glass'),
-            glowEffect: document.getElementById('glow-effect'),
-            lightCast: document.getElementById('light-cast'),
-            ledArray: document.querySelector('.led-array'),
-            
-            // Switch elements
-            physicalSwitch: document.getElementById('physical-switch'),
-            switchToggle: document.getElementById('switch-toggle'),
-            onIndicator: document.querySelector('.on-indicator'),
-            offIndicator: document.querySelector('.off-indicator'),
-            
-            // Brightness control
-            brightnessSlider: document.getElementById('brightness-slider'),
-            brightnessValue: document.getElementById('brightness-value'),
-            
-            // Status elements
-            statusValue: document.getElementById('status-value'),
-            powerValue: document.getElementById('power-value'),
-            runtimeValue: document.getElementById('runtime-value'),
-            tempValue: document.getElementById('temp-value'),
-            
-            // Buttons
-            toggleBtn: document.getElementById('toggle-btn'),
-            autoBtn: document.getElementById('auto-btn'),
-            resetBtn: document.getElementById('reset-btn'),
-            
-            // Aria announcement
-            ariaAnnouncement: document.getElementById('aria-announcement')
-        };
+    serializeState() {
+        return this.model.serialize();
+    }
 
-        // Verify all required elements exist
-        Object.entries(this.elements).forEach(([key, element]) => {
-            if (!element && key !== 'autoInterval') {
-                console.warn(`Element not found: ${key}`);
-            }
-        });
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.serializeState()));
+        } catch (error) {
+            console.warn('Could not save state:', error);
+        }
     }
 
     setupEventListeners() {
         // Physical switch click
-        this.elements.physicalSwitch.addEventListener('click', () => this.togglePower());
+        this.elements.physicalSwitch.addEventListener('click', () => {
+            this.withSource('switch', () => this.togglePower());
+        });
         this.elements.switchToggle.addEventListener('click', (e) => {
             e.stopPropagation(); // Prevent double trigger
-            this.togglePower();
+            this.withSource('switch', () => this.togglePower());
         });
 
         // Toggle button
-        this.elements.toggleBtn.addEventListener('click', () => this.togglePower());
+        this.elements.toggleBtn.addEventListener('click', () => {
+            this.withSource('button', () => this.togglePower());
+        });
 
         // Brightness slider
         this.elements.brightnessSlider.addEventListener('input', (e) => {
-            this.setBrightness(parseInt(e.target.value, 10));
+            this.withSource('slider', () => this.setBrightness(parseInt(e.target.value, 10)));
         });
 
-        // Auto cycle button
-        this.elements.autoBtn.addEventListener('click', () => this.toggleAutoMode());
+        // Bulb profile selector
+        this.elements.profileSelect.addEventListener('change', (e) => {
+            this.withSource('control', () => this.setProfile(e.target.value));
+        });
+
+        // Color controls
+        this.elements.colorModeSelect.addEventListener('change', (e) => {
+            this.withSource('control', () => this.setColorMode(e.target.value));
+        });
+
+        this.elements.colorTempSlider.addEventListener('input', (e) => {
+            this.withSource('slider', () => this.setColorTemperature(parseInt(e.target.value, 10)));
+        });
+
+        this.elements.colorPicker.addEventListener('input', (e) => {
+            this.withSource('control', () => this.setColor(e.target.value));
+        });
+
+        // Auto program controls
+        this.elements.autoProgramSelect.addEventListener('change', (e) => {
+            this.withSource('control', () => this.setAutoProgram(e.target.value));
+        });
+
+        this.elements.autoBtn.addEventListener('click', () => {
+            this.withSource('button', () => this.toggleAutoMode());
+        });
+
+        this.elements.autoPauseBtn.addEventListener('click', () => {
+            this.withSource('button', () => this.toggleAutoPause());
+        });
 
         // Reset button
-        this.elements.resetBtn.addEventListener('click', () => this.resetToDefault());
+        this.elements.resetBtn.addEventListener('click', () => {
+            this.withSource('button', () => this.resetToDefault());
+        });
+
+        // Undo / redo buttons
+        this.elements.undoBtn.addEventListener('click', () => {
+            this.withSource('button', () => this.undo());
+        });
+        this.elements.redoBtn.addEventListener('click', () => {
+            this.withSource('button', () => this.redo());
+        });
 
         // Prevent slider from toggling switch
         this.elements.brightnessSlider.addEventListener('click', (e) => {
@@ -130,37 +202,7 @@ class LEDLightBulb {
     }
 
     setupKeyboardControls() {
-        // Global keyboard controls
-        document.addEventListener('keydown', (e) => {
-            // Prevent default behavior for our keys
-            const handledKeys = [' ', 'Enter', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
-            
-            if (handledKeys.includes(e.key)) {
-                const target = e.target;
-                const isSlider = target === this.elements.brightnessSlider;
-                const isButton = target.tagName === 'BUTTON';
-                
-                // Handle space/enter on buttons (except slider)
-                if ((e.key === ' ' || e.key === 'Enter') && !isSlider) {
-                    e.preventDefault();
-                    if (target === this.elements.toggleBtn) {
-                        this.togglePower();
-                    } else if (target === this.elements.autoBtn) {
-                        this.toggleAutoMode();
-                    } else if (target === this.elements.resetBtn) {
-                        this.resetToDefault();
-                    }
-                }
-                
-                // Handle arrow keys for brightness control
-                if (e.key.startsWith('Arrow') && !isSlider) {
-                    e.preventDefault();
-                    this.handleArrowKey(e.key);
-                }
-            }
-        });
-
-        // Specific keyboard handling for slider when focused
+        // Page-wide shortcuts belong to KeyboardShortcuts; the slider keeps its native keys
         this.elements.brightnessSlider.addEventListener('keydown', (e) => {
             if (e.key.startsWith('Arrow')) {
                 e.stopPropagation(); // Prevent global handler from firing
@@ -169,92 +211,50 @@ class LEDLightBulb {
                 // We'll update the value after a short delay to ensure DOM is updated
                 setTimeout(() => {
                     const newValue = parseInt(this.elements.brightnessSlider.value, 10);
-                    this.setBrightness(newValue);
+                    this.withSource('keyboard', () => this.setBrightness(newValue));
                 }, 10);
             }
         });
     }
 
-    handleArrowKey(key) {
-        const step = 5; // 5% per arrow press
-        let newBrightness = this.state.brightness;
-
-        switch (key) {
-            case 'ArrowRight':
-            case 'ArrowUp':
-                newBrightness = Math.min(100, this.state.brightness + step);
-                break;
-            case 'ArrowLeft':
-            case 'ArrowDown':
-                newBrightness = Math.max(10, this.state.brightness - step);
-                break;
-        }
+    // Keyboard brightness steps, kept inside the dimmable range
+    stepBrightness(delta) {
+        const newBrightness = this.model.clampBrightness(this.state.brightness + delta);
 
         if (newBrightness !== this.state.brightness) {
             this.setBrightness(newBrightness);
-            this.updateSliderPosition();
+            this.view.updateSliderPosition();
             
             // Provide visual feedback for keyboard adjustment
-            this.showKeyboardFeedback(key);
+            this.view.showKeyboardFeedback(delta > 0);
         }
     }
 
-    showKeyboardFeedback(key) {
-        const feedback = document.createElement('div');
-        feedback.className = 'keyboard-feedback';
-        feedback.textContent = key.includes('Right') || key.includes('Up') ? '▲ Brighter' : '▼ Dimmer';
-        feedback.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(33, 150, 243, 0.9);
-            color: white;
-            padding: 12px 24px;
-            border-radius: 8px;
-            font-weight: bold;
-            z-index: 10000;
-            animation: fadeOut 1s forwards;
-        `;
-        
-        document.body.appendChild(feedback);
-        
-        setTimeout(() => {
-            feedback.remove();
-        }, 800);
-    }
-
     togglePower() {
-        this.state.isOn = !this.state.isOn;
+        this.cancelFade();
+        const previous = BulbEmitter.snapshot(this.state);
+        this.model.setPower(!this.state.isOn);
+        this.recordHistory('power', previous);
         
         // Add physics simulation
         if (this.state.isOn) {
-            this.state.voltage = 120;
             this.simulatePowerOnSequence();
         } else {
-            this.simulatePowerOffSequence();
+            this.view.coolDownLEDs();
         }
         
         this.updateUI();
         this.saveState();
         this.announceStateChange();
-        this.logEvent('toggle');
+        this.logEvent('toggle', { isOn: this.state.isOn });
+        this.emitChange(previous);
+
+        if (this.state.isOn && this.ownsTimers()) this.recordPowerCycle();
     }
 
+    // The model has already raised the level to the switch-on minimum
     simulatePowerOnSequence() {
-        // Gradual brightness increase for realistic turn-on
-        if (this.state.brightness < 30) {
-            this.state.brightness = 30;
-        }
-        
-        // Simulate LED warm-up
-        const leds = document.querySelectorAll('.led');
-        leds.forEach((led, index) => {
-            setTimeout(() => {
-                led.style.opacity = '0.8';
-                led.style.boxShadow = `0 0 12px ${this.getLEDColor()}`;
-            }, index * 100);
-        });
+        this.view.warmUpLEDs();
         
         // Add subtle vibration for tactile feedback
         if ('vibrate' in navigator) {
@@ -262,74 +262,291 @@ class LEDLightBulb {
         }
     }
 
-    simulatePowerOffSequence() {
-        // Gradual fade for realistic turn-off
-        const leds = document.querySelectorAll('.led');
-        leds.forEach((led, index) => {
-            setTimeout(() => {
-                led.style.opacity = '0';
-                led.style.boxShadow = 'none';
-            }, index * 50);
-        });
-    }
-
     setBrightness(value) {
-        const oldValue = this.state.brightness;
-        const clampedValue = Math.max(10, Math.min(100, value));
+        this.cancelFade();
+        const previous = BulbEmitter.snapshot(this.state);
+        if (!this.model.setBrightness(value)) return;
+
+        this.recordHistory('brightness', previous);
+
+        // Brightening an off bulb far enough switches it on
+        if (!previous.isOn && this.state.isOn) {
+            this.simulatePowerOnSequence();
+        }
         
-        if (clampedValue !== oldValue) {
-            this.state.brightness = clampedValue;
-            
-            // If bulb is off and brightness is increased above 30%, turn it on
-            if (!this.state.isOn && clampedValue >= 30) {
-                this.state.isOn = true;
-                this.simulatePowerOnSequence();
-            }
-            
+        this.updateUI();
+        this.saveState();
+        this.announceBrightnessChange(this.state.brightness);
+        this.logEvent('brightness', { from: previous.brightness, to: this.state.brightness });
+        this.emitChange(previous);
+    }
+
+    // Crossfade from the current state to a target { isOn, brightness, colorTemperature }
+    fadeTo(target, duration = 0, onComplete = null) {
+        this.cancelFade();
+
+        const turningOn = target.isOn === true && !this.state.isOn;
+        const turningOff = target.isOn === false && this.state.isOn;
+        const to = {
+            brightness: this.model.clampBrightness(target.brightness || this.state.brightness),
+            colorTemperature: target.colorTemperature || this.state.colorTemperature
+        };
+
+        if (turningOn) {
+            this.withoutHistory(() => this.togglePower());
+        }
+
+        // The rest of the fade is reported once, from where it starts, when it settles
+        const source = this.changeSource;
+        const previous = BulbEmitter.snapshot(this.state);
+
+        // RGB colors switch at the start; tunable white crossfades below
+        if (target.colorMode === 'rgb' && target.color) {
+            this.state.colorMode = 'rgb';
+            this.state.color = target.color;
+        } else if (target.colorMode === 'white') {
+            this.state.colorMode = 'white';
+        }
+
+        const from = {
+            brightness: this.state.brightness,
+            colorTemperature: this.state.colorTemperature
+        };
+
+        // Fading out dims to the floor before the switch opens
+        const fadeBrightness = turningOff ? this.getMinBrightness() : to.brightness;
+        const start = Date.now();
+
+        const step = () => {
+            const progress = duration > 0 ? Math.min(1, (Date.now() - start) / duration) : 1;
+
+            this.state.brightness = Math.round(
+                from.brightness + (fadeBrightness - from.brightness) * progress
+            );
+            this.state.colorTemperature = Math.round(
+                from.colorTemperature + (to.colorTemperature - from.colorTemperature) * progress
+            );
             this.updateUI();
-            this.saveState();
-            this.announceBrightnessChange(clampedValue);
-            this.logEvent('brightness', { from: oldValue, to: clampedValue });
+
+            if (progress >= 1) {
+                this.cancelFade();
+
+                if (turningOff) {
+                    this.withoutHistory(() => this.withoutNotify(() => this.togglePower()));
+                }
+
+                this.state.brightness = to.brightness;
+                this.updateUI();
+                this.saveState();
+                this.withSource(source, () => this.emitChange(previous));
+
+                if (onComplete) onComplete();
+            }
+        };
+
+        this.fadeInterval = setInterval(step, 50);
+        step();
+    }
+
+    cancelFade() {
+        if (this.fadeInterval) {
+            clearInterval(this.fadeInterval);
+            this.fadeInterval = null;
         }
     }
 
-    updateSliderPosition() {
-        if (this.elements.brightnessSlider) {
-            this.elements.brightnessSlider.value = this.state.brightness;
+    setColorTemperature(kelvin) {
+        this.cancelFade();
+        const previous = BulbEmitter.snapshot(this.state);
+        if (!this.model.setColorTemperature(kelvin)) return;
+
+        this.recordHistory('color', previous);
+        this.updateUI();
+        this.saveState();
+        this.announceColorChange(`Color temperature set to ${this.state.colorTemperature}K`);
+        this.logEvent('color', { from: previous.colorTemperature, to: this.state.colorTemperature });
+        this.emitChange(previous);
+    }
+
+    // Accepts '#RRGGBB', { r, g, b } or { h, s, v }
+    setColor(color) {
+        const rgb = BulbModel.parseColor(color);
+        if (!rgb) {
+            console.warn('Unsupported color value:', color);
+            return;
         }
+
+        this.cancelFade();
+        const previous = BulbEmitter.snapshot(this.state);
+        if (!this.model.setColor(rgb)) return;
+
+        this.recordHistory('color', previous);
+        this.updateUI();
+        this.saveState();
+        this.announceColorChange(`Color set to ${this.state.color}`);
+        this.logEvent('color', { from: previous.color, to: this.state.color });
+        this.emitChange(previous);
+    }
+
+    setColorMode(mode) {
+        const previous = BulbEmitter.snapshot(this.state);
+        if (!this.model.setColorMode(mode)) return;
+
+        this.recordHistory('color', previous);
+        this.updateUI();
+        this.saveState();
+        this.announceColorChange(this.state.colorMode === 'rgb' ? 'RGB color mode' : 'Tunable white mode');
+        this.logEvent('color', { mode: this.state.colorMode });
+        this.emitChange(previous);
+    }
+
+    getProfile() {
+        return this.model.getProfile();
+    }
+
+    getMinBrightness() {
+        return this.model.getMinBrightness();
+    }
+
+    getMaxBrightness() {
+        return this.model.getMaxBrightness();
+    }
+
+    setProfile(id) {
+        const previous = BulbEmitter.snapshot(this.state);
+        if (!this.model.setProfile(id)) return;
+
+        this.cancelFade();
+        this.recordHistory('profile', previous);
+        this.updateUI();
+        this.saveState();
+        this.announceProfileChange(this.getProfile());
+        this.logEvent('profile', { from: previous.profile, to: this.state.profile });
+        this.emitChange(previous);
     }
 
     toggleAutoMode() {
-        this.state.autoMode = !this.state.autoMode;
-        
+        const previous = BulbEmitter.snapshot(this.state);
+        this.cancelFade();
+
         if (this.state.autoMode) {
-            this.startAutoCycle();
-            this.elements.autoBtn.innerHTML = '<i class="fas fa-stop"></i><span>Stop Cycle</span>';
-            this.elements.autoBtn.classList.add('active');
+            this.restoreAutoBase();
+            this.state.autoMode = false;
         } else {
+            this.state.autoBase = {
+                brightness: this.state.brightness,
+                colorTemperature: this.state.colorTemperature,
+                colorMode: this.state.colorMode
+            };
+            this.state.autoMode = true;
+        }
+        this.state.autoPaused = false;
+
+        this.updateAutoCycle();
+        this.updateUI();
+        this.saveState();
+        this.announceAutoChange(this.state.autoMode ?
+            `${this.getAutoProgram().name} started` : `${this.getAutoProgram().name} stopped`);
+        this.logEvent('auto-mode', { enabled: this.state.autoMode, program: this.state.autoProgram });
+        this.emitChange(previous);
+    }
+
+    // Paused programs hold their current output and continue from the clock on resume
+    toggleAutoPause() {
+        if (!this.state.autoMode) return;
+
+        const previous = BulbEmitter.snapshot(this.state);
+        this.state.autoPaused = !this.state.autoPaused;
+
+        this.updateAutoCycle();
+        this.saveState();
+        this.announceAutoChange(`${this.getAutoProgram().name} ${this.state.autoPaused ? 'paused' : 'resumed'}`);
+        this.logEvent('auto-mode', { program: this.state.autoProgram, paused: this.state.autoPaused });
+        this.emitChange(previous);
+    }
+
+    setAutoProgram(id) {
+        const program = AutoPrograms.get(id);
+        if (program.id === this.state.autoProgram) return;
+
+        const previous = BulbEmitter.snapshot(this.state);
+
+        // Switching programs starts the new one from the level the old one began at
+        if (this.state.autoMode) this.restoreAutoBase();
+        this.state.autoProgram = program.id;
+
+        this.updateAutoCycle();
+        this.updateUI();
+        this.saveState();
+        this.announceAutoChange(`Auto program set to ${program.name}`);
+        this.logEvent('auto-mode', { program: program.id });
+        this.emitChange(previous);
+    }
+
+    setCircadianCurve(points) {
+        const curve = AutoPrograms.normalizeCurve(points);
+        if (!curve) return;
+
+        this.state.circadianCurve = curve;
+        this.saveState();
+
+        // Apply the new curve now rather than at the next minute tick
+        if (this.state.autoInterval && this.state.autoProgram === 'circadian') {
             this.stopAutoCycle();
-            this.elements.autoBtn.innerHTML = '<i class="fas fa-random"></i><span>Auto Cycle</span>';
-            this.elements.autoBtn.classList.remove('active');
+            this.startAutoCycle();
         }
     }
 
+    getAutoProgram() {
+        return AutoPrograms.get(this.state.autoProgram);
+    }
+
+    // Effects return the bulb to where it was before they started
+    restoreAutoBase() {
+        const base = this.state.autoBase;
+        if (!base || !this.getAutoProgram().restoreOnStop) return;
+
+        this.state.brightness = this.model.clampBrightness(base.brightness);
+        this.state.colorTemperature = base.colorTemperature;
+        this.state.colorMode = base.colorMode;
+    }
+
+    // Only the tab that owns timers runs the program; other tabs just show it
+    updateAutoCycle() {
+        const program = this.getAutoProgram();
+        const shouldRun = this.state.autoMode && !this.state.autoPaused && this.ownsTimers();
+
+        if (shouldRun && this.runningProgram !== program.id) {
+            this.stopAutoCycle();
+            this.startAutoCycle();
+        } else if (!shouldRun) {
+            this.stopAutoCycle();
+        }
+
+        this.view.updateAutoControls(program);
+    }
+
+    ownsTimers() {
+        return !this.sync || this.sync.isLeader;
+    }
+
     startAutoCycle() {
-        let direction = 1; // 1 for increasing, -1 for decreasing
-        let currentValue = this.state.brightness;
-        
-        this.state.autoInterval = setInterval(() => {
-            currentValue += direction * 10;
-            
-            if (currentValue >= 100) {
-                currentValue = 100;
-                direction = -1;
-            } else if (currentValue <= 10) {
-                currentValue = 10;
-                direction = 1;
-            }
-            
-            this.setBrightness(currentValue);
-        }, 1000);
+        const program = this.getAutoProgram();
+        this.runningProgram = program.id;
+        this.autoEmittedAt = 0; // the first frame is emitted straight away
+
+        const step = () => {
+            if (!this.state.isOn && !program.runsWhileOff) return;
+
+            this.applyAutoOutput(program.sample(Date.now(), {
+                base: this.state.autoBase || this.state,
+                floor: this.getMinBrightness(),
+                curve: this.state.circadianCurve
+            }));
+        };
+
+        this.state.autoInterval = setInterval(step, program.tickMs);
+        step();
     }
 
     stopAutoCycle() {
@@ -337,187 +554,382 @@ class LEDLightBulb {
             clearInterval(this.state.autoInterval);
             this.state.autoInterval = null;
         }
+        this.runningProgram = null;
+        this.flushAutoChange();
+    }
+
+    // Program frames skip history, the activity log and announcements; the runtime
+    // counter saves them while the bulb is on. Subscribers - other tabs, the
+    // bridge, the URL mirror, the room plan - hear about them at most once a
+    // second, plus the last frame when the program stops
+    applyAutoOutput(output) {
+        const previous = BulbEmitter.snapshot(this.state);
+
+        this.state.brightness = Math.round(this.model.clampBrightness(output.brightness));
+        if (Number.isFinite(output.colorTemperature)) {
+            this.state.colorTemperature = Math.round(Math.max(COLOR_TEMP_MIN,
+                Math.min(COLOR_TEMP_MAX, output.colorTemperature)));
+            this.state.colorMode = 'white';
+        }
+
+        this.updateUI();
+
+        if (!this.autoPending) this.autoPending = previous;
+        if (Date.now() - this.autoEmittedAt >= AUTO_EMIT_INTERVAL_MS) this.flushAutoChange();
+    }
+
+    // One change event covering every program frame since the last one
+    flushAutoChange() {
+        if (!this.autoPending) return;
+
+        const previous = this.autoPending;
+        this.autoPending = null;
+        this.autoEmittedAt = Date.now();
+        this.withSource('auto', () => this.emitChange(previous));
     }
 
     resetToDefault() {
-        this.state.isOn = false;
-        this.state.brightness = 50;
-        this.state.autoMode = false;
+        this.recordHistory('reset');
+        const previous = BulbEmitter.snapshot(this.state);
+        this.model.reset();
         
-        this.stopAutoCycle();
+        this.cancelFade();
+        this.updateAutoCycle();
         this.updateUI();
         this.saveState();
         this.announceReset();
-        
-        // Update auto button
-        this.elements.autoBtn.innerHTML = '<i class="fas fa-random"></i><span>Auto Cycle</span>';
-        this.elements.autoBtn.classList.remove('active');
+        this.logEvent('reset');
+        this.emitChange(previous, ['reset']);
     }
 
-    updateUI() {
-        const { isOn, brightness } = this.state;
-        
-        // Update bulb visual state
-        this.updateBulbVisual(isOn, brightness);
-        
-        // Update switch state
-        this.updateSwitchVisual(isOn);
-        
-        // Update brightness display
-        this.updateBrightnessDisplay(brightness);
-        
-        // Update status panel
-        this.updateStatusPanel();
-        
-        // Update button states
-        this.updateButtonStates();
+    // History - snapshot the lighting state before a user-driven change, or
+    // record one taken just before it
+    recordHistory(label, state = this.state) {
+        if (this.historyPaused === 0) {
+            this.history.capture(label, state);
+        }
     }
 
-    updateBulbVisual(isOn, brightness) {
-        const brightnessFactor = brightness / 100;
-        
-        // Container classes
-        this.elements.bulbContainer.classList.toggle('on', isOn);
-        
-        // LED array
-        this.elements.ledArray.classList.toggle('on', isOn);
-        
-        // Glow effect
-        this.elements.glowEffect.classList.toggle('on', isOn);
-        if (isOn) {
-            this.elements.glowEffect.style.opacity = brightnessFactor.toString();
+    withoutHistory(change) {
+        this.historyPaused++;
+        try {
+            change();
+        } finally {
+            this.historyPaused--;
         }
-        
-        // Light cast
-        this.elements.lightCast.classList.toggle('on', isOn);
-        if (isOn) {
-            this.elements.lightCast.style.opacity = (brightnessFactor * 0.8).toString();
+    }
+
+    undo() {
+        const entry = this.history.undo(this.state);
+        if (entry) {
+            this.restoreSnapshot(entry.state);
+            this.announceHistoryChange(`Undid ${entry.label} change`);
+            this.logEvent('undo', { change: entry.label });
         }
-        
-        // Individual LEDs
-        const leds = document.querySelectorAll('.led');
-        leds.forEach(led => {
-            if (isOn) {
-                const intensity = brightnessFactor * 0.8 + 0.2;
-                led.style.opacity = intensity.toString();
-                led.style.boxShadow = `0 0 ${12 * brightnessFactor}px ${this.getLEDColor(brightnessFactor)}`;
-            } else {
-                led.style.opacity = '0';
-                led.style.boxShadow = 'none';
-            }
-        });
     }
 
-    getLEDColor(intensity = 1) {
-        // Color temperature changes with intensity
-        if (intensity < 0.3) return '#FFECB3'; // Very dim - warm white
-        if (intensity < 0.6) return '#FFE08C'; // Medium - soft white
-        if (intensity < 0.8) return '#FFD95C'; // Bright - daylight
-        return '#FFB74D'; // Very bright - cool white
+    redo() {
+        const entry = this.history.redo(this.state);
+        if (entry) {
+            this.restoreSnapshot(entry.state);
+            this.announceHistoryChange(`Redid ${entry.label} change`);
+            this.logEvent('redo', { change: entry.label });
+        }
     }
 
-    updateSwitchVisual(isOn) {
-        // Toggle switch position
-        this.elements.switchToggle.classList.toggle('on', isOn);
-        
-        // Update indicators
-        this.elements.onIndicator.classList.toggle('active', isOn);
-        this.elements.offIndicator.classList.toggle('active', !isOn);
-        
-        // Update switch background color
-        const switchBase = document.querySelector('.switch-base');
-        if (isOn) {
-            switchBase.style.background = `linear-gradient(180deg, ${this.hexToRgba('#4CAF50', 0.3)} 0%, #37474F 100%)`;
-        } else {
-            switchBase.style.background = `linear-gradient(180deg, ${this.hexToRgba('#F44336', 0.3)} 0%, #37474F 100%)`;
+    restoreSnapshot(snapshot) {
+        const wasOn = this.state.isOn;
+        const previous = BulbEmitter.snapshot(this.state);
+        this.cancelFade();
+
+        this.model.applySnapshot(snapshot);
+
+        if (wasOn && !this.state.isOn) {
+            this.view.coolDownLEDs();
         }
+
+        this.updateUI();
+        this.saveState();
+        this.emitChange(previous);
     }
 
-    hexToRgba(hex, alpha) {
-        const r = parseInt(hex.slice(1, 3), 16);
-        const g = parseInt(hex.slice(3, 5), 16);
-        const b = parseInt(hex.slice(5, 7), 16);
-        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    // Cross-tab sync - a change made in another tab, already saved there
+    applyRemoteState(remote) {
+        const wasOn = this.state.isOn;
+        const { onSince } = this.state;
+        const previous = BulbEmitter.snapshot(this.state);
+        this.cancelFade();
+
+        TAB_SYNC_FIELDS.forEach(field => {
+            if (field in remote) this.state[field] = remote[field];
+        });
+        if (this.state.onSince !== onSince) this.state.leftOnNotified = false;
+
+        if (wasOn && !this.state.isOn) {
+            this.view.coolDownLEDs();
+        }
+
+        this.updateAutoCycle();
+        this.updateUI();
+        this.withSource('sync', () => this.emitChange(previous));
+
+        // Lifetime belongs to the leader, so it counts cycles switched on elsewhere
+        if (!wasOn && this.state.isOn && this.ownsTimers()) this.recordPowerCycle();
     }
 
-    updateBrightnessDisplay(brightness) {
-        this.elements.brightnessValue.textContent = `${brightness}%`;
-        
-        // Update slider position
-        this.elements.brightnessSlider.value = brightness;
-        
-        // Update slider gradient based on brightness
-        const slider = this.elements.brightnessSlider;
-        const percent = brightness;
-        slider.style.background = `linear-gradient(90deg, 
-            #E0E0E0 0%, 
-            #E0E0E0 10%, 
-            #BBDEFB 10%, 
-            #BBDEFB ${percent}%, 
-            #2196F3 ${percent}%, 
-            #2196F3 100%
-        )`;
-    }
-
-    updateStatusPanel() {
-        // Power status
-        this.elements.statusValue.textContent = this.state.isOn ? 'ON' : 'OFF';
-        this.elements.statusValue.style.color = this.state.isOn ? 
-            'var(--success-color)' : 'var(--danger-color)';
-        
-        // Power draw calculation (14W LED at full brightness)
-        const powerDraw = this.state.isOn ? 
-            Math.round((14 * this.state.brightness / 100) * 10) / 10 : 0;
-        this.state.powerDraw = powerDraw;
-        this.elements.powerValue.textContent = `${powerDraw}W`;
-        
-        // Temperature simulation
-        const baseTemp = 72;
-        const heatIncrease = this.state.isOn ? (this.state.brightness / 100) * 15 : 0;
-        this.state.temperature = Math.round(baseTemp + heatIncrease);
-        this.elements.tempValue.textContent = `${this.state.temperature}°F`;
-        
-        // Runtime - handled by runtime counter
+    applyTelemetry(reading) {
+        this.state.runtime = reading.runtime;
+        this.state.totalEnergy = reading.totalEnergy;
+        this.state.deratedMax = reading.deratedMax;
+        this.thermal.temperatureF = reading.temperature;
+        this.thermal.protecting = reading.protecting;
+        this.state.temperature = Math.round(reading.temperature);
+        if (reading.life) this.model.life = new LifespanModel(reading.life);
+
+        this.view.updateRuntimeDisplay();
+        this.view.updateTemperatureDisplay();
+        this.view.updateHealthDisplay();
     }
 
-    updateButtonStates() {
-        // Toggle button
-        const toggleIcon = this.elements.toggleBtn.querySelector('i');
-        const toggleText = this.elements.toggleBtn.querySelector('span');
-        
-        if (this.state.isOn) {
-            toggleIcon.className = 'fas fa-power-off';
-            toggleText.textContent = 'Turn OFF';
-            this.elements.toggleBtn.style.background = 
-                'linear-gradient(135deg, var(--danger-color), #D32F2F)';
-        } else {
-            toggleIcon.className = 'fas fa-power-off';
-            toggleText.textContent = 'Turn ON';
-            this.elements.toggleBtn.style.background = 
-                'linear-gradient(135deg, var(--success-color), #388E3C)';
+    // Change events - attribute changes made inside `change` to `source`
+    withSource(source, change) {
+        if (!BULB_CHANGE_SOURCES.includes(source)) {
+            console.warn(`Unknown change source: ${source}`);
+        }
+
+        const outer = this.changeSource;
+        this.changeSource = source;
+        try {
+            change();
+        } finally {
+            this.changeSource = outer;
+        }
+    }
+
+    withoutNotify(change) {
+        this.notifyPaused++;
+        try {
+            change();
+        } finally {
+            this.notifyPaused--;
         }
     }
 
+    // Emit 'power' / 'brightness' for whichever changed since `previous`, then 'change'
+    emitChange(previous, extraTypes = []) {
+        if (this.notifyPaused > 0) return;
+
+        const next = BulbEmitter.snapshot(this.state);
+        const types = extraTypes.slice();
+        if (previous.isOn !== next.isOn) types.push('power');
+        if (previous.brightness !== next.brightness) types.push('brightness');
+
+        const changed = types.length > 0 ||
+            BULB_EVENT_FIELDS.some(field => previous[field] !== next[field]);
+        if (!changed) return;
+
+        const base = { source: this.changeSource, previous, next, timestamp: Date.now() };
+        types.forEach(type => this.emitter.emit(type, { type, ...base }));
+        this.emitter.emit('change', { type: 'change', changes: types, ...base });
+    }
+
+
+    updateUI() {
+        // Work out power draw and light output, then draw the result
+        this.model.updateOutput();
+        this.view.render();
+    }
+
+    getLEDRgb() {
+        return this.model.getLEDRgb();
+    }
+
+    getLEDColor() {
+        return this.model.getLEDColor();
+    }
+
     startRuntimeCounter() {
-        setInterval(() => {
+        this.model.skip();
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.runtimeInterval = setInterval(() => {
+            // Other tabs receive runtime, energy and heat from the leader
+            if (!this.ownsTimers()) {
+                this.model.skip();
+                return;
+            }
+
+            const tick = this.model.tick();
+            this.reportThermal(tick);
+
             if (this.state.isOn) {
-                this.state.runtime++;
-                
-                // Update energy consumption (watt-hours)
-                const hours = this.state.runtime / 3600;
-                this.state.totalEnergy = Math.round(
-                    (this.state.powerDraw * hours) * 100
-                ) / 100;
-                
-                // Update runtime display
-                const minutes = Math.floor(this.state.runtime / 60);
-                const seconds = this.state.runtime % 60;
-                this.elements.runtimeValue.textContent = 
-                    `${minutes}:${seconds.toString().padStart(2, '0')}`;
+                if (tick.failed) this.reportFailure();
+
+                this.view.updateRuntimeDisplay();
+                this.view.updateHealthDisplay();
+                this.saveState();
             }
         }, 1000);
     }
 
+    // Announce protection changes from the model and dim the bulb when it says so
+    reportThermal({ change, derateTo }) {
+        if (change === 'tripped') {
+            this.announceThermalChange('Overheat protection: reducing brightness');
+            this.logEvent('overheat', {
+                temperature: Math.round(this.thermal.temperatureF),
+                threshold: this.thermal.thresholdF
+            });
+        } else if (change === 'cleared') {
+            this.announceThermalChange('Bulb has cooled - full brightness available');
+            this.logEvent('overheat-cleared', { temperature: Math.round(this.thermal.temperatureF) });
+        }
+
+        if (derateTo !== null) {
+            this.withoutHistory(() => {
+                this.withSource('thermal', () => this.setBrightness(derateTo));
+            });
+        }
+
+        this.view.updateTemperatureDisplay();
+    }
+
+    setTemperatureUnit(unit) {
+        this.state.tempUnit = unit === 'C' ? 'C' : 'F';
+        this.view.updateTemperatureDisplay();
+        this.saveState();
+    }
+
+    setAmbientTemperature(fahrenheit) {
+        if (!Number.isFinite(fahrenheit)) return;
+
+        this.thermal.ambientF = fahrenheit;
+        this.saveState();
+        this.logEvent('ambient', { ambient: fahrenheit });
+    }
+
+    setOverheatThreshold(fahrenheit) {
+        if (!Number.isFinite(fahrenheit)) return;
+
+        this.thermal.thresholdF = fahrenheit;
+        this.saveState();
+        this.logEvent('threshold', { threshold: fahrenheit });
+    }
+
+    getElectrical() {
+        return this.model.getElectrical();
+    }
+
+    setDimmerType(type) {
+        const oldValue = this.dimmer.type;
+        const previous = BulbEmitter.snapshot(this.state);
+        if (!this.model.setDimmerType(type)) return;
+
+        this.cancelFade();
+        this.updateUI();
+        this.saveState();
+        this.announceDimmerChange(`Dimmer set to ${DIMMER_TYPES[type].name}`);
+        this.logEvent('dimmer', { from: oldValue, to: type });
+        this.emitChange(previous);
+    }
+
+    setLineVoltage(volts) {
+        if (!Number.isFinite(volts)) return;
+
+        const previous = BulbEmitter.snapshot(this.state);
+        this.dimmer.lineVoltage = DimmerModel.clampLineVoltage(volts);
+
+        this.updateUI();
+        this.saveState();
+        this.logEvent('line-voltage', { volts: this.dimmer.lineVoltage });
+        this.emitChange(previous);
+    }
+
+    // A brief dip on the supply, redrawn until it has recovered
+    simulateVoltageSag() {
+        this.dimmer.startSag();
+        clearInterval(this.sagInterval);
+
+        const redraw = () => {
+            this.model.updateOutput();
+            this.view.renderOutput();
+        };
+
+        this.sagInterval = setInterval(() => {
+            if (!this.dimmer.isSagging()) {
+                clearInterval(this.sagInterval);
+                this.sagInterval = null;
+            }
+            redraw();
+        }, 100);
+
+        redraw();
+        this.announceDimmerChange('Line voltage sag');
+        this.logEvent('sag', {
+            from: this.dimmer.lineVoltage,
+            to: Math.round(this.dimmer.getSupplyVoltage())
+        });
+    }
+
+    // Each switch-on is wear, and the inrush is when a worn-out bulb is most likely to go
+    recordPowerCycle() {
+        if (this.life.failed) return;
+
+        this.life.recordCycle();
+        this.checkBulbFailure();
+        this.saveState();
+    }
+
+    checkBulbFailure() {
+        if (this.model.checkFailure()) this.reportFailure();
+    }
+
+    reportFailure() {
+        this.updateUI();
+        this.saveState();
+        this.announceLifeChange(`${this.name} has failed - replace the bulb`);
+        this.logEvent('failure', {
+            mode: this.life.failureMode,
+            hours: Math.round(this.life.onHours),
+            cycles: this.life.cycles
+        });
+    }
+
+    setFailureMode(mode) {
+        if (!FAILURE_MODES[mode] || mode === this.life.failureMode) return;
+
+        const oldValue = this.life.failureMode;
+        this.life.failureMode = mode;
+
+        this.updateUI();
+        this.saveState();
+        this.logEvent('failure-mode', { from: oldValue, to: mode });
+        this.checkBulbFailure();
+    }
+
+    // Fast-forward wear by `hours` of use at the current level
+    ageBulb(hours) {
+        if (!Number.isFinite(hours) || hours <= 0 || this.life.failed) return;
+
+        this.life.addOnTime(hours * 3600);
+        this.updateUI();
+        this.saveState();
+        this.checkBulbFailure();
+    }
+
+    replaceBulb() {
+        const wasFailed = this.life.failed;
+        this.life.replace();
+
+        // A new lamp in a live socket comes on with the usual warm-up
+        if (wasFailed && this.state.isOn) this.view.warmUpLEDs();
+
+        this.updateUI();
+        this.saveState();
+        this.announceLifeChange(`${this.getProfile().name} replaced`);
+        this.logEvent('replace', { profile: this.state.profile });
+    }
+
     announceStateChange() {
         const message = this.state.isOn ? 
             `Light bulb turned ON at ${this.state.brightness}% brightness` :
@@ -540,6 +952,63 @@ class LEDLightBulb {
         }, 1000);
     }
 
+    announceColorChange(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+        
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
+    announceAutoChange(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
+    announceDimmerChange(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+        
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
+    announceLifeChange(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+        
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
+    announceProfileChange(profile) {
+        this.elements.ariaAnnouncement.textContent = 
+            `Bulb type set to ${profile.name}, ${profile.watts}W, ${profile.lumens} lumens`;
+        
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
+    announceThermalChange(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+        
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
+    announceHistoryChange(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+        
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+
     announceReset() {
         this.elements.ariaAnnouncement.textContent = 
             'Light bulb reset to default settings';
@@ -550,15 +1019,7 @@ class LEDLightBulb {
     }
 
     logEvent(type, data = {}) {
-        const timestamp = new Date().toISOString();
-        const event = {
-            timestamp,
-            type,
-            state: { ...this.state },
-            ...data
-        };
-        
-        console.log(`[${timestamp}] ${type.toUpperCase()}:`, event);
+        this.events.record(type, data);
     }
 
     // Public API for external control
@@ -577,29 +1038,187 @@ class LEDLightBulb {
     getState() {
         return { ...this.state };
     }
+
+    // Subscribe to 'change', 'power', 'brightness' or 'reset'; returns an unsubscribe function.
+    // Handlers receive { type, source, previous, next, timestamp }
+    on(type, handler) {
+        return this.emitter.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.emitter.off(type, handler);
+    }
+
+    getColor() {
+        const rgb = this.getLEDRgb();
+        return {
+            mode: this.state.colorMode,
+            temperature: this.state.colorTemperature,
+            hex: ColorUtils.rgbToHex(rgb),
+            rgb,
+            hsv: ColorUtils.rgbToHsv(rgb)
+        };
+    }
+
+    setName(name) {
+        this.name = name;
+        this.elements.brightnessSlider.setAttribute('aria-label', `${name} brightness control`);
+    }
+
+    // Stop timers and global listeners before the bulb's DOM is discarded
+    destroy() {
+        this.emitter.clear();
+        this.cancelFade();
+        this.stopAutoCycle();
+        clearInterval(this.runtimeInterval);
+        this.runtimeInterval = null;
+        clearInterval(this.sagInterval);
+        this.sagInterval = null;
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
 }
 
 // Initialize the application
+let tabSync;
 let lightBulb;
+let room;
+let roomPlan;
+let scenes;
+let scheduler;
+let sensors;
+let energyPanel;
+let thermalPanel;
+let autoPanel;
+let dimmerPanel;
+let lifespanPanel;
+let voice;
+let shortcuts;
+let activityPanel;
+let bridge;
+let settingsPanel;
+let theme;
+let notifier;
+let urlState;
+let appShell;
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Embedding pages are themed too, so this runs before the app layout check
+    theme = new ThemeManager();
+    theme.init();
+    window.theme = theme;
+
+    // Pages that only embed <led-bulb> elements have no app layout to start
+    const mainRoot = document.querySelector('[data-bulb="main"]');
+    if (!mainRoot) return;
+
     try {
-        lightBulb = new LEDLightBulb();
-        
-        // Add CSS for keyboard feedback animation
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes fadeOut {
-                0% { opacity: 1; transform: translate(-50%, -50%) scale(1); }
-                70% { opacity: 0.7; transform: translate(-50%, -50%) scale(1.1); }
-                100% { opacity: 0; transform: translate(-50%, -50%) scale(1.2); }
-            }
-            
-            .keyboard-feedback {
-                animation: fadeOut 0.8s ease-out forwards;
+        // Decide the leader tab before any bulb starts its timers
+        tabSync = new TabSync();
+        tabSync.init();
+
+        lightBulb = new LEDLightBulb({
+            id: 'main',
+            name: 'Main Light',
+            root: mainRoot
+        });
+        tabSync.addBulb(lightBulb);
+
+        scenes = new SceneManager(lightBulb);
+        scenes.init();
+
+        scheduler = new Scheduler(lightBulb);
+        scheduler.init();
+
+        sensors = new SensorPanel(lightBulb);
+        sensors.init();
+
+        bridge = new DeviceBridge({ scenes, active: tabSync.isLeader });
+        bridge.init();
+
+        tabSync.onLeaderChange((isLeader) => {
+            if (isLeader) {
+                scheduler.resume();
+                sensors.resume();
             }
-        `;
-        document.head.appendChild(style);
+            bridge.setActive(isLeader);
+        });
+
+        energyPanel = new EnergyPanel(lightBulb);
+        energyPanel.init();
+
+        thermalPanel = new ThermalPanel(lightBulb);
+        thermalPanel.init();
+
+        autoPanel = new AutoProgramPanel(lightBulb);
+        autoPanel.init();
+
+        dimmerPanel = new DimmerPanel(lightBulb);
+        dimmerPanel.init();
+
+        lifespanPanel = new LifespanPanel(lightBulb);
+        lifespanPanel.init();
+
+        activityPanel = new ActivityPanel(lightBulb);
+        activityPanel.init();
+
+        voice = new VoiceControl(lightBulb, { scenes });
+        voice.init();
+
+        shortcuts = new KeyboardShortcuts(lightBulb, { scenes });
+        shortcuts.init();
+
+        // Before the room, which places its bulbs on the plan as it adds them
+        roomPlan = new RoomPlanPanel({
+            root: document.querySelector('[data-role="room-plan-panel"]')
+        });
+        roomPlan.init();
+
+        room = new BulbGroup({
+            root: document.querySelector('[data-role="room-panel"]'),
+            observers: [tabSync, bridge, roomPlan.plan]
+        });
+        room.addBulb(lightBulb);
+        room.init();
+
+        settingsPanel = new SettingsPanel({
+            root: document.querySelector('[data-role="settings-panel"]'),
+            room,
+            scheduler,
+            bridge
+        });
+        settingsPanel.init();
+
+        notifier = new BulbNotifier(lightBulb, { scheduler });
+        notifier.init();
+
+        urlState = new UrlStatePanel(lightBulb, { scenes });
+        urlState.init();
+
+        // Last, so a home-screen shortcut acts on a fully set up app
+        appShell = new AppShell(lightBulb);
+        appShell.init();
+
+        // Make available globally for debugging
+        window.tabSync = tabSync;
+        window.lightBulb = lightBulb;
+        window.room = room;
+        window.roomPlan = roomPlan;
+        window.scenes = scenes;
+        window.scheduler = scheduler;
+        window.sensors = sensors;
+        window.energyPanel = energyPanel;
+        window.thermalPanel = thermalPanel;
+        window.autoPanel = autoPanel;
+        window.dimmerPanel = dimmerPanel;
+        window.lifespanPanel = lifespanPanel;
+        window.activityPanel = activityPanel;
+        window.voice = voice;
+        window.shortcuts = shortcuts;
+        window.bridge = bridge;
+        window.settingsPanel = settingsPanel;
+        window.notifier = notifier;
+        window.urlState = urlState;
+        window.appShell = appShell;
         
     } catch (error) {
         console.error('Failed to initialize light bulb:', error);
@@ -621,6 +1240,4 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-// Make available globally for debugging
-window.LEDLightBulb = LEDLightBulb;
-window.lightBulb = lightBulb;
\ No newline at end of file
+window.LEDLightBulb = LEDLightBulb;
\ No newline at end of file
@@ -0,0 +1,591 @@
+/**
+ * Sensors & Automation Rules
+ * Virtual room sensors - motion / occupancy with a "someone entered" trigger
+ * and a vacancy timeout, and an ambient light level from a slider or the
+ * browser's AmbientLightSensor - driving rules such as "on at 60% on motion,
+ * off when the room goes idle" and daylight harvesting, which keeps daylight
+ * plus lamp light at a target lux. Rules act through turnOn(), turnOff() and
+ * setBrightness() under the 'sensor' source, and only the tab that owns the
+ * timers runs them
+ */
+
+const SENSOR_TICK_MS = 1000;
+const SENSOR_LUX_MAX = 2000;
+
+// Lux the lamp adds at the sensor per lumen - roughly a 2 m² task area
+// lit at 50% utilization
+const LUX_PER_LUMEN = 0.25;
+
+// Harvesting leaves small differences alone so the level doesn't hunt
+const HARVEST_DEADBAND = 2; // brightness points
+
+// An off lamp waits until daylight falls this share below the target
+const HARVEST_HYSTERESIS = 0.1;
+
+const SENSOR_DEFAULTS = {
+    timeoutMinutes: 5, // vacant this long after the last motion
+    ambientLux: 200,
+    useDevice: false // read ambientLux from AmbientLightSensor
+};
+
+// Changes from these sources are not someone overriding the daylight rules;
+// a change made by hand in another tab sets the flag there and syncs it
+const SENSOR_OVERRIDE_IGNORED = ['sensor', 'thermal', 'auto', 'sync'];
+
+const SENSOR_RULE_TYPES = {
+    motion: { name: 'Motion', icon: 'fa-walking' },
+    daylight: { name: 'Daylight harvesting', icon: 'fa-sun' }
+};
+
+// Rules:
+//   { id, enabled, type: 'motion', brightness }
+//   { id, enabled, type: 'daylight', targetLux, occupiedOnly }
+class SensorAutomation {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.storageKey = options.storageKey || `ledBulbSensors:${bulb.id}`;
+        this.clock = options.clock || { now: () => Date.now() };
+        this.AmbientLightSensor = 'AmbientLightSensor' in options ?
+            options.AmbientLightSensor : (window.AmbientLightSensor || null);
+
+        this.settings = { ...SENSOR_DEFAULTS };
+        this.rules = [];
+        this.lastMotionAt = null;
+        this.occupied = false; // as of the last evaluation, persisted for catch-up after a reload
+        this.overridden = false; // the light was changed by hand; daylight rules wait for the next arrival or vacancy
+        this.device = null; // the running AmbientLightSensor
+        this.tickInterval = null;
+        this.listeners = [];
+
+        this.unsubscribe = bulb.on('change', (detail) => this.handleChange(detail));
+    }
+
+    load() {
+        try {
+            this.applySaved(JSON.parse(localStorage.getItem(this.storageKey)) || {});
+        } catch (error) {
+            console.warn('Could not load sensor rules:', error);
+        }
+    }
+
+    applySaved(saved) {
+        const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+        this.settings = {
+            timeoutMinutes: isCount(saved.timeoutMinutes) && saved.timeoutMinutes > 0 ?
+                saved.timeoutMinutes : SENSOR_DEFAULTS.timeoutMinutes,
+            ambientLux: isCount(saved.ambientLux) ?
+                Math.min(SENSOR_LUX_MAX, saved.ambientLux) : SENSOR_DEFAULTS.ambientLux,
+            useDevice: saved.useDevice === true
+        };
+        this.rules = Array.isArray(saved.rules) ? saved.rules.filter(rule => SENSOR_RULE_TYPES[rule.type]) : [];
+        this.lastMotionAt = Number.isFinite(saved.lastMotionAt) ? saved.lastMotionAt : null;
+        this.occupied = saved.occupied === true;
+        this.overridden = saved.overridden === true;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                ...this.settings,
+                rules: this.rules,
+                lastMotionAt: this.lastMotionAt,
+                occupied: this.occupied,
+                overridden: this.overridden
+            }));
+        } catch (error) {
+            console.warn('Could not save sensor rules:', error);
+        }
+    }
+
+    // Motion, rules or settings changed in another tab
+    syncFromStorage(value) {
+        const { lastMotionAt, occupied } = this;
+
+        try {
+            this.applySaved(JSON.parse(value));
+        } catch (error) {
+            console.warn('Could not sync sensor rules:', error);
+            return;
+        }
+
+        // Motion only ever moves forward, and the tab running the rules
+        // keeps its own view of the room
+        this.lastMotionAt = Math.max(lastMotionAt || 0, this.lastMotionAt || 0) || null;
+        if (this.bulb.ownsTimers()) this.occupied = occupied;
+        this.notify();
+    }
+
+    // Switching or dimming the light by hand, here or in another tab, pauses
+    // daylight harvesting so it doesn't undo the change a second later
+    handleChange({ source, changes }) {
+        if (SENSOR_OVERRIDE_IGNORED.includes(source) || this.overridden) return;
+        if (!changes.includes('power') && !changes.includes('brightness')) return;
+        if (!this.rules.some(rule => rule.enabled && rule.type === 'daylight')) return;
+
+        this.overridden = true;
+        this.save();
+        this.notify();
+    }
+
+    // Called with (rule, action, level) each time a rule acts on the bulb;
+    // action is 'on', 'off' or 'level'
+    onAction(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(rule = null, action = null, level = null) {
+        this.listeners.forEach(listener => listener(rule, action, level));
+    }
+
+    // Timing
+    start() {
+        this.stop();
+        this.tickInterval = setInterval(() => this.tick(), SENSOR_TICK_MS);
+        this.tick();
+    }
+
+    stop() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+
+    // After this tab becomes the leader, continue from what the old leader saved
+    resume() {
+        this.load();
+        this.start();
+    }
+
+    tick(now = this.clock.now()) {
+        if (!this.bulb.ownsTimers()) return;
+
+        const wasOccupied = this.occupied;
+        this.evaluate(now);
+        if (this.occupied !== wasOccupied) {
+            this.save();
+            this.notify();
+        }
+    }
+
+    // Sensors
+    motion(now = this.clock.now()) {
+        this.lastMotionAt = now;
+        this.bulb.logEvent('motion');
+
+        // Other tabs pick the motion up from storage and the leader acts on it
+        this.tick(now);
+        this.save();
+        this.notify();
+    }
+
+    isOccupied(now = this.clock.now()) {
+        return this.lastMotionAt !== null &&
+            now - this.lastMotionAt < this.settings.timeoutMinutes * MINUTE_MS;
+    }
+
+    // Milliseconds until the room counts as vacant, or 0
+    getTimeLeft(now = this.clock.now()) {
+        if (!this.isOccupied(now)) return 0;
+        return this.lastMotionAt + this.settings.timeoutMinutes * MINUTE_MS - now;
+    }
+
+    setAmbientLux(lux) {
+        if (!Number.isFinite(lux)) return;
+
+        this.settings.ambientLux = Math.round(Math.max(0, Math.min(SENSOR_LUX_MAX, lux)));
+        this.save();
+        this.tick();
+        this.notify();
+    }
+
+    setTimeout(minutes) {
+        if (!Number.isFinite(minutes) || minutes <= 0) return;
+
+        this.settings.timeoutMinutes = minutes;
+        this.save();
+        this.tick();
+        this.notify();
+    }
+
+    // Light at the sensor from the lamp alone
+    getLampLux() {
+        return Math.round(this.bulb.state.lumens * LUX_PER_LUMEN);
+    }
+
+    // Lowest level whose output reaches `lux` at the sensor, from the profile's
+    // dimming curve and the lamp's wear
+    getLevelForLux(lux) {
+        const profile = this.bulb.getProfile();
+        const lumens = lux / LUX_PER_LUMEN / this.bulb.life.getLumenFactor(profile);
+
+        for (let level = this.bulb.getMinBrightness(); level < 100; level++) {
+            if (BulbProfiles.getOutput(profile, level).lumens >= lumens) return level;
+        }
+        return 100;
+    }
+
+    // Device sensor - returns whether it started
+    startDevice() {
+        if (!this.AmbientLightSensor) return false;
+
+        try {
+            this.device = new this.AmbientLightSensor({ frequency: 1 });
+            this.device.addEventListener('reading', () => this.setAmbientLux(this.device.illuminance));
+            this.device.addEventListener('error', (e) => {
+                console.warn('Ambient light sensor stopped:', e.error);
+                this.setUseDevice(false);
+            });
+            this.device.start();
+        } catch (error) {
+            console.warn('Could not start ambient light sensor:', error);
+            this.device = null;
+            return false;
+        }
+        return true;
+    }
+
+    stopDevice() {
+        if (this.device) {
+            this.device.stop();
+            this.device = null;
+        }
+    }
+
+    setUseDevice(enabled) {
+        this.stopDevice();
+        this.settings.useDevice = enabled && this.startDevice();
+        this.save();
+        this.notify();
+        return this.settings.useDevice;
+    }
+
+    // Rule management
+    addRule(rule) {
+        if (!SENSOR_RULE_TYPES[rule.type]) return null;
+
+        const newRule = {
+            id: `sensor-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            enabled: true,
+            type: rule.type
+        };
+        if (rule.type === 'motion') {
+            newRule.brightness = Number.isFinite(rule.brightness) ?
+                this.bulb.model.clampTarget(Math.round(rule.brightness)) : 60;
+        } else {
+            newRule.targetLux = Math.max(10, Math.min(SENSOR_LUX_MAX, Math.round(rule.targetLux) || 300));
+            newRule.occupiedOnly = rule.occupiedOnly !== false;
+        }
+
+        this.rules.push(newRule);
+        this.save();
+        this.tick();
+        this.notify();
+        return newRule;
+    }
+
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.save();
+        this.notify();
+    }
+
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.find(item => item.id === id);
+        if (!rule) return;
+
+        rule.enabled = enabled;
+        this.save();
+        this.tick();
+        this.notify();
+    }
+
+    describeRule(rule) {
+        if (rule.type === 'motion') {
+            return `On at ${rule.brightness}% on motion, off after ${this.settings.timeoutMinutes} min idle`;
+        }
+        return `Keep ${rule.targetLux} lx with daylight${rule.occupiedOnly ? ' while occupied' : ''}`;
+    }
+
+    // Rules - motion rules act when the room changes between occupied and
+    // vacant, so a light switched off by hand stays off until the next arrival;
+    // daylight rules adjust on every evaluation, unless the light was changed
+    // by hand since the last arrival or vacancy
+    evaluate(now = this.clock.now()) {
+        const occupied = this.isOccupied(now);
+        const arrived = occupied && !this.occupied;
+        const left = !occupied && this.occupied;
+        this.occupied = occupied;
+        if (arrived || left) this.overridden = false;
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            if (rule.type === 'motion') {
+                if (arrived && !this.bulb.state.isOn) this.act(rule, 'on', rule.brightness);
+                if (left && this.bulb.state.isOn) this.act(rule, 'off');
+            } else if ((occupied || !rule.occupiedOnly) && !this.overridden) {
+                this.harvest(rule);
+            }
+        });
+    }
+
+    harvest(rule) {
+        const { isOn, brightness } = this.bulb.state;
+        const needed = rule.targetLux - this.settings.ambientLux;
+
+        // Daylight alone is enough - or, for a lamp that is off, nearly enough
+        const margin = isOn ? 0 : rule.targetLux * HARVEST_HYSTERESIS;
+        if (needed <= margin) {
+            if (isOn) this.act(rule, 'off');
+            return;
+        }
+
+        const level = this.getLevelForLux(needed);
+        if (!isOn) {
+            this.act(rule, 'on', level);
+        } else if (Math.abs(level - brightness) >= HARVEST_DEADBAND) {
+            this.act(rule, 'level', level);
+        }
+    }
+
+    // Automated changes stay out of undo history
+    act(rule, action, level = null) {
+        const { bulb } = this;
+
+        bulb.withSource('sensor', () => bulb.withoutHistory(() => {
+            if (action === 'off') {
+                bulb.turnOff();
+            } else {
+                bulb.turnOn();
+                bulb.setBrightness(level);
+            }
+        }));
+
+        // Trims to the harvesting level are too frequent to log
+        if (action !== 'level') {
+            bulb.logEvent('sensor', { rule: this.describeRule(rule), action });
+        }
+        this.notify(rule, action, level);
+    }
+
+    destroy() {
+        this.stop();
+        this.stopDevice();
+        this.unsubscribe();
+    }
+}
+
+class SensorPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.automation = options.automation || new SensorAutomation(bulb);
+
+        this.refreshInterval = null;
+        this.unsubscribe = null;
+        this.handleStorage = (e) => {
+            if (e.key === this.automation.storageKey && e.newValue) this.automation.syncFromStorage(e.newValue);
+        };
+    }
+
+    init() {
+        const { automation } = this;
+        automation.load();
+
+        this.cacheElements();
+        this.setupEventListeners();
+        this.updateFormState();
+        this.render();
+
+        this.unsubscribe = this.bulb.on('change', () => this.renderReadings());
+        window.addEventListener('storage', this.handleStorage);
+
+        if (automation.settings.useDevice) automation.setUseDevice(true);
+        automation.start();
+
+        // Counts down the time until the room goes vacant
+        this.refreshInterval = setInterval(() => this.renderReadings(), SENSOR_TICK_MS);
+    }
+
+    // After this tab becomes the leader
+    resume() {
+        this.automation.resume();
+        this.render();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            status: find('sensor-status'),
+            motionBtn: find('motion-btn'),
+            timeoutInput: find('sensor-timeout'),
+            luxSlider: find('ambient-lux'),
+            luxValue: find('ambient-lux-value'),
+            deviceInput: find('ambient-device'),
+            reading: find('sensor-reading'),
+            ruleList: find('sensor-rule-list'),
+            typeSelect: find('sensor-rule-type'),
+            brightnessInput: find('sensor-rule-brightness'),
+            luxInput: find('sensor-rule-lux'),
+            occupiedInput: find('sensor-rule-occupied'),
+            addBtn: find('add-sensor-rule-btn')
+        };
+    }
+
+    setupEventListeners() {
+        const { automation } = this;
+        const {
+            motionBtn, timeoutInput, luxSlider, deviceInput, ruleList,
+            typeSelect, brightnessInput, luxInput, occupiedInput, addBtn
+        } = this.elements;
+
+        // A rule that acts announces over this
+        motionBtn.addEventListener('click', () => {
+            this.announce('Motion detected');
+            automation.motion();
+        });
+
+        timeoutInput.addEventListener('change', () => {
+            const minutes = parseFloat(timeoutInput.value);
+            const valid = Number.isFinite(minutes) && minutes > 0;
+            timeoutInput.setAttribute('aria-invalid', String(!valid));
+            if (valid) automation.setTimeout(minutes);
+        });
+
+        luxSlider.addEventListener('input', () => automation.setAmbientLux(parseInt(luxSlider.value, 10)));
+
+        deviceInput.addEventListener('change', () => {
+            const started = automation.setUseDevice(deviceInput.checked);
+            if (deviceInput.checked && !started) {
+                this.announce('The light sensor could not be started');
+            }
+        });
+
+        typeSelect.addEventListener('change', () => this.updateFormState());
+
+        addBtn.addEventListener('click', () => {
+            const rule = automation.addRule({
+                type: typeSelect.value,
+                brightness: parseInt(brightnessInput.value, 10),
+                targetLux: parseInt(luxInput.value, 10),
+                occupiedOnly: occupiedInput.checked
+            });
+            if (rule) this.announce(`Sensor rule added: ${automation.describeRule(rule)}`);
+        });
+
+        ruleList.addEventListener('change', (e) => {
+            if (e.target.dataset.action === 'toggle') {
+                automation.setRuleEnabled(e.target.closest('[data-rule]').dataset.rule, e.target.checked);
+            }
+        });
+
+        ruleList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            if (button) {
+                automation.removeRule(button.closest('[data-rule]').dataset.rule);
+                this.announce('Sensor rule removed');
+            }
+        });
+
+        automation.onAction((rule, action) => {
+            this.render();
+            if (action === 'on' || action === 'off') {
+                this.announce(`${SENSOR_RULE_TYPES[rule.type].name}: light turned ${action}`);
+            }
+        });
+    }
+
+    // Level for motion rules, target lux for daylight rules
+    updateFormState() {
+        const isMotion = this.elements.typeSelect.value === 'motion';
+        this.elements.brightnessInput.disabled = !isMotion;
+        this.elements.luxInput.disabled = isMotion;
+        this.elements.occupiedInput.disabled = isMotion;
+    }
+
+    render() {
+        const { automation } = this;
+        const { ruleList, timeoutInput, luxSlider, deviceInput } = this.elements;
+
+        timeoutInput.value = automation.settings.timeoutMinutes;
+        luxSlider.value = automation.settings.ambientLux;
+        luxSlider.disabled = automation.settings.useDevice;
+        deviceInput.checked = automation.settings.useDevice;
+        deviceInput.disabled = !automation.AmbientLightSensor;
+        deviceInput.closest('label').title = automation.AmbientLightSensor ?
+            '' : 'This browser has no ambient light sensor';
+
+        ruleList.innerHTML = '';
+        if (automation.rules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'scene-empty';
+            empty.textContent = 'No sensor rules yet';
+            ruleList.appendChild(empty);
+        }
+
+        automation.rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'schedule-item';
+            item.classList.toggle('disabled', !rule.enabled);
+            item.dataset.rule = rule.id;
+
+            item.innerHTML = `
+                <input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''}>
+                <i class="fas ${SENSOR_RULE_TYPES[rule.type].icon}" aria-hidden="true"></i>
+                <span class="schedule-desc"></span>
+                <button class="icon-btn danger" data-action="delete" aria-label="Delete sensor rule">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+
+            const description = automation.describeRule(rule);
+            item.querySelector('.schedule-desc').textContent = description;
+            item.querySelector('[data-action="toggle"]').setAttribute('aria-label', `Enable ${description}`);
+            ruleList.appendChild(item);
+        });
+
+        this.renderReadings();
+    }
+
+    renderReadings() {
+        const { automation } = this;
+        const { status, luxValue, luxSlider, reading } = this.elements;
+        const ambient = automation.settings.ambientLux;
+        const lamp = automation.getLampLux();
+
+        const left = automation.getTimeLeft();
+        if (left > 0) {
+            const seconds = Math.ceil(left / 1000);
+            status.textContent = `Occupied • ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+        } else {
+            status.textContent = 'Vacant';
+        }
+
+        luxValue.textContent = `${ambient} lx`;
+        if (automation.settings.useDevice) luxSlider.value = ambient;
+        reading.textContent = `${ambient + lamp} lx here • ${ambient} daylight + ${lamp} lamp`;
+        if (automation.overridden && automation.rules.some(rule => rule.enabled && rule.type === 'daylight')) {
+            reading.textContent += ' • daylight rules paused after a manual change';
+        }
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+
+    destroy() {
+        this.automation.destroy();
+        clearInterval(this.refreshInterval);
+        if (this.unsubscribe) this.unsubscribe();
+        window.removeEventListener('storage', this.handleStorage);
+    }
+}
+
+window.SensorAutomation = SensorAutomation;
+window.SensorPanel = SensorPanel;
@@ -0,0 +1,104 @@
+/**
+ * Service Worker
+ * Precaches the app - page, scripts, styles, icons and the vendored icon
+ * font - so it installs and opens offline. Requests go to the network first
+ * and refresh the cache, so edits show up on the next load; the cached copy
+ * is only served when the network is unreachable
+ */
+
+const CACHE_NAME = 'led-bulb-v5'; // bump when the precache list changes
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+    'bulb-profiles.js',
+    'color.js',
+    'thermal.js',
+    'dimmer.js',
+    'lifespan.js',
+    'energy-meter.js',
+    'bulb-events.js',
+    'auto-programs.js',
+    'settings.js',
+    'bulb-model.js',
+    'bulb-view.js',
+    'bulb-group.js',
+    'room-plan.js',
+    'scenes.js',
+    'scheduler.js',
+    'sensors.js',
+    'history.js',
+    'event-log.js',
+    'tab-sync.js',
+    'device-bridge.js',
+    'voice.js',
+    'keymap.js',
+    'theme.js',
+    'notifications.js',
+    'pwa.js',
+    'url-state.js',
+    'script.js',
+    'led-bulb.js'
+];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by earlier versions
+self.addEventListener('activate', (e) => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('led-bulb-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    e.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            // Launch URLs like index.html?action=on are served from the cached page;
+            // a page that was never cached falls back to the app itself
+            .catch(() => caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+                .then(cached => cached ||
+                    (request.mode === 'navigate' ? caches.match('index.html') : undefined))
+                .then(cached => cached || Response.error()))
+    );
+});
+
+// Clicking a notification brings the app back to the front
+self.addEventListener('notificationclick', (e) => {
+    e.notification.close();
+
+    e.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('./index.html');
+        })
+    );
+});
@@ -0,0 +1,432 @@
+/**
+ * Persisted Settings
+ * Versioned schema for each bulb's saved state, with migrations from older
+ * saves and validation that repairs bad fields instead of dropping the save,
+ * plus a settings file that carries a whole setup between machines
+ */
+
+const BULB_STATE_VERSION = 1;
+
+// Upgrades a saved blob from version N to N + 1
+const BULB_STATE_MIGRATIONS = {
+    // 0: the unversioned blob, including the pre-room `ledBulbState` key.
+    // Thermal readings move into their own object with explicit units.
+    0: (data) => {
+        const { temperature, ambientTemp, overheatThreshold, ...rest } = data;
+        return {
+            ...rest,
+            version: 1,
+            thermal: {
+                temperatureF: temperature,
+                ambientF: ambientTemp,
+                thresholdF: overheatThreshold
+            }
+        };
+    }
+};
+
+const SETTINGS_FILE_FORMAT = 'led-bulb-settings';
+const SETTINGS_FILE_VERSION = 1;
+
+// Usage rather than configuration - kept from this machine on import
+const BULB_USAGE_FIELDS = ['runtime', 'totalEnergy', 'onSince', 'leftOnNotified', 'deratedMax', 'savedAt'];
+
+// Schedule rule actions, as Scheduler stores them ('brightness' is "Dim to")
+const SCHEDULE_ACTIONS = ['on', 'off', 'brightness'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const BulbStateSchema = {
+    version: BULB_STATE_VERSION,
+
+    defaults() {
+        return {
+            version: BULB_STATE_VERSION,
+            isOn: false,
+            brightness: 50,
+            profile: DEFAULT_PROFILE_ID,
+            colorMode: 'white',
+            colorTemperature: 2700,
+            color: '#FFB74D',
+            scenes: null,
+            sceneFadeMs: 2000,
+            autoMode: false,
+            autoProgram: AUTO_PROGRAM_DEFAULT,
+            autoPaused: false,
+            autoBase: null,
+            circadianCurve: DEFAULT_CIRCADIAN_CURVE.map(point => ({ ...point })),
+            tempUnit: 'F',
+            deratedMax: null,
+            runtime: 0,
+            totalEnergy: 0,
+            onSince: null,
+            leftOnNotified: false,
+            dimmer: { type: DEFAULT_DIMMER_ID, lineVoltage: LINE_VOLTAGE_NOMINAL },
+            life: {},
+            thermal: {},
+            savedAt: null
+        };
+    },
+
+    // Saved text -> { data, issues }; data is null when nothing can be recovered
+    read(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { data: null, issues: [`not valid JSON (${error.message})`] };
+        }
+
+        if (!isPlainObject(parsed)) {
+            return { data: null, issues: ['not a JSON object'] };
+        }
+        if (!this.hasKnownVersion(parsed)) {
+            return { data: null, issues: [`unknown version ${JSON.stringify(parsed.version)}`] };
+        }
+
+        return this.validate(this.migrate(parsed));
+    },
+
+    // Unversioned, or a version from 0 up; newer saves are validated as they are
+    hasKnownVersion(data) {
+        return data.version === undefined || (Number.isInteger(data.version) && data.version >= 0);
+    },
+
+    migrate(data) {
+        let migrated = data;
+        let version = Number.isInteger(data.version) ? data.version : 0;
+
+        while (version < BULB_STATE_VERSION) {
+            migrated = BULB_STATE_MIGRATIONS[version](migrated);
+            version++;
+        }
+
+        return migrated;
+    },
+
+    // Every field is checked on its own, so one bad value only resets that value
+    validate(data) {
+        const defaults = this.defaults();
+        const issues = [];
+        const state = { ...defaults, version: BULB_STATE_VERSION };
+
+        if (data.version > BULB_STATE_VERSION) {
+            issues.push(`saved by a newer version (${data.version}); unknown fields are ignored`);
+        }
+
+        const check = (field, isValid, normalize = (value) => value) => {
+            if (!(field in data) || data[field] === undefined) return;
+
+            if (isValid(data[field])) {
+                state[field] = normalize(data[field]);
+            } else {
+                issues.push(`${field}: ${JSON.stringify(data[field])} is invalid, using ${JSON.stringify(defaults[field])}`);
+            }
+        };
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const isCount = (value) => isNumber(value) && value >= 0;
+
+        check('isOn', (value) => typeof value === 'boolean');
+        check('profile', (value) => typeof value === 'string' && BulbProfiles.get(value).id === value);
+        // The lower bound depends on the profile, so this runs after it
+        check('brightness', isNumber, (value) =>
+            Math.max(BulbProfiles.get(state.profile).minBrightness, Math.min(100, Math.round(value))));
+        check('colorMode', (value) => value === 'white' || value === 'rgb');
+        check('colorTemperature', isNumber, (value) =>
+            Math.max(COLOR_TEMP_MIN, Math.min(COLOR_TEMP_MAX, Math.round(value))));
+        check('color', (value) => typeof value === 'string' && Boolean(ColorUtils.hexToRgb(value)));
+        check('scenes', (value) => value === null || Array.isArray(value), (value) =>
+            value && value.filter(scene => isPlainObject(scene) &&
+                typeof scene.id === 'string' && typeof scene.name === 'string'));
+        check('sceneFadeMs', isCount);
+        check('autoMode', (value) => typeof value === 'boolean');
+        check('autoProgram', (value) => typeof value === 'string' && AutoPrograms.get(value).id === value);
+        check('autoPaused', (value) => typeof value === 'boolean');
+        check('autoBase', (value) => value === null || (isPlainObject(value) &&
+            isNumber(value.brightness) && isNumber(value.colorTemperature) &&
+            (value.colorMode === 'white' || value.colorMode === 'rgb')));
+        check('circadianCurve', (value) => Boolean(AutoPrograms.normalizeCurve(value)),
+            (value) => AutoPrograms.normalizeCurve(value));
+        check('tempUnit', (value) => value === 'F' || value === 'C');
+        check('deratedMax', (value) => value === null || (isNumber(value) && value >= 0 && value <= 100));
+        check('runtime', isCount);
+        check('totalEnergy', isCount);
+        check('onSince', (value) => value === null || isNumber(value));
+        check('leftOnNotified', (value) => typeof value === 'boolean');
+        check('savedAt', isNumber);
+        check('dimmer', isPlainObject, (value) => ({
+            type: DIMMER_TYPES[value.type] ? value.type : DEFAULT_DIMMER_ID,
+            lineVoltage: isNumber(value.lineVoltage) ?
+                DimmerModel.clampLineVoltage(value.lineVoltage) : LINE_VOLTAGE_NOMINAL
+        }));
+        check('life', isPlainObject, (value) => {
+            // Missing or bad readings fall back to a new bulb's
+            const life = {};
+            ['onHours', 'cycles', 'lifeFactor', 'installedAt'].forEach(field => {
+                if (isCount(value[field])) life[field] = value[field];
+            });
+            if (FAILURE_MODES[value.failureMode]) life.failureMode = value.failureMode;
+            if (typeof value.failed === 'boolean') life.failed = value.failed;
+            return life;
+        });
+        check('thermal', isPlainObject, (value) => {
+            // Missing readings fall back to the ThermalModel defaults
+            const thermal = {};
+            ['temperatureF', 'ambientF', 'thresholdF'].forEach(field => {
+                if (isNumber(value[field])) thermal[field] = value[field];
+            });
+            return thermal;
+        });
+
+        return { data: state, issues };
+    },
+
+    // The configuration part of a saved blob, for the settings file
+    pickSettings(data) {
+        const settings = { ...data, thermal: { ...data.thermal } };
+        BULB_USAGE_FIELDS.forEach(field => delete settings[field]);
+        delete settings.thermal.temperatureF;
+
+        // Wear belongs to the bulb in this socket; only the failure mode is a setting
+        settings.life = data.life && data.life.failureMode ? { failureMode: data.life.failureMode } : {};
+        return settings;
+    }
+};
+
+const SettingsFile = {
+    // Read live objects and storage into one shareable document
+    create({ bulbs, scheduler = null, bridge = null }) {
+        const file = {
+            format: SETTINGS_FILE_FORMAT,
+            version: SETTINGS_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            room: bulbs.filter(bulb => bulb.id !== 'main').map(({ id, name }) => ({ id, name })),
+            bulbs: {},
+            schedules: {},
+            bridge: null
+        };
+
+        bulbs.forEach(bulb => {
+            file.bulbs[bulb.id] = BulbStateSchema.pickSettings(bulb.serializeState());
+        });
+
+        if (scheduler) {
+            file.schedules[scheduler.bulb.id] = scheduler.rules;
+        }
+
+        if (bridge) {
+            file.bridge = { url: bridge.url, enabled: bridge.enabled };
+        }
+
+        return file;
+    },
+
+    // Text -> validated document; throws an Error with a readable message
+    parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The settings file is not valid JSON');
+        }
+
+        if (!isPlainObject(file) || file.format !== SETTINGS_FILE_FORMAT) {
+            throw new Error('This is not a light bulb settings file');
+        }
+        if (!Number.isInteger(file.version) || file.version > SETTINGS_FILE_VERSION) {
+            throw new Error('The settings file was made by a newer version of the app');
+        }
+        if (!isPlainObject(file.bulbs)) {
+            throw new Error('The settings file has no bulbs');
+        }
+
+        const room = (Array.isArray(file.room) ? file.room : [])
+            .filter(entry => isPlainObject(entry) && typeof entry.id === 'string' &&
+                entry.id !== 'main' && typeof entry.name === 'string');
+        const ids = new Set(['main', ...room.map(entry => entry.id)]);
+
+        const bulbs = {};
+        const issues = [];
+        Object.entries(file.bulbs).forEach(([id, data]) => {
+            if (!ids.has(id) || !isPlainObject(data)) return;
+            if (!BulbStateSchema.hasKnownVersion(data)) {
+                issues.push(`${id}: unknown version ${JSON.stringify(data.version)}, skipped`);
+                return;
+            }
+
+            const result = BulbStateSchema.validate(BulbStateSchema.migrate(data));
+            bulbs[id] = BulbStateSchema.pickSettings(result.data);
+            result.issues.forEach(issue => issues.push(`${id} ${issue}`));
+        });
+
+        const schedules = {};
+        Object.entries(isPlainObject(file.schedules) ? file.schedules : {}).forEach(([id, rules]) => {
+            if (!ids.has(id) || !Array.isArray(rules)) return;
+
+            schedules[id] = rules.filter((rule, index) => {
+                if (!isPlainObject(rule) || typeof rule.id !== 'string' || !/^\d{2}:\d{2}$/.test(rule.time || '')) {
+                    issues.push(`${id} schedule ${index + 1}: not a valid rule, skipped`);
+                    return false;
+                }
+                if (!SCHEDULE_ACTIONS.includes(rule.action)) {
+                    issues.push(`${id} schedule ${index + 1}: unknown action ${JSON.stringify(rule.action)}, skipped`);
+                    return false;
+                }
+                return true;
+            });
+        });
+
+        const bridge = isPlainObject(file.bridge) && /^wss?:\/\/.+/i.test(file.bridge.url || '') ?
+            { url: file.bridge.url, enabled: file.bridge.enabled === true } : null;
+
+        return { room, bulbs, schedules, bridge, issues };
+    },
+
+    // Write an imported document over the current storage. Usage readings already
+    // saved on this machine are kept, and bulbs the file leaves out are dropped.
+    write(settings, { bulbKey, scheduleKey, roomKey, bridgeKey }) {
+        const ids = ['main', ...settings.room.map(entry => entry.id)];
+
+        ids.forEach(id => {
+            if (!settings.bulbs[id]) return;
+
+            const saved = localStorage.getItem(bulbKey(id));
+            const current = (saved && BulbStateSchema.read(saved).data) || BulbStateSchema.defaults();
+            const next = { ...current, ...settings.bulbs[id] };
+            next.thermal = { ...settings.bulbs[id].thermal, temperatureF: current.thermal.temperatureF };
+            next.life = { ...current.life, ...settings.bulbs[id].life };
+
+            localStorage.setItem(bulbKey(id), JSON.stringify(next));
+        });
+
+        Object.entries(settings.schedules).forEach(([id, rules]) => {
+            // Start from now, so imported rules don't replay as missed catch-up
+            localStorage.setItem(scheduleKey(id), JSON.stringify({
+                rules,
+                lastTick: Date.now(),
+                activeRamp: null
+            }));
+        });
+
+        localStorage.setItem(roomKey, JSON.stringify({ bulbs: settings.room }));
+
+        if (settings.bridge) {
+            localStorage.setItem(bridgeKey, JSON.stringify(settings.bridge));
+        }
+    }
+};
+
+class SettingsPanel {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.room = options.room;
+        this.scheduler = options.scheduler || null;
+        this.bridge = options.bridge || null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            exportBtn: find('settings-export-btn'),
+            importInput: find('settings-import'),
+            status: find('settings-status'),
+            ariaAnnouncement: document.getElementById('aria-announcement')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.exportBtn.addEventListener('click', () => this.exportSettings());
+
+        this.elements.importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importSettings(file);
+            e.target.value = '';
+        });
+    }
+
+    exportSettings() {
+        const file = SettingsFile.create({
+            bulbs: this.room.getBulbs(),
+            scheduler: this.scheduler,
+            bridge: this.bridge
+        });
+
+        const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `light-bulb-settings-${file.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.setStatus(`Exported settings for ${Object.keys(file.bulbs).length} bulb(s)`);
+    }
+
+    importSettings(file) {
+        const reader = new FileReader();
+        reader.onload = () => this.applySettings(String(reader.result));
+        reader.onerror = () => this.setStatus('Could not read the settings file');
+        reader.readAsText(file);
+    }
+
+    applySettings(text) {
+        let settings;
+        try {
+            settings = SettingsFile.parse(text);
+        } catch (error) {
+            this.setStatus(error.message);
+            return;
+        }
+
+        if (settings.issues.length > 0) {
+            console.warn('Repaired imported settings:', settings.issues);
+        }
+
+        // Live bulbs save on pagehide, so stop them before their state is replaced
+        const keep = new Set(settings.room.map(entry => entry.id));
+        this.room.getBulbs()
+            .filter(bulb => bulb.id !== 'main' && !keep.has(bulb.id))
+            .forEach(bulb => this.room.removeBulb(bulb.id));
+        this.room.getBulbs().forEach(bulb => bulb.destroy());
+        if (this.scheduler) this.scheduler.stop();
+        if (this.bridge) this.bridge.disconnect();
+
+        try {
+            SettingsFile.write(settings, {
+                bulbKey: (id) => `ledBulbState:${id}`,
+                scheduleKey: (id) => `ledBulbSchedule:${id}`,
+                roomKey: this.room.storageKey,
+                bridgeKey: this.bridge ? this.bridge.storageKey : 'ledBulbBridge'
+            });
+        } catch (error) {
+            console.error('Could not write imported settings:', error);
+        }
+
+        this.setStatus('Settings imported - reloading');
+        window.location.reload();
+    }
+
+    setStatus(message) {
+        this.elements.status.textContent = message;
+        this.announce(message);
+    }
+
+    announce(message) {
+        this.elements.ariaAnnouncement.textContent = message;
+
+        setTimeout(() => {
+            this.elements.ariaAnnouncement.textContent = '';
+        }, 1000);
+    }
+}
+
+window.BulbStateSchema = BulbStateSchema;
+window.SettingsFile = SettingsFile;
+window.SettingsPanel = SettingsPanel;
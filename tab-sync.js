@@ -0,0 +1,243 @@
+/**
+ * Cross-Tab Sync
+ * Mirrors bulb changes between tabs and windows of the same origin over a
+ * BroadcastChannel (falling back to storage events), resolving conflicts by
+ * change timestamp, and elects a single leader tab that owns the runtime
+ * counter, auto programs and schedules so energy is never double-counted
+ */
+
+const TAB_SYNC_CHANNEL = 'ledBulbSync';
+const TAB_LEADER_KEY = 'ledBulbLeader';
+const TAB_HEARTBEAT_MS = 1000;
+const TAB_LEASE_MS = 4000;
+
+// Copied from a remote change; runtime, energy, heat and wear arrive as leader telemetry
+const TAB_SYNC_FIELDS = [
+    'isOn', 'brightness', 'profile', 'colorMode', 'colorTemperature', 'color',
+    'autoMode', 'autoProgram', 'autoPaused', 'autoBase', 'onSince'
+];
+
+class TabSync {
+    constructor(options = {}) {
+        this.channelName = options.channelName || TAB_SYNC_CHANNEL;
+        this.leaderKey = options.leaderKey || TAB_LEADER_KEY;
+        this.tabId = `tab-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        this.bulbs = new Map(); // id -> { bulb, unsubscribe }
+        this.lastChange = new Map(); // bulb id -> { at, tabId } of the change on screen
+        this.isLeader = false;
+        this.channel = null;
+        this.heartbeatInterval = null;
+        this.leaderListeners = [];
+
+        this.handleStorage = (e) => this.onStorage(e);
+        this.handlePageHide = () => this.resign();
+    }
+
+    init() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (e) => this.handleMessage(e.data);
+        }
+
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.heartbeat();
+        this.heartbeatInterval = setInterval(() => this.heartbeat(), TAB_HEARTBEAT_MS);
+    }
+
+    destroy() {
+        this.resign();
+        clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+        window.removeEventListener('storage', this.handleStorage);
+        window.removeEventListener('pagehide', this.handlePageHide);
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    // Bulbs
+    addBulb(bulb) {
+        if (this.bulbs.has(bulb.id)) return;
+
+        bulb.sync = this;
+        const unsubscribe = bulb.on('change', (payload) => {
+            // Changes applied from another tab are not echoed back
+            if (payload.source === 'sync') return;
+
+            this.lastChange.set(bulb.id, { at: payload.timestamp, tabId: this.tabId });
+            this.post({
+                type: 'state',
+                bulbId: bulb.id,
+                at: payload.timestamp,
+                state: TabSync.pick(bulb.state)
+            });
+        });
+
+        this.bulbs.set(bulb.id, { bulb, unsubscribe });
+        bulb.updateAutoCycle();
+    }
+
+    removeBulb(id) {
+        const entry = this.bulbs.get(id);
+        if (!entry) return;
+
+        entry.unsubscribe();
+        entry.bulb.sync = null;
+        this.bulbs.delete(id);
+        this.lastChange.delete(id);
+    }
+
+    static pick(state) {
+        const picked = {};
+        TAB_SYNC_FIELDS.forEach(field => {
+            picked[field] = state[field];
+        });
+        return picked;
+    }
+
+    // Messaging
+    post(message) {
+        const envelope = { ...message, tabId: this.tabId };
+
+        if (this.channel) {
+            this.channel.postMessage(envelope);
+            return;
+        }
+
+        // Storage events only fire in other tabs, and only when the value changes
+        try {
+            localStorage.setItem(this.channelName, JSON.stringify({ ...envelope, nonce: Math.random() }));
+        } catch (error) {
+            console.warn('Could not broadcast to other tabs:', error);
+        }
+    }
+
+    onStorage(e) {
+        if (e.key === this.channelName && e.newValue && !this.channel) {
+            try {
+                this.handleMessage(JSON.parse(e.newValue));
+            } catch (error) {
+                console.warn('Ignoring malformed sync message:', error);
+            }
+        } else if (e.key === this.leaderKey && !e.newValue) {
+            // The leader closed - claim the lease now rather than waiting for it to expire
+            this.heartbeat();
+        } else if (!this.isLeader) {
+            // Followers never record energy, so reread the leader's history
+            this.bulbs.forEach(({ bulb }) => {
+                if (e.key === bulb.meter.storageKey) bulb.meter.load();
+            });
+        }
+    }
+
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        if (message.type === 'state') {
+            this.applyState(message);
+        } else if (message.type === 'telemetry' && !this.isLeader) {
+            (message.bulbs || []).forEach(reading => {
+                const entry = this.bulbs.get(reading.id);
+                if (entry) entry.bulb.applyTelemetry(reading);
+            });
+        }
+    }
+
+    // Newest change wins; equal timestamps fall back to comparing tab ids
+    applyState(message) {
+        const entry = this.bulbs.get(message.bulbId);
+        if (!entry || !message.state) return;
+
+        const last = this.lastChange.get(message.bulbId);
+        if (last && (message.at < last.at || (message.at === last.at && message.tabId < last.tabId))) {
+            return;
+        }
+
+        this.lastChange.set(message.bulbId, { at: message.at, tabId: message.tabId });
+        entry.bulb.applyRemoteState(message.state);
+    }
+
+    // Leadership - a lease in localStorage, renewed by the leader every heartbeat
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(this.leaderKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    heartbeat(now = Date.now()) {
+        const lease = this.readLease();
+        const available = !lease || lease.expires < now || lease.tabId === this.tabId;
+
+        // Two tabs may both claim an expired lease; the later write wins on the next beat
+        if (available) {
+            try {
+                localStorage.setItem(this.leaderKey, JSON.stringify({
+                    tabId: this.tabId,
+                    expires: now + TAB_LEASE_MS
+                }));
+            } catch (error) {
+                console.warn('Could not renew tab leadership:', error);
+            }
+        }
+
+        this.setLeader(available);
+
+        if (this.isLeader) {
+            this.publishTelemetry();
+        }
+    }
+
+    setLeader(isLeader) {
+        if (isLeader === this.isLeader) return;
+        this.isLeader = isLeader;
+
+        this.bulbs.forEach(({ bulb }) => {
+            // Continue from the previous leader's energy history
+            if (isLeader) bulb.meter.load();
+            bulb.updateAutoCycle();
+        });
+
+        this.leaderListeners.forEach(listener => listener(isLeader));
+    }
+
+    onLeaderChange(listener) {
+        this.leaderListeners.push(listener);
+    }
+
+    resign() {
+        if (!this.isLeader) return;
+
+        try {
+            localStorage.removeItem(this.leaderKey);
+        } catch (error) {
+            console.warn('Could not release tab leadership:', error);
+        }
+        this.setLeader(false);
+    }
+
+    // Readings only the leader produces
+    publishTelemetry() {
+        if (this.bulbs.size === 0) return;
+
+        this.post({
+            type: 'telemetry',
+            bulbs: Array.from(this.bulbs.values()).map(({ bulb }) => ({
+                id: bulb.id,
+                runtime: bulb.state.runtime,
+                totalEnergy: bulb.state.totalEnergy,
+                temperature: bulb.thermal.temperatureF,
+                protecting: bulb.thermal.protecting,
+                deratedMax: bulb.state.deratedMax,
+                life: bulb.life.toJSON()
+            }))
+        });
+    }
+}
+
+window.TabSync = TabSync;
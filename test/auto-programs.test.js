@@ -0,0 +1,39 @@
+/**
+ * AutoPrograms - the circadian curve keeps the levels it was given, and the
+ * bulb's own floor applies when it is played
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./harness');
+
+const scripts = loadScripts();
+const { AutoPrograms, BulbModel } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+describe('circadian curve', () => {
+    const curve = [
+        { time: '22:00', brightness: 5, colorTemperature: 2200 },
+        { time: '06:00', brightness: 150, colorTemperature: 9000 },
+        { time: 'noon', brightness: 50, colorTemperature: 4000 }
+    ];
+
+    it('keeps low levels, caps at 100% and sorts by time', () => {
+        const points = AutoPrograms.normalizeCurve(curve);
+
+        assert.equal(points.map(point => `${point.time}=${point.brightness}`).join(), '06:00=100,22:00=5');
+        assert.equal(points[0].colorTemperature, 6500);
+    });
+
+    it('plays at no less than the profile and dimmer floor', () => {
+        const model = new BulbModel({ clock: new FakeClock() });
+        const night = AutoPrograms.sampleCurve(curve, 22 * 60).brightness;
+        assert.equal(night, 5);
+        assert.equal(model.clampBrightness(night), model.getProfile().minBrightness);
+
+        model.setDimmerType('leading-edge');
+        assert.equal(model.clampBrightness(night), model.getMinBrightness());
+        assert.ok(model.getMinBrightness() > model.getProfile().minBrightness);
+    });
+});
@@ -0,0 +1,264 @@
+/**
+ * BulbModel - brightness and color clamping, the switch-on rules and energy
+ * integration over simulated time
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./harness');
+
+const scripts = loadScripts();
+const {
+    BulbModel, HOUR_MS, COLOR_TEMP_MIN, COLOR_TEMP_MAX, DEFAULT_AMBIENT_F,
+    POWER_ON_MIN_BRIGHTNESS, AUTO_ON_BRIGHTNESS
+} = scripts;
+
+// The energy meter persists, so each model starts from empty storage
+beforeEach(() => scripts.localStorage.clear());
+
+describe('clamping', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new BulbModel({ clock: new FakeClock() });
+    });
+
+    it('holds brightness at the profile minimum', () => {
+        model.setBrightness(0);
+        assert.equal(model.state.brightness, model.getProfile().minBrightness);
+
+        model.setProfile('filament');
+        model.setBrightness(5);
+        assert.equal(model.state.brightness, 20);
+    });
+
+    it('caps brightness at 100%', () => {
+        model.setBrightness(250);
+        assert.equal(model.state.brightness, 100);
+    });
+
+    it('caps brightness at the overheat derating', () => {
+        model.state.deratedMax = 60;
+        model.setBrightness(90);
+        assert.equal(model.state.brightness, 60);
+        assert.equal(model.clampBrightness(100), 60);
+    });
+
+    it('raises the floor for a dimmer that cannot hold low levels', () => {
+        model.setBrightness(10);
+        model.setDimmerType('leading-edge');
+
+        assert.ok(model.getMinBrightness() > model.getProfile().minBrightness);
+        assert.equal(model.state.brightness, model.getMinBrightness());
+    });
+
+    it('keeps color temperature in the tunable range, in whole kelvin', () => {
+        model.setColorTemperature(1000);
+        assert.equal(model.state.colorTemperature, COLOR_TEMP_MIN);
+
+        model.setColorTemperature(9000);
+        assert.equal(model.state.colorTemperature, COLOR_TEMP_MAX);
+
+        model.setColorTemperature(3333.6);
+        assert.equal(model.state.colorTemperature, 3334);
+    });
+
+    it('reports whether a setter changed anything', () => {
+        assert.equal(model.setBrightness(50), false);
+        assert.equal(model.setBrightness(500), true);
+        assert.equal(model.setBrightness(120), false);
+        assert.equal(model.setColorTemperature(2700), false);
+        assert.equal(model.setColor({ r: 255, g: 0, b: 0 }), true);
+        assert.equal(model.state.color, '#FF0000');
+        assert.equal(model.setColorTemperature(2700), true, 'back to white is a change');
+    });
+
+    it('parses hex, RGB and HSV colors', () => {
+        assert.equal(BulbModel.parseColor('#00ff00').g, 255);
+        assert.equal(BulbModel.parseColor({ r: 1, g: 2, b: 3 }).b, 3);
+        assert.equal(BulbModel.parseColor({ h: 0, s: 100, v: 100 }).r, 255);
+        assert.equal(BulbModel.parseColor('green'), null);
+        assert.equal(BulbModel.parseColor(null), null);
+    });
+});
+
+describe('power-on rules', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new BulbModel({ clock: new FakeClock() });
+    });
+
+    it(`switches an off bulb on when brightened to ${AUTO_ON_BRIGHTNESS}% or more`, () => {
+        model.setBrightness(AUTO_ON_BRIGHTNESS - 1);
+        assert.equal(model.state.isOn, false);
+
+        model.setBrightness(AUTO_ON_BRIGHTNESS);
+        assert.equal(model.state.isOn, true);
+    });
+
+    it('leaves an off bulb off when dimmed', () => {
+        model.setBrightness(20);
+        assert.equal(model.state.isOn, false);
+        assert.equal(model.state.brightness, 20);
+    });
+
+    it(`switches on at no less than ${POWER_ON_MIN_BRIGHTNESS}%`, () => {
+        model.setBrightness(15);
+        assert.equal(model.setPower(true), true);
+        assert.equal(model.state.isOn, true);
+        assert.equal(model.state.brightness, POWER_ON_MIN_BRIGHTNESS);
+    });
+
+    it('keeps a higher level when switched on', () => {
+        model.setPower(true);
+        assert.equal(model.state.brightness, 50);
+    });
+
+    it('keeps the level when switched off, and can be dimmed while on', () => {
+        model.setPower(true);
+        model.setBrightness(12);
+        assert.equal(model.state.isOn, true);
+
+        assert.equal(model.setPower(false), true);
+        assert.equal(model.state.brightness, 12);
+        assert.equal(model.setPower(false), false);
+    });
+
+    it('draws no power while off or failed', () => {
+        model.updateOutput();
+        assert.equal(model.state.powerDraw, 0);
+
+        model.setPower(true);
+        model.updateOutput();
+        assert.ok(model.state.powerDraw > 0);
+        assert.ok(model.state.lumens > 0);
+
+        model.life.failed = true;
+        model.updateOutput();
+        assert.equal(model.state.powerDraw, 0);
+        assert.equal(model.state.lumens, 0);
+    });
+});
+
+describe('undo snapshots', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new BulbModel({ clock: new FakeClock() });
+    });
+
+    it('switches power through setPower, so an undone switch-on forgets when it was on', () => {
+        const before = { ...model.state };
+        model.setPower(true);
+        model.state.leftOnNotified = true;
+
+        model.applySnapshot({ isOn: before.isOn, brightness: before.brightness });
+        assert.equal(model.state.isOn, false);
+        assert.equal(model.state.onSince, null);
+        assert.equal(model.state.leftOnNotified, false);
+    });
+
+    it('restores a dim level that switching on would have raised', () => {
+        model.applySnapshot({ isOn: true, brightness: 12 });
+        assert.equal(model.state.isOn, true);
+        assert.equal(model.state.brightness, 12);
+        assert.ok(model.state.onSince !== null);
+    });
+});
+
+describe('energy integration', () => {
+    let clock;
+    let model;
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        model = new BulbModel({ clock });
+    });
+
+    it('integrates watt-hours at the draw over each tick', () => {
+        model.setBrightness(100);
+        model.updateOutput();
+        const watts = model.state.powerDraw;
+
+        const now = clock.advance(HOUR_MS);
+        const tick = model.tick();
+
+        assert.equal(tick.elapsedMs, HOUR_MS);
+        assert.equal(model.state.runtime, 3600);
+        assert.ok(Math.abs(model.state.totalEnergy - watts) < 1e-9);
+        assert.ok(Math.abs(model.meter.hours[model.meter.hourKey(now)] - watts) < 1e-9);
+    });
+
+    it('meters a brightness change mid-session at each level', () => {
+        model.setBrightness(100);
+        model.updateOutput();
+        const bright = model.state.powerDraw;
+        clock.advance(HOUR_MS / 2);
+        model.tick();
+
+        model.setBrightness(40);
+        model.updateOutput();
+        const dim = model.state.powerDraw;
+        clock.advance(HOUR_MS / 2);
+        model.tick();
+
+        assert.ok(dim < bright);
+        assert.ok(Math.abs(model.state.totalEnergy - (bright + dim) / 2) < 1e-9);
+        assert.equal(model.state.runtime, 3600);
+    });
+
+    it('adds up many short ticks like one long one', () => {
+        model.setPower(true);
+        model.updateOutput();
+        for (let i = 0; i < 600; i++) {
+            clock.advance(1000);
+            model.tick();
+        }
+
+        assert.ok(Math.abs(model.state.totalEnergy - model.state.powerDraw / 6) < 1e-9);
+        assert.ok(Math.abs(model.state.runtime - 600) < 1e-9);
+        assert.ok(Math.abs(model.life.onHours - 1 / 6) < 1e-9);
+    });
+
+    it('uses no energy and adds no runtime while off, but still cools', () => {
+        model.thermal.temperatureF = 150;
+        clock.advance(HOUR_MS);
+        model.tick();
+
+        assert.equal(model.state.totalEnergy, 0);
+        assert.equal(model.state.runtime, 0);
+        assert.equal(Object.keys(model.meter.hours).length, 0);
+        assert.ok(Math.abs(model.state.temperature - DEFAULT_AMBIENT_F) <= 1);
+    });
+
+    it('drops time skipped while another tab runs the bulb', () => {
+        model.setPower(true);
+        model.updateOutput();
+        clock.advance(HOUR_MS);
+        model.skip();
+
+        assert.equal(model.tick().elapsedMs, 0);
+        assert.equal(model.state.totalEnergy, 0);
+    });
+
+    it('steps brightness down while overheating, then lifts the cap once cool', () => {
+        model.thermal.thresholdF = DEFAULT_AMBIENT_F + 1;
+        model.setBrightness(100);
+        model.updateOutput();
+
+        const hot = model.tick(clock.advance(60 * 1000));
+        assert.equal(hot.change, 'tripped');
+        assert.equal(hot.derateTo, 90);
+        assert.equal(model.getMaxBrightness(), 90);
+
+        // Not again until the derate interval has passed
+        assert.equal(model.tick(clock.advance(1000)).derateTo, null);
+
+        model.setPower(false);
+        model.thermal.thresholdF = 200;
+        const cool = model.tick(clock.advance(HOUR_MS));
+        assert.equal(cool.change, 'cleared');
+        assert.equal(model.getMaxBrightness(), 100);
+    });
+});
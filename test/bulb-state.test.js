@@ -0,0 +1,192 @@
+/**
+ * BulbModel persistence - the saved blob round-trips through
+ * BulbStateSchema, heat catches up on the time the page was closed, and bad
+ * saves are repaired or refused without touching the model
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./harness');
+
+const scripts = loadScripts();
+const { BulbModel, BulbStateSchema, HOUR_MS, DEFAULT_AMBIENT_F } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+describe('persistence', () => {
+    it('restores a saved bulb field for field', () => {
+        const clock = new FakeClock();
+        const saved = new BulbModel({ clock });
+        saved.setProfile('br30');
+        saved.setBrightness(72);
+        saved.setColorTemperature(4100);
+        saved.setDimmerType('trailing-edge');
+        saved.dimmer.lineVoltage = 115;
+        saved.thermal.thresholdF = 160;
+        saved.life.recordCycle();
+        saved.state.tempUnit = 'C';
+        saved.updateOutput();
+        clock.advance(HOUR_MS);
+        saved.tick();
+
+        const text = JSON.stringify(saved.serialize());
+        const model = new BulbModel({ clock });
+        const { data, issues } = model.load(text);
+
+        assert.ok(data);
+        assert.equal(issues.length, 0);
+        assert.equal(model.state.isOn, true);
+        assert.equal(model.state.profile, 'br30');
+        assert.equal(model.state.brightness, 72);
+        assert.equal(model.state.colorTemperature, 4100);
+        assert.equal(model.state.tempUnit, 'C');
+        assert.equal(model.state.runtime, 3600);
+        assert.equal(model.state.totalEnergy, saved.state.totalEnergy);
+        assert.equal(model.dimmer.type, 'trailing-edge');
+        assert.equal(model.dimmer.lineVoltage, 115);
+        assert.equal(model.thermal.thresholdF, 160);
+        assert.equal(model.life.cycles, 1);
+        assert.equal(model.life.onHours, 1);
+        assert.equal(model.life.lifeFactor, saved.life.lifeFactor);
+    });
+
+    it('stamps the save with the injected clock', () => {
+        const clock = new FakeClock(1000);
+        assert.equal(new BulbModel({ clock }).serialize().savedAt, 1000);
+    });
+
+    it('cools a bulb that was saved hot and off while the page was closed', () => {
+        const clock = new FakeClock();
+        const saved = new BulbModel({ clock });
+        saved.thermal.temperatureF = 180;
+        const text = JSON.stringify(saved.serialize());
+
+        clock.advance(HOUR_MS);
+        const model = new BulbModel({ clock });
+        model.load(text);
+
+        assert.ok(Math.abs(model.thermal.temperatureF - DEFAULT_AMBIENT_F) < 1);
+        assert.equal(model.state.temperature, Math.round(model.thermal.temperatureF));
+    });
+
+    it('keeps the saved temperature when no time has passed', () => {
+        const clock = new FakeClock();
+        const saved = new BulbModel({ clock });
+        saved.thermal.temperatureF = 120;
+
+        const model = new BulbModel({ clock });
+        model.load(JSON.stringify(saved.serialize()));
+        assert.equal(model.thermal.temperatureF, 120);
+    });
+
+    it('keeps when the light was switched on, and whether the reminder went out, across a reload', () => {
+        const clock = new FakeClock();
+        const switchedOnAt = clock.now();
+        const saved = new BulbModel({ clock });
+        saved.setPower(true);
+        clock.advance(5 * HOUR_MS);
+        saved.state.leftOnNotified = true;
+
+        const model = new BulbModel({ clock });
+        model.load(JSON.stringify(saved.serialize()));
+        assert.equal(model.state.onSince, switchedOnAt);
+        assert.equal(model.state.leftOnNotified, true);
+
+        model.setPower(false);
+        assert.equal(model.state.onSince, null);
+        assert.equal(model.state.leftOnNotified, false);
+    });
+
+    it('keeps the overheat brightness cap across a reload until the bulb cools', () => {
+        const clock = new FakeClock();
+        const saved = new BulbModel({ clock });
+        saved.setPower(true);
+        saved.thermal.temperatureF = 200;
+        clock.advance(1000);
+        saved.tick();
+        assert.equal(saved.state.deratedMax, 40);
+
+        const model = new BulbModel({ clock });
+        model.load(JSON.stringify(saved.serialize()));
+        assert.equal(model.thermal.protecting, true);
+        assert.equal(model.getMaxBrightness(), 40);
+
+        saved.setPower(false);
+        const text = JSON.stringify(saved.serialize());
+        clock.advance(HOUR_MS);
+        model.load(text);
+        assert.equal(model.thermal.protecting, false);
+        assert.equal(model.getMaxBrightness(), 100);
+    });
+
+    it('lifts the overheat brightness cap on reset', () => {
+        const model = new BulbModel({ clock: new FakeClock() });
+        model.state.deratedMax = 40;
+        model.reset();
+        assert.equal(model.getMaxBrightness(), 100);
+    });
+
+    it('repairs invalid fields one by one', () => {
+        const model = new BulbModel({ clock: new FakeClock() });
+        const data = { ...model.serialize(), isOn: true, brightness: 'bright', colorTemperature: 3000 };
+        const { issues } = model.load(JSON.stringify(data));
+
+        assert.equal(issues.length, 1);
+        assert.match(issues[0], /^brightness/);
+        assert.equal(model.state.brightness, 50);
+        assert.equal(model.state.isOn, true);
+        assert.equal(model.state.colorTemperature, 3000);
+    });
+
+    it('migrates an unversioned save', () => {
+        const legacy = { isOn: false, brightness: 40, temperature: 90, ambientTemp: 70, overheatThreshold: 150 };
+        const model = new BulbModel({ clock: new FakeClock() });
+        model.load(JSON.stringify(legacy));
+
+        assert.equal(model.state.brightness, 40);
+        assert.equal(model.thermal.ambientF, 70);
+        assert.equal(model.thermal.thresholdF, 150);
+    });
+
+    it('raises a saved level below a restrictive dimmer floor', () => {
+        const data = { ...BulbStateSchema.defaults(), brightness: 10, dimmer: { type: 'leading-edge' } };
+        const model = new BulbModel({ clock: new FakeClock() });
+        model.load(JSON.stringify(data));
+
+        assert.equal(model.state.brightness, model.getMinBrightness());
+        assert.ok(model.state.brightness > 10);
+    });
+
+    it('refuses a save with a version below zero', () => {
+        const model = new BulbModel({ clock: new FakeClock() });
+        model.setBrightness(80);
+
+        const { data, issues } = model.load('{"version": -1, "brightness": 30}');
+        assert.equal(data, null);
+        assert.match(issues[0], /unknown version -1/);
+        assert.equal(model.state.brightness, 80);
+    });
+
+    it('validates a save from a newer version as it is', () => {
+        const model = new BulbModel({ clock: new FakeClock() });
+        const data = { ...model.serialize(), version: BulbStateSchema.version + 1, brightness: 70, glow: 'soft' };
+        const result = model.load(JSON.stringify(data));
+
+        assert.ok(result.data);
+        assert.equal(result.issues.length, 1);
+        assert.match(result.issues[0], /newer version/);
+        assert.equal(model.state.brightness, 70);
+        assert.equal(result.data.glow, undefined);
+    });
+
+    it('leaves the model untouched when the save is unreadable', () => {
+        const model = new BulbModel({ clock: new FakeClock() });
+        model.setBrightness(80);
+
+        const { data, issues } = model.load('{"isOn": tru');
+        assert.equal(data, null);
+        assert.match(issues[0], /not valid JSON/);
+        assert.equal(model.state.brightness, 80);
+        assert.equal(model.state.isOn, true);
+    });
+});
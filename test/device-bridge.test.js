@@ -0,0 +1,110 @@
+/**
+ * DeviceBridge - topics and frames from a controller, the errors sent back
+ * and the order a command's fields are applied in
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock, MODEL_SCRIPTS } = require('./harness');
+
+const scripts = loadScripts([...MODEL_SCRIPTS, 'device-bridge.js']);
+const { BulbModel, DeviceBridge } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+// The controller calls the bridge makes, straight onto a BulbModel
+function createBulb(id) {
+    const model = new BulbModel({ clock: new FakeClock() });
+    return {
+        id,
+        name: id,
+        state: model.state,
+        withSource: (source, apply) => apply(),
+        on: () => () => {},
+        turnOn: () => model.setPower(true),
+        turnOff: () => model.setPower(false),
+        setBrightnessLevel: (level) => model.setBrightness(level),
+        setColorTemperature: (kelvin) => model.setColorTemperature(kelvin)
+    };
+}
+
+describe('DeviceBridge', () => {
+    let bridge;
+    let bulb;
+    let sent;
+
+    // Frames the page published, other than state updates
+    const errors = () => sent.filter(frame => frame.topic.endsWith('/error'));
+
+    beforeEach(() => {
+        sent = [];
+        bridge = new DeviceBridge({ root: {}, WebSocket: null });
+        bridge.socket = { readyState: 1, send: (text) => sent.push(JSON.parse(text)) };
+        bulb = createBulb('main');
+        bridge.addBulb(bulb);
+    });
+
+    const receive = (message) => bridge.handleMessage(JSON.stringify(message));
+
+    it('applies a set command to the bulb in its topic', () => {
+        receive({ topic: 'home/bulb/main/set', payload: { power: 'on', brightness: 70, color: { kelvin: 4000 } } });
+        assert.equal(bulb.state.isOn, true);
+        assert.equal(bulb.state.brightness, 70);
+        assert.equal(bulb.state.colorTemperature, 4000);
+        assert.equal(errors().length, 0);
+    });
+
+    it('republishes state on get and ignores other topics', () => {
+        sent = [];
+        receive({ topic: 'home/bulb/main/get', payload: {} });
+        receive({ topic: 'home/other/main/set', payload: { power: 'on' } });
+        receive({ topic: 'home/bulb/main/state', payload: { power: 'on' } });
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].topic, 'home/bulb/main/state');
+        assert.equal(bulb.state.isOn, false);
+    });
+
+    it('ignores frames that are not JSON objects', () => {
+        ['null', '1', '"x"', '[]', '{"topic":'].forEach(frame => bridge.handleMessage(frame));
+        assert.equal(errors().length, 0);
+    });
+
+    it('reports unknown bulbs, bad payloads and bad fields', () => {
+        receive({ topic: 'home/bulb/desk/set', payload: { power: 'on' } });
+        receive({ topic: 'home/bulb/main/set', payload: 'on' });
+        receive({ topic: 'home/bulb/main/set', payload: { power: 'dim', brightness: 'high', scene: 'relax' } });
+
+        assert.equal(errors().map(frame => frame.payload.error).join('|'), [
+            'Unknown bulb "desk"',
+            'set payload must be a JSON object',
+            'power must be "on", "off" or "toggle"',
+            'brightness must be a number',
+            'Unknown scene "relax"'
+        ].join('|'));
+        assert.equal(errors()[0].topic, 'home/bulb/desk/error');
+    });
+
+    it('sets the level before switching off, so the bulb stays off', () => {
+        bulb.turnOn();
+        receive({ topic: 'home/bulb/main/set', payload: { power: 'off', brightness: 50 } });
+        assert.equal(bulb.state.isOn, false);
+        assert.equal(bulb.state.brightness, 50);
+    });
+
+    it('switches on before setting a level below the switch-on minimum', () => {
+        receive({ topic: 'home/bulb/main/set', payload: { power: 'on', brightness: 15 } });
+        assert.equal(bulb.state.isOn, true);
+        assert.equal(bulb.state.brightness, 15);
+    });
+
+    it('resolves a toggle against the state before the command', () => {
+        bulb.turnOn();
+        receive({ topic: 'home/bulb/main/set', payload: { power: 'toggle', brightness: 80 } });
+        assert.equal(bulb.state.isOn, false);
+        assert.equal(bulb.state.brightness, 80);
+
+        receive({ topic: 'home/bulb/main/set', payload: { power: 'toggle' } });
+        assert.equal(bulb.state.isOn, true);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Test Harness
+ * Runs the app's classic scripts in a fresh VM context, as the page runs its
+ * <script> tags, so BulbModel can be tested without a browser. The context
+ * is its own `window`, with an in-memory localStorage and no document: a
+ * script under test that reaches for the DOM fails here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Everything BulbModel needs, in index.html order
+const MODEL_SCRIPTS = [
+    'bulb-profiles.js',
+    'color.js',
+    'thermal.js',
+    'dimmer.js',
+    'lifespan.js',
+    'energy-meter.js',
+    'auto-programs.js',
+    'settings.js',
+    'bulb-model.js'
+];
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+// A clock that only moves when told to
+class FakeClock {
+    constructor(start = Date.UTC(2024, 0, 15, 12)) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+}
+
+// Returns the context's globals - BulbModel, BulbStateSchema, HOUR_MS and so on,
+// plus any other top-level consts named in `constants`. Each call starts from
+// empty storage.
+function loadScripts(scripts = MODEL_SCRIPTS, constants = []) {
+    const context = vm.createContext({
+        console,
+        localStorage: new MemoryStorage()
+    });
+    context.window = context;
+
+    scripts.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+
+    // Top-level consts stay in the context's script scope; surface the ones tests use
+    vm.runInContext(`Object.assign(window, {
+        HOUR_MS, COLOR_TEMP_MIN, COLOR_TEMP_MAX, DEFAULT_AMBIENT_F,
+        POWER_ON_MIN_BRIGHTNESS, AUTO_ON_BRIGHTNESS${constants.map(name => `, ${name}`).join('')}
+    })`, context);
+
+    return context;
+}
+
+module.exports = { loadScripts, FakeClock, MemoryStorage, MODEL_SCRIPTS };
@@ -0,0 +1,79 @@
+/**
+ * CommandHistory - slider bursts merge into one step, other changes never do,
+ * the stack stays bounded and both stacks survive a reload
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock, MODEL_SCRIPTS } = require('./harness');
+
+const scripts = loadScripts([...MODEL_SCRIPTS, 'history.js'], ['HISTORY_COALESCE_MS']);
+const { CommandHistory, HISTORY_COALESCE_MS } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+const state = (brightness, isOn = true) => ({ isOn, brightness, colorMode: 'white', colorTemperature: 2700 });
+
+describe('CommandHistory', () => {
+    let clock;
+    let history;
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        history = new CommandHistory({ storageKey: 'history:test' });
+    });
+
+    it('merges a burst of brightness changes into one step', () => {
+        history.capture('brightness', state(50), clock.now());
+        history.capture('brightness', state(55), clock.advance(300));
+        history.capture('brightness', state(60), clock.advance(300));
+        assert.equal(history.undoStack.length, 1);
+        assert.equal(history.undo(state(65)).state.brightness, 50);
+
+        // A pause ends the burst
+        history.capture('brightness', state(65), clock.advance(HISTORY_COALESCE_MS));
+        history.capture('brightness', state(70), clock.advance(HISTORY_COALESCE_MS));
+        assert.equal(history.undoStack.length, 2);
+    });
+
+    it('keeps quick power toggles and resets as separate steps', () => {
+        history.capture('power', state(50, false), clock.now());
+        history.capture('power', state(50, true), clock.advance(200));
+        history.capture('reset', state(50, false), clock.advance(200));
+        history.capture('reset', state(50, false), clock.advance(200));
+        assert.equal(history.undoStack.length, 4);
+
+        assert.equal(history.undo(state(50, false)).label, 'reset');
+        assert.equal(history.undo(state(50, false)).label, 'reset');
+        assert.equal(history.undo(state(50, false)).state.isOn, true);
+    });
+
+    it('drops the oldest step beyond the limit', () => {
+        const small = new CommandHistory({ storageKey: 'history:small', limit: 3 });
+        [10, 20, 30, 40].forEach(level => small.capture('power', state(level), clock.advance(HISTORY_COALESCE_MS)));
+
+        assert.equal(small.undoStack.length, 3);
+        assert.equal(small.undoStack[0].state.brightness, 20);
+    });
+
+    it('clears redo on a new change', () => {
+        history.capture('power', state(50, false), clock.now());
+        history.undo(state(50, true));
+        assert.equal(history.canRedo(), true);
+
+        history.capture('profile', state(50), clock.advance(200));
+        assert.equal(history.canRedo(), false);
+    });
+
+    it('restores both stacks after a reload', () => {
+        history.capture('power', state(50, false), clock.now());
+        history.capture('brightness', state(50), clock.advance(HISTORY_COALESCE_MS));
+        history.undo(state(80));
+
+        const reloaded = new CommandHistory({ storageKey: 'history:test' });
+        assert.equal(reloaded.undoStack.length, 1);
+        assert.equal(reloaded.redoStack.length, 1);
+        assert.equal(reloaded.redo(state(50)).state.brightness, 80);
+        assert.equal(reloaded.undo(state(80)).state.brightness, 50);
+    });
+});
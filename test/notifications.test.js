@@ -0,0 +1,69 @@
+/**
+ * BulbNotifier - the left-on reminder, sent once per time on and never for
+ * a light that is off
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock, MODEL_SCRIPTS } = require('./harness');
+
+const scripts = loadScripts([...MODEL_SCRIPTS, 'scheduler.js', 'notifications.js']);
+const { BulbModel, BulbNotifier, HOUR_MS } = scripts;
+
+// No service worker here, so reminders go through the Notification stand-in
+scripts.navigator = {};
+
+beforeEach(() => scripts.localStorage.clear());
+
+describe('left-on reminder', () => {
+    let clock;
+    let model;
+    let sent;
+    let notifier;
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        model = new BulbModel({ clock });
+        sent = [];
+
+        class FakeNotification {
+            constructor(title) {
+                sent.push(title);
+            }
+        }
+        FakeNotification.permission = 'granted';
+
+        const bulb = {
+            name: 'Main Light',
+            state: model.state,
+            ownsTimers: () => true,
+            saveState: () => {}
+        };
+        notifier = new BulbNotifier(bulb, { clock, Notification: FakeNotification });
+        notifier.settings.enabled = true;
+    });
+
+    it('goes out once when the light has been on past the limit', () => {
+        model.setPower(true);
+        assert.equal(notifier.checkLeftOn(clock.now() + 3 * HOUR_MS), false);
+        assert.equal(notifier.checkLeftOn(clock.now() + 4 * HOUR_MS), true);
+        assert.equal(notifier.checkLeftOn(clock.now() + 5 * HOUR_MS), false);
+        assert.equal(sent.join(), 'Main Light is still on');
+    });
+
+    it('stays quiet once an undo has switched the light off', () => {
+        model.setPower(true);
+        model.applySnapshot({ isOn: false, brightness: 50 });
+
+        assert.equal(notifier.checkLeftOn(clock.now() + 5 * HOUR_MS), false);
+        assert.equal(sent.length, 0);
+    });
+
+    it('stays quiet for a light that is off, whatever onSince says', () => {
+        model.setPower(true);
+        model.state.isOn = false;
+
+        assert.equal(notifier.checkLeftOn(clock.now() + 5 * HOUR_MS), false);
+        assert.equal(sent.length, 0);
+    });
+});
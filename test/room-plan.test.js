@@ -0,0 +1,150 @@
+/**
+ * Room plan - the illuminance laws, beam spread and keeping bulbs and
+ * measuring points inside the room
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MODEL_SCRIPTS } = require('./harness');
+
+const scripts = loadScripts([...MODEL_SCRIPTS, 'room-plan.js']);
+const { Illuminance, RoomPlan, BulbProfiles } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+const UP = { x: 0, y: 0, z: 1 };
+
+// Just what RoomPlan reads from a bulb
+function createBulb(id, lumens, profile = BulbProfiles.get('a21')) {
+    return {
+        id,
+        name: id,
+        state: { lumens },
+        getProfile: () => profile,
+        on: () => () => {}
+    };
+}
+
+describe('Illuminance', () => {
+    const light = { x: 0, y: 0, z: 2, lumens: 1000, beamAngle: 0 };
+
+    it('falls off with the square of the distance', () => {
+        const below = Illuminance.at({ x: 0, y: 0, z: 0 }, UP, [light]);
+        const closer = Illuminance.at({ x: 0, y: 0, z: 1 }, UP, [light]);
+
+        assert.ok(Math.abs(below - 1000 / (4 * Math.PI) / 4) < 1e-9);
+        assert.ok(Math.abs(closer / below - 4) < 1e-9);
+    });
+
+    it('follows the cosine law off to the side', () => {
+        // 2 m down and 2 m across: twice the distance squared, at 45 degrees
+        const below = Illuminance.at({ x: 0, y: 0, z: 0 }, UP, [light]);
+        const aside = Illuminance.at({ x: 2, y: 0, z: 0 }, UP, [light]);
+        assert.ok(Math.abs(aside - below / 2 * Math.SQRT1_2) < 1e-9);
+    });
+
+    it('adds lights together and ignores surfaces facing away', () => {
+        const one = Illuminance.at({ x: 0, y: 0, z: 0 }, UP, [light]);
+        assert.ok(Math.abs(Illuminance.at({ x: 0, y: 0, z: 0 }, UP, [light, light]) - 2 * one) < 1e-9);
+        assert.equal(Illuminance.at({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -1 }, [light]), 0);
+    });
+
+    it('keeps a flood inside its beam', () => {
+        const flood = { ...light, beamAngle: 90 };
+        const below = Illuminance.at({ x: 0, y: 0, z: 0 }, UP, [flood]);
+
+        assert.ok(below > Illuminance.at({ x: 0, y: 0, z: 0 }, UP, [light]));
+        assert.equal(Illuminance.at({ x: 2.1, y: 0, z: 0 }, UP, [flood]), 0);
+    });
+});
+
+describe('RoomPlan', () => {
+    let plan;
+
+    beforeEach(() => {
+        plan = new RoomPlan();
+    });
+
+    it('puts the first bulb in the middle of the ceiling', () => {
+        plan.addBulb(createBulb('main', 1600));
+        const { x, y, z } = plan.placements.main;
+
+        assert.equal(x, 2.5);
+        assert.equal(y, 2);
+        assert.equal(z, 2.7);
+    });
+
+    it('is brightest under the bulb and dark with the bulb off', () => {
+        const bulb = createBulb('main', 1600);
+        plan.addBulb(bulb);
+
+        const stats = plan.sample(10, 8);
+        assert.ok(plan.luxAt(2.5, 2) >= stats.max);
+        assert.ok(stats.min > 0 && stats.min < stats.average);
+
+        bulb.state.lumens = 0;
+        assert.equal(plan.sample(10, 8).max, 0);
+    });
+
+    it('lights the wall facing the bulb more at its middle than its corners', () => {
+        plan.addBulb(createBulb('main', 1600));
+        assert.ok(plan.wallLuxAt('back', 2.5) > plan.wallLuxAt('back', 0.2));
+        assert.ok(plan.wallLuxAt('left', 2) > 0);
+    });
+
+    it('pulls bulbs and points inside a room that shrinks', () => {
+        plan.addBulb(createBulb('main', 1600));
+        plan.moveBulb('main', { x: 4.5, y: 3.5 });
+        const point = plan.addPoint(4.8, 3.9);
+
+        plan.setRoom({ width: 3, depth: 2 });
+        assert.equal(plan.placements.main.x, 3);
+        assert.equal(plan.placements.main.y, 2);
+        assert.equal(plan.points[0].x, 3);
+        assert.equal(plan.points[0].id, point.id);
+    });
+
+    it('keeps a bulb below the ceiling and above the measuring plane', () => {
+        plan.addBulb(createBulb('main', 1600));
+
+        plan.moveBulb('main', { z: 9 });
+        assert.equal(plan.placements.main.z, 2.7);
+        plan.moveBulb('main', { z: 0 });
+        assert.equal(plan.placements.main.z, 0.85);
+    });
+
+    it('rejects unusable room sizes and leaves cleared fields alone', () => {
+        assert.equal(plan.setRoom({ width: -1 }), false);
+        assert.equal(plan.room.width, 5);
+        assert.equal(plan.setRoom({ height: 1 }), true);
+        assert.equal(plan.room.height, 2);
+
+        const point = plan.addPoint(1, 1);
+        plan.movePoint(point.id, { x: NaN, y: 1.5 });
+        assert.equal(plan.points[0].x, 1);
+        assert.equal(plan.points[0].y, 1.5);
+    });
+
+    it('restores the room, placements and points from storage', () => {
+        plan.addBulb(createBulb('main', 1600));
+        plan.setRoom({ width: 6, plane: 0 });
+        plan.moveBulb('main', { x: 1, y: 1, z: 2.4 });
+        plan.addPoint(3, 3);
+
+        const restored = new RoomPlan();
+        restored.load();
+        assert.equal(restored.room.width, 6);
+        assert.equal(restored.room.plane, 0);
+        assert.equal(restored.placements.main.z, 2.4);
+        assert.equal(restored.points.length, 1);
+    });
+
+    it('forgets a bulb removed from the room', () => {
+        plan.addBulb(createBulb('main', 1600));
+        plan.addBulb(createBulb('desk', 800));
+        plan.removeBulb('desk');
+
+        assert.equal(plan.getBulbs().length, 1);
+        assert.equal(plan.placements.desk, undefined);
+    });
+});
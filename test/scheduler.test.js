@@ -0,0 +1,172 @@
+/**
+ * Scheduler - rule levels within what the bulb can hold, catch-up of the rule
+ * that came due while the page was closed, and ramps that resume after a reload
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock, MODEL_SCRIPTS } = require('./harness');
+
+const scripts = loadScripts([...MODEL_SCRIPTS, 'scheduler.js'], ['MINUTE_MS']);
+const { BulbModel, Scheduler, MINUTE_MS } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+// Rules run on local wall-clock time; 15 January 2024 is a Monday
+const at = (hours, minutes = 0, day = 15) => new Date(2024, 0, day, hours, minutes).getTime();
+
+// The controller calls the scheduler makes; fadeTo with no duration lands at once
+function createBulb(clock) {
+    const model = new BulbModel({ clock });
+    return {
+        id: 'test',
+        model,
+        state: model.state,
+        events: [],
+        ownsTimers: () => true,
+        withSource: (source, apply) => apply(),
+        turnOff: () => model.setPower(false),
+        fadeTo(target) {
+            if (target.isOn === true) model.setPower(true);
+            model.state.brightness = model.clampBrightness(target.brightness);
+        },
+        getMinBrightness: () => model.getMinBrightness(),
+        logEvent(type) {
+            this.events.push(type);
+        }
+    };
+}
+
+// A first load applies the rule from the day before; start each test from a
+// bulb switched off after it
+function settle(scheduler, bulb) {
+    scheduler.catchUp();
+    bulb.turnOff();
+    bulb.events.length = 0;
+}
+
+describe('rule levels', () => {
+    let bulb;
+    let scheduler;
+
+    beforeEach(() => {
+        const clock = new FakeClock(at(12));
+        bulb = createBulb(clock);
+        scheduler = new Scheduler(bulb, { clock });
+    });
+
+    it('raises an explicit 0 to the profile floor instead of reading it as full', () => {
+        assert.equal(scheduler.addRule({ time: '07:00', brightness: 0 }).brightness, bulb.model.getMinBrightness());
+
+        bulb.model.setProfile('filament');
+        assert.equal(scheduler.addRule({ time: '07:00', brightness: 12 }).brightness, 20);
+    });
+
+    it('keeps full brightness when no level is given, and caps at 100%', () => {
+        assert.equal(scheduler.addRule({ time: '07:00' }).brightness, 100);
+        assert.equal(scheduler.addRule({ time: '07:00', brightness: 250 }).brightness, 100);
+    });
+
+    it('ignores the overheat cap, which only lasts until the bulb cools', () => {
+        bulb.state.deratedMax = 40;
+        assert.equal(scheduler.addRule({ time: '07:00', brightness: 80 }).brightness, 80);
+    });
+});
+
+describe('catch-up', () => {
+    let clock;
+    let bulb;
+
+    beforeEach(() => {
+        clock = new FakeClock(at(6));
+        bulb = createBulb(clock);
+        const scheduler = new Scheduler(bulb, { clock });
+        scheduler.addRule({ time: '07:00', action: 'on', brightness: 60 });
+        settle(scheduler, bulb);
+    });
+
+    it('applies a rule that came due while the page was closed', () => {
+        clock.advance(3 * 60 * MINUTE_MS);
+        const reloaded = new Scheduler(bulb, { clock });
+        reloaded.loadSchedule();
+        reloaded.catchUp();
+
+        assert.equal(bulb.state.isOn, true);
+        assert.equal(bulb.state.brightness, 60);
+        assert.equal(bulb.events.join(), 'schedule');
+    });
+
+    it('does not run a rule again after a reload', () => {
+        clock.advance(90 * MINUTE_MS);
+        const first = new Scheduler(bulb, { clock });
+        first.loadSchedule();
+        first.catchUp();
+        bulb.turnOff();
+
+        clock.advance(30 * MINUTE_MS);
+        const second = new Scheduler(bulb, { clock });
+        second.loadSchedule();
+        second.catchUp();
+
+        assert.equal(bulb.state.isOn, false);
+        assert.equal(bulb.events.length, 1);
+    });
+});
+
+describe('ramps', () => {
+    let clock;
+    let bulb;
+    let scheduler;
+
+    beforeEach(() => {
+        clock = new FakeClock(at(6, 59));
+        bulb = createBulb(clock);
+        scheduler = new Scheduler(bulb, { clock });
+        scheduler.addRule({ time: '07:00', action: 'on', brightness: 80, rampMinutes: 20 });
+        settle(scheduler, bulb);
+    });
+
+    it('rises from the floor to the rule level over the ramp', () => {
+        const floor = bulb.model.getMinBrightness();
+
+        clock.advance(MINUTE_MS);
+        scheduler.tick();
+        assert.equal(bulb.state.isOn, true);
+        assert.equal(bulb.state.brightness, floor);
+
+        clock.advance(10 * MINUTE_MS);
+        scheduler.tick();
+        assert.equal(bulb.state.brightness, Math.round(floor + (80 - floor) / 2));
+
+        clock.advance(10 * MINUTE_MS);
+        scheduler.tick();
+        assert.equal(bulb.state.brightness, 80);
+        assert.equal(scheduler.activeRamp, null);
+    });
+
+    it('hands control back after a manual change', () => {
+        clock.advance(5 * MINUTE_MS);
+        scheduler.tick();
+        bulb.model.setBrightness(25);
+
+        clock.advance(5 * MINUTE_MS);
+        scheduler.tick();
+        assert.equal(bulb.state.brightness, 25);
+        assert.equal(scheduler.activeRamp, null);
+    });
+
+    it('picks a ramp up where it left off after a reload', () => {
+        clock.advance(5 * MINUTE_MS);
+        scheduler.tick();
+
+        // Halfway, at 07:10
+        clock.advance(6 * MINUTE_MS);
+        const reloaded = new Scheduler(bulb, { clock });
+        reloaded.loadSchedule();
+        reloaded.catchUp();
+
+        const floor = bulb.model.getMinBrightness();
+        assert.equal(bulb.state.brightness, Math.round(floor + (80 - floor) / 2));
+        assert.ok(reloaded.activeRamp);
+    });
+});
@@ -0,0 +1,259 @@
+/**
+ * SensorAutomation - occupancy timing, motion rules and daylight harvesting,
+ * run against a BulbModel behind a stand-in for the page controller
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock, MODEL_SCRIPTS } = require('./harness');
+
+const scripts = loadScripts(
+    [...MODEL_SCRIPTS, 'scheduler.js', 'sensors.js'],
+    ['MINUTE_MS', 'LUX_PER_LUMEN']
+);
+const { BulbModel, SensorAutomation, MINUTE_MS } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+// The controller calls the sensors use, with the sources they ran under;
+// changes reach 'change' listeners as they do from LEDLightBulb
+function createBulb(clock) {
+    const model = new BulbModel({ clock });
+    const listeners = [];
+    let source = 'api';
+    const change = (type, apply) => {
+        apply();
+        model.updateOutput();
+        listeners.forEach(listener => listener({ source, changes: [type] }));
+    };
+
+    return {
+        id: 'test',
+        model,
+        state: model.state,
+        life: model.life,
+        sources: [],
+        events: [],
+        ownsTimers: () => true,
+        withSource(next, apply) {
+            this.sources.push(next);
+            const outer = source;
+            source = next;
+            try {
+                apply();
+            } finally {
+                source = outer;
+            }
+        },
+        withoutHistory: (apply) => apply(),
+        on(type, listener) {
+            listeners.push(listener);
+            return () => listeners.splice(listeners.indexOf(listener), 1);
+        },
+        turnOn: () => change('power', () => model.setPower(true)),
+        turnOff: () => change('power', () => model.setPower(false)),
+        setBrightness: (level) => change('brightness', () => model.setBrightness(level)),
+        getProfile: () => model.getProfile(),
+        getMinBrightness: () => model.getMinBrightness(),
+        logEvent(type) {
+            this.events.push(type);
+        }
+    };
+}
+
+describe('occupancy', () => {
+    let clock;
+    let sensors;
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        sensors = new SensorAutomation(createBulb(clock), { clock, AmbientLightSensor: null });
+        sensors.setTimeout(5);
+    });
+
+    it('is vacant until motion and for the timeout after it', () => {
+        assert.equal(sensors.isOccupied(), false);
+
+        sensors.motion();
+        clock.advance(5 * MINUTE_MS - 1000);
+        assert.equal(sensors.isOccupied(), true);
+        assert.equal(sensors.getTimeLeft(), 1000);
+
+        clock.advance(1000);
+        assert.equal(sensors.isOccupied(), false);
+        assert.equal(sensors.getTimeLeft(), 0);
+    });
+
+    it('restarts the timeout on each motion', () => {
+        sensors.motion();
+        clock.advance(4 * MINUTE_MS);
+        sensors.motion();
+        clock.advance(4 * MINUTE_MS);
+        assert.equal(sensors.isOccupied(), true);
+    });
+
+    it('clamps the ambient level', () => {
+        sensors.setAmbientLux(-50);
+        assert.equal(sensors.settings.ambientLux, 0);
+        sensors.setAmbientLux(99999);
+        assert.equal(sensors.settings.ambientLux, 2000);
+    });
+});
+
+describe('motion rules', () => {
+    let clock;
+    let bulb;
+    let sensors;
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        bulb = createBulb(clock);
+        sensors = new SensorAutomation(bulb, { clock, AmbientLightSensor: null });
+        sensors.addRule({ type: 'motion', brightness: 60 });
+    });
+
+    it('turns the light on at the rule level and off once the room is idle', () => {
+        sensors.motion();
+        assert.equal(bulb.state.isOn, true);
+        assert.equal(bulb.state.brightness, 60);
+        assert.equal(bulb.sources.at(-1), 'sensor');
+
+        clock.advance(5 * MINUTE_MS);
+        sensors.tick();
+        assert.equal(bulb.state.isOn, false);
+        assert.deepEqual([...bulb.events], ['motion', 'sensor', 'sensor']);
+    });
+
+    it('leaves a light switched off by hand alone until the next arrival', () => {
+        sensors.motion();
+        bulb.turnOff();
+
+        clock.advance(MINUTE_MS);
+        sensors.motion();
+        assert.equal(bulb.state.isOn, false);
+
+        clock.advance(5 * MINUTE_MS);
+        sensors.tick();
+        sensors.motion();
+        assert.equal(bulb.state.isOn, true);
+    });
+
+    it('keeps the rule level within what the bulb can hold', () => {
+        assert.equal(sensors.addRule({ type: 'motion', brightness: 0 }).brightness, bulb.model.getMinBrightness());
+        assert.equal(sensors.addRule({ type: 'motion', brightness: 250 }).brightness, 100);
+        assert.equal(sensors.addRule({ type: 'motion' }).brightness, 60);
+
+        bulb.model.setProfile('filament');
+        assert.equal(sensors.addRule({ type: 'motion', brightness: 12 }).brightness, 20);
+    });
+
+    it('does nothing while disabled', () => {
+        sensors.setRuleEnabled(sensors.rules[0].id, false);
+        sensors.motion();
+        assert.equal(bulb.state.isOn, false);
+    });
+
+    it('turns off after a reload that missed the end of the timeout', () => {
+        sensors.motion();
+
+        clock.advance(10 * MINUTE_MS);
+        const reloaded = new SensorAutomation(bulb, { clock, AmbientLightSensor: null });
+        reloaded.load();
+        reloaded.tick();
+        assert.equal(bulb.state.isOn, false);
+    });
+});
+
+describe('daylight harvesting', () => {
+    let clock;
+    let bulb;
+    let sensors;
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        bulb = createBulb(clock);
+        sensors = new SensorAutomation(bulb, { clock, AmbientLightSensor: null });
+        sensors.setAmbientLux(100);
+        sensors.addRule({ type: 'daylight', targetLux: 300, occupiedOnly: true });
+    });
+
+    it('waits for occupancy when the rule asks for it', () => {
+        sensors.tick();
+        assert.equal(bulb.state.isOn, false);
+    });
+
+    it('tops daylight up to the target', () => {
+        sensors.motion();
+        const combined = sensors.settings.ambientLux + sensors.getLampLux();
+        assert.equal(bulb.state.isOn, true);
+        assert.ok(combined >= 300 && combined < 320, `combined ${combined} lx`);
+    });
+
+    it('dims as daylight rises and switches off when it is enough', () => {
+        sensors.motion();
+        const level = bulb.state.brightness;
+
+        sensors.setAmbientLux(200);
+        assert.ok(bulb.state.brightness < level);
+
+        sensors.setAmbientLux(300);
+        assert.equal(bulb.state.isOn, false);
+
+        // Off until daylight drops more than 10% below the target
+        sensors.setAmbientLux(280);
+        assert.equal(bulb.state.isOn, false);
+        sensors.setAmbientLux(260);
+        assert.equal(bulb.state.isOn, true);
+    });
+
+    it('leaves a light switched off or dimmed by hand alone until the next arrival or vacancy', () => {
+        sensors.motion();
+        bulb.withSource('switch', () => bulb.turnOff());
+
+        clock.advance(1000);
+        sensors.tick();
+        sensors.setAmbientLux(50);
+        assert.equal(bulb.state.isOn, false);
+        assert.equal(sensors.overridden, true);
+
+        // Vacancy ends the override; the next arrival harvests again
+        clock.advance(5 * MINUTE_MS);
+        sensors.tick();
+        assert.equal(sensors.overridden, false);
+        sensors.motion();
+        assert.equal(bulb.state.isOn, true);
+
+        bulb.withSource('slider', () => bulb.setBrightness(90));
+        sensors.setAmbientLux(250);
+        assert.equal(bulb.state.brightness, 90);
+    });
+
+    it('keeps harvesting when its own changes come back from another tab', () => {
+        sensors.motion();
+        bulb.withSource('sync', () => bulb.setBrightness(bulb.state.brightness + 5));
+        assert.equal(sensors.overridden, false);
+
+        const level = bulb.state.brightness;
+        sensors.setAmbientLux(250);
+        assert.ok(bulb.state.brightness < level);
+    });
+
+    it('can be switched off by hand when it runs without occupancy', () => {
+        sensors.removeRule(sensors.rules[0].id);
+        sensors.addRule({ type: 'daylight', targetLux: 300, occupiedOnly: false });
+        assert.equal(bulb.state.isOn, true);
+
+        bulb.withSource('switch', () => bulb.turnOff());
+        clock.advance(60 * MINUTE_MS);
+        sensors.tick();
+        assert.equal(bulb.state.isOn, false);
+    });
+
+    it('ignores changes inside the deadband', () => {
+        sensors.motion();
+        const level = bulb.state.brightness;
+
+        sensors.setAmbientLux(102);
+        assert.equal(bulb.state.brightness, level);
+    });
+});
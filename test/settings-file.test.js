@@ -0,0 +1,80 @@
+/**
+ * SettingsFile - schedules survive an export / import round trip, and rules
+ * the importer can't use are reported rather than dropped silently
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeClock } = require('./harness');
+
+const scripts = loadScripts();
+const { BulbModel, SettingsFile } = scripts;
+
+beforeEach(() => scripts.localStorage.clear());
+
+const rule = (id, time, action) => ({
+    id,
+    enabled: true,
+    time,
+    days: [1, 2, 3, 4, 5],
+    action,
+    brightness: 40,
+    rampMinutes: action === 'off' ? 0 : 15
+});
+
+// The parts of a bulb and a scheduler that SettingsFile.create reads
+function exportSettings(rules) {
+    const model = new BulbModel({ clock: new FakeClock() });
+    const bulb = { id: 'main', name: 'Main Light', serializeState: () => model.serialize() };
+
+    return JSON.stringify(SettingsFile.create({
+        bulbs: [bulb],
+        scheduler: { bulb, rules }
+    }));
+}
+
+describe('schedules', () => {
+    it('round-trip every action, dim rules included', () => {
+        const text = exportSettings([
+            rule('rule-on', '07:00', 'on'),
+            rule('rule-dim', '21:00', 'brightness'),
+            rule('rule-off', '23:30', 'off')
+        ]);
+
+        const settings = SettingsFile.parse(text);
+        assert.equal(settings.issues.length, 0);
+        assert.equal(settings.schedules.main.map(item => item.action).join(), 'on,brightness,off');
+
+        SettingsFile.write(settings, {
+            bulbKey: (id) => `ledBulbState:${id}`,
+            scheduleKey: (id) => `ledBulbSchedule:${id}`,
+            roomKey: 'ledBulbRoom',
+            bridgeKey: 'ledBulbBridge'
+        });
+        const saved = JSON.parse(scripts.localStorage.getItem('ledBulbSchedule:main'));
+        const dim = saved.rules.find(item => item.id === 'rule-dim');
+        assert.equal(dim.action, 'brightness');
+        assert.equal(dim.brightness, 40);
+        assert.equal(dim.rampMinutes, 15);
+    });
+
+    it('report rules with an unknown action', () => {
+        const text = exportSettings([rule('rule-on', '07:00', 'on'), rule('rule-blink', '08:00', 'blink')]);
+        const settings = SettingsFile.parse(text);
+
+        assert.equal(settings.schedules.main.length, 1);
+        assert.equal(settings.issues.length, 1);
+        assert.match(settings.issues[0], /unknown action "blink"/);
+    });
+});
+
+describe('bulbs', () => {
+    it('skip a bulb saved with a version below zero', () => {
+        const file = JSON.parse(exportSettings([]));
+        file.bulbs.main.version = -1;
+
+        const settings = SettingsFile.parse(JSON.stringify(file));
+        assert.equal(settings.bulbs.main, undefined);
+        assert.match(settings.issues[0], /^main: unknown version -1/);
+    });
+});
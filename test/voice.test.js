@@ -0,0 +1,62 @@
+/**
+ * VoiceCommands - spoken phrases to commands, without a microphone
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MODEL_SCRIPTS } = require('./harness');
+
+const { VoiceCommands } = loadScripts([...MODEL_SCRIPTS, 'voice.js']);
+
+// Commands come from the VM context, so compare their fields
+const parse = (text) => {
+    const command = VoiceCommands.parse(text);
+    return command && `${command.type}:${command.value}`;
+};
+
+describe('VoiceCommands.parse', () => {
+    it('understands the documented phrases', () => {
+        assert.equal(parse('turn on the light'), 'power:on');
+        assert.equal(parse('dim to thirty percent'), 'brightness:30');
+        assert.equal(parse('brighter'), 'brightness-step:10');
+        assert.equal(parse('set scene reading'), 'scene:reading');
+    });
+
+    it('switches off and toggles', () => {
+        assert.equal(parse('Turn the lights off.'), 'power:off');
+        assert.equal(parse('switch off the lamp'), 'power:off');
+        assert.equal(parse('off'), 'power:off');
+        assert.equal(parse('toggle the light'), 'power:toggle');
+    });
+
+    it('reads numbers as digits, words and compounds', () => {
+        assert.equal(parse('set brightness to 45%'), 'brightness:45');
+        assert.equal(parse('dim to twenty five percent'), 'brightness:25');
+        assert.equal(parse('dim to twenty-five percent'), 'brightness:25');
+        assert.equal(parse('set brightness to a hundred'), 'brightness:100');
+        assert.equal(parse('set brightness to one hundred percent'), 'brightness:100');
+        assert.equal(VoiceCommands.findNumber('seventy'), 70);
+        assert.equal(VoiceCommands.findNumber('no number here'), null);
+    });
+
+    it('clamps levels to 0-100', () => {
+        assert.equal(parse('set brightness to 250'), 'brightness:100');
+        assert.equal(parse('full brightness'), 'brightness:100');
+        assert.equal(parse('minimum brightness'), 'brightness:0');
+    });
+
+    it('steps brightness down', () => {
+        assert.equal(parse('dimmer'), 'brightness-step:-10');
+        assert.equal(parse('a bit darker please'), 'brightness-step:-10');
+    });
+
+    it('takes scene names in either order', () => {
+        assert.equal(parse('set scene to movie night'), 'scene:movie night');
+        assert.equal(parse('activate the relax scene'), 'scene:relax');
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(parse(''), null);
+        assert.equal(parse('what time is it'), null);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Themes & Motion
+ * Light, dark and high-contrast palettes are sets of CSS custom properties
+ * picked by a data-theme attribute; data-motion="reduce" turns off animations,
+ * the staggered LED warm-up and the keyboard feedback pop. Both follow the
+ * system (prefers-color-scheme, prefers-contrast, prefers-reduced-motion)
+ * until the user overrides them
+ */
+
+const THEME_STORAGE_KEY = 'ledBulbTheme';
+
+const THEMES = {
+    auto: 'System',
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast'
+};
+
+const MOTION_MODES = {
+    auto: 'System',
+    full: 'Full',
+    reduce: 'Reduced'
+};
+
+class ThemeManager {
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.storageKey = options.storageKey || THEME_STORAGE_KEY;
+
+        // The user's choice; 'auto' follows the system
+        this.theme = 'auto';
+        this.motion = 'auto';
+
+        this.queries = ThemeManager.mediaQueries();
+        this.handleSystemChange = () => this.apply();
+    }
+
+    init() {
+        this.load();
+        this.cacheElements();
+        this.renderOptions();
+        this.setupEventListeners();
+        this.apply();
+    }
+
+    static mediaQueries() {
+        const match = (query) => window.matchMedia ? window.matchMedia(query) : null;
+
+        return {
+            dark: match('(prefers-color-scheme: dark)'),
+            contrast: match('(prefers-contrast: more)'),
+            motion: match('(prefers-reduced-motion: reduce)')
+        };
+    }
+
+    // Whether animations should be skipped for a bulb root: a shadow root takes
+    // the setting from its host, anything else from the nearest data-motion
+    static reducedMotion(node = document) {
+        const element = node.host || node.documentElement || node;
+        const scope = element.closest ? element.closest('[data-motion]') : null;
+        if (scope) return scope.dataset.motion === 'reduce';
+
+        const query = ThemeManager.mediaQueries().motion;
+        return Boolean(query && query.matches);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            if (THEMES[saved.theme]) this.theme = saved.theme;
+            if (MOTION_MODES[saved.motion]) this.motion = saved.motion;
+        } catch (error) {
+            console.warn('Could not load theme:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                theme: this.theme,
+                motion: this.motion
+            }));
+        } catch (error) {
+            console.warn('Could not save theme:', error);
+        }
+    }
+
+    // Pages that only embed <led-bulb> elements have no theme controls
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            themeSelect: find('theme-select'),
+            motionSelect: find('motion-select'),
+            ariaAnnouncement: find('aria-announcement') || document.getElementById('aria-announcement')
+        };
+    }
+
+    renderOptions() {
+        const fill = (select, labels) => {
+            if (!select) return;
+            Object.entries(labels).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+
+        fill(this.elements.themeSelect, THEMES);
+        fill(this.elements.motionSelect, MOTION_MODES);
+    }
+
+    setupEventListeners() {
+        const { themeSelect, motionSelect } = this.elements;
+
+        if (themeSelect) {
+            themeSelect.addEventListener('change', (e) => this.setTheme(e.target.value));
+        }
+        if (motionSelect) {
+            motionSelect.addEventListener('change', (e) => this.setMotion(e.target.value));
+        }
+
+        Object.values(this.queries).forEach(query => {
+            if (query && query.addEventListener) {
+                query.addEventListener('change', this.handleSystemChange);
+            }
+        });
+    }
+
+    resolveTheme() {
+        if (this.theme !== 'auto') return this.theme;
+        if (this.queries.contrast && this.queries.contrast.matches) return 'high-contrast';
+        if (this.queries.dark && this.queries.dark.matches) return 'dark';
+        return 'light';
+    }
+
+    resolveMotion() {
+        if (this.motion !== 'auto') return this.motion;
+        return this.queries.motion && this.queries.motion.matches ? 'reduce' : 'full';
+    }
+
+    // Shadow roots keep their own custom properties, so <led-bulb> hosts get the attributes too
+    apply() {
+        const theme = this.resolveTheme();
+        const motion = this.resolveMotion();
+        const targets = [document.documentElement, ...document.querySelectorAll('led-bulb')];
+
+        targets.forEach(target => {
+            target.dataset.theme = theme;
+            target.dataset.motion = motion;
+        });
+
+        this.render();
+    }
+
+    setTheme(theme) {
+        if (!THEMES[theme]) return;
+
+        this.theme = theme;
+        this.save();
+        this.apply();
+        this.announce(`Theme: ${THEMES[theme]}`);
+    }
+
+    setMotion(motion) {
+        if (!MOTION_MODES[motion]) return;
+
+        this.motion = motion;
+        this.save();
+        this.apply();
+        this.announce(`Motion: ${MOTION_MODES[motion]}`);
+    }
+
+    render() {
+        const { themeSelect, motionSelect } = this.elements;
+        if (themeSelect) themeSelect.value = this.theme;
+        if (motionSelect) motionSelect.value = this.motion;
+    }
+
+    announce(message) {
+        const region = this.elements.ariaAnnouncement;
+        if (!region) return;
+
+        region.textContent = message;
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+
+    destroy() {
+        Object.values(this.queries).forEach(query => {
+            if (query && query.removeEventListener) {
+                query.removeEventListener('change', this.handleSystemChange);
+            }
+        });
+    }
+}
+
+window.ThemeManager = ThemeManager;
@@ -0,0 +1,146 @@
+/**
+ * Thermal Simulation
+ * Heats and cools the bulb toward an equilibrium temperature over time
+ * (Newton's law of cooling), with a configurable ambient temperature,
+ * °F / °C display and overheat protection that derates brightness
+ */
+
+const DEFAULT_OVERHEAT_F = 140;
+const OVERHEAT_HYSTERESIS_F = 5;
+const DERATE_STEP = 10; // brightness points shed per derate
+const DERATE_INTERVAL_MS = 5000;
+
+class ThermalModel {
+    constructor(options = {}) {
+        this.ambientF = Number.isFinite(options.ambientF) ? options.ambientF : DEFAULT_AMBIENT_F;
+        this.thresholdF = Number.isFinite(options.thresholdF) ? options.thresholdF : DEFAULT_OVERHEAT_F;
+        this.temperatureF = Number.isFinite(options.temperatureF) ? options.temperatureF : this.ambientF;
+        this.protecting = false;
+    }
+
+    // Temperature the bulb settles at for a given share of its rated power
+    getEquilibrium(heatFraction, profile) {
+        return this.ambientF + heatFraction * profile.thermal.riseF;
+    }
+
+    // Advance by dtSec; returns 'tripped', 'cleared' or null when protection changes
+    step(dtSec, heatFraction, profile) {
+        const equilibrium = this.getEquilibrium(heatFraction, profile);
+        const alpha = 1 - Math.exp(-dtSec / profile.thermal.timeConstantSec);
+        this.temperatureF += (equilibrium - this.temperatureF) * alpha;
+
+        return this.updateProtection();
+    }
+
+    updateProtection() {
+        if (!this.protecting && this.temperatureF > this.thresholdF) {
+            this.protecting = true;
+            return 'tripped';
+        }
+
+        // Hysteresis stops protection chattering around the threshold
+        if (this.protecting && this.temperatureF < this.thresholdF - OVERHEAT_HYSTERESIS_F) {
+            this.protecting = false;
+            return 'cleared';
+        }
+
+        return null;
+    }
+
+    static toCelsius(fahrenheit) {
+        return (fahrenheit - 32) * 5 / 9;
+    }
+
+    static toFahrenheit(celsius) {
+        return celsius * 9 / 5 + 32;
+    }
+
+    static format(fahrenheit, unit = 'F') {
+        const value = unit === 'C' ? ThermalModel.toCelsius(fahrenheit) : fahrenheit;
+        return `${Math.round(value)}°${unit}`;
+    }
+}
+
+class ThermalPanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.refreshInterval = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+
+        // Follow the bulb's temperature as it heats and cools
+        this.refreshInterval = setInterval(() => this.renderSummary(), 1000);
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            ambientInput: find('ambient-input'),
+            thresholdInput: find('threshold-input'),
+            unitSelect: find('temp-unit-select'),
+            unitLabels: this.root.querySelectorAll('[data-role="temp-unit-label"]'),
+            summary: find('thermal-summary')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.unitSelect.addEventListener('change', (e) => {
+            this.bulb.setTemperatureUnit(e.target.value);
+            this.render();
+        });
+
+        this.elements.ambientInput.addEventListener('change', (e) => {
+            this.bulb.setAmbientTemperature(this.fromDisplayUnit(parseFloat(e.target.value)));
+            this.render();
+        });
+
+        this.elements.thresholdInput.addEventListener('change', (e) => {
+            this.bulb.setOverheatThreshold(this.fromDisplayUnit(parseFloat(e.target.value)));
+            this.render();
+        });
+    }
+
+    toDisplayUnit(fahrenheit) {
+        const value = this.bulb.state.tempUnit === 'C' ? ThermalModel.toCelsius(fahrenheit) : fahrenheit;
+        return Math.round(value);
+    }
+
+    fromDisplayUnit(value) {
+        return this.bulb.state.tempUnit === 'C' ? ThermalModel.toFahrenheit(value) : value;
+    }
+
+    render() {
+        const { thermal, state } = this.bulb;
+
+        this.elements.unitSelect.value = state.tempUnit;
+        this.elements.ambientInput.value = this.toDisplayUnit(thermal.ambientF);
+        this.elements.thresholdInput.value = this.toDisplayUnit(thermal.thresholdF);
+        this.elements.unitLabels.forEach(label => {
+            label.textContent = `°${state.tempUnit}`;
+        });
+
+        this.renderSummary();
+    }
+
+    renderSummary() {
+        const { thermal, state } = this.bulb;
+        const profile = this.bulb.getProfile();
+        const heatFraction = state.isOn ? state.powerDraw / profile.watts : 0;
+        const equilibrium = thermal.getEquilibrium(heatFraction, profile);
+
+        this.elements.summary.textContent = thermal.protecting ?
+            `Overheat protection active - brightness limited to ${this.bulb.getMaxBrightness()}%` :
+            `Settles at ${ThermalModel.format(equilibrium, state.tempUnit)} • ` +
+            `protection above ${ThermalModel.format(thermal.thresholdF, state.tempUnit)}`;
+        this.elements.summary.classList.toggle('warning', thermal.protecting);
+    }
+}
+
+window.ThermalModel = ThermalModel;
+window.ThermalPanel = ThermalPanel;
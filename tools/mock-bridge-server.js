@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Mock Device Bridge Server
+ * Dependency-free WebSocket broker for testing the page's device bridge:
+ * every JSON frame a client sends is logged and forwarded to all other
+ * clients, and lines typed on stdin are published to every client.
+ *
+ *   node tools/mock-bridge-server.js [port]
+ *
+ * Then connect the page to ws://localhost:<port> and type, for example:
+ *   home/bulb/main/set {"power":"on","brightness":80}
+ *   home/bulb/main/set {"color":{"kelvin":5000}}
+ *   home/bulb/main/set {"scene":"Movie"}
+ *   home/bulb/main/get
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const PORT = parseInt(process.argv[2], 10) || 8080;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+const clients = new Set();
+
+// Server frames are never masked; lengths use the 7 / 16 / 64-bit forms
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// Returns { frame, rest } once a whole frame is buffered, otherwise null
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    if (mask) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return {
+        frame: { fin, opcode, payload },
+        rest: buffer.subarray(offset + maskLength + length)
+    };
+}
+
+function send(client, text) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+    }
+}
+
+function broadcast(text, except = null) {
+    clients.forEach(client => {
+        if (client !== except) send(client, text);
+    });
+}
+
+function handleText(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.log(`[${client.id}] ignored non-JSON frame: ${text}`);
+        return;
+    }
+    if (message === null || typeof message !== 'object') {
+        console.log(`[${client.id}] ignored frame that is not a JSON object: ${text}`);
+        return;
+    }
+
+    console.log(`[${client.id}] ${message.topic} ${JSON.stringify(message.payload)}`);
+    broadcast(text, client);
+}
+
+function handleConnection(socket, id) {
+    const client = { id, socket, buffer: Buffer.alloc(0), fragments: [] };
+    clients.add(client);
+    console.log(`[${id}] connected (${clients.size} client${clients.size === 1 ? '' : 's'})`);
+
+    socket.on('data', (chunk) => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+
+        let decoded;
+        while ((decoded = decodeFrame(client.buffer))) {
+            client.buffer = decoded.rest;
+            const { fin, opcode, payload } = decoded.frame;
+
+            if (opcode === OPCODES.ping) {
+                socket.write(encodeFrame(OPCODES.pong, payload));
+            } else if (opcode === OPCODES.close) {
+                socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+                return;
+            } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+                // Reassemble fragmented messages
+                client.fragments.push(payload);
+                if (fin) {
+                    handleText(client, Buffer.concat(client.fragments).toString('utf8'));
+                    client.fragments = [];
+                }
+            }
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(client);
+        console.log(`[${id}] disconnected`);
+    });
+
+    socket.on('error', (error) => {
+        console.log(`[${id}] socket error: ${error.message}`);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This endpoint only speaks WebSocket\n');
+});
+
+let nextId = 1;
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    handleConnection(socket, `client-${nextId++}`);
+});
+
+// "<topic> [json]" on stdin is published to every client
+const input = readline.createInterface({ input: process.stdin });
+input.on('line', (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const space = trimmed.indexOf(' ');
+    const topic = space === -1 ? trimmed : trimmed.slice(0, space);
+    let payload = {};
+
+    if (space !== -1) {
+        try {
+            payload = JSON.parse(trimmed.slice(space + 1));
+        } catch (error) {
+            console.log(`Payload must be JSON: ${error.message}`);
+            return;
+        }
+    }
+
+    broadcast(JSON.stringify({ topic, payload }));
+    console.log(`[stdin] ${topic} ${JSON.stringify(payload)} -> ${clients.size} client(s)`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock bridge listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,311 @@
+/**
+ * URL State & Deep Links
+ * The lighting state as a link: #power=on&brightness=35&temp=2700 (or the
+ * same in the query string). Links are applied on load through the bulb's
+ * usual turnOn() / setBrightness() / setColorTemperature() paths, so they are
+ * announced and logged like any other change. With mirroring on, changes made
+ * at the page are written back to the address bar as history entries that
+ * back / forward step through, and the rest keep the current entry up to date
+ */
+
+const URL_STATE_STORAGE_KEY = 'ledBulbUrlMirror';
+
+// Changes this close together (a slider drag, a scene crossfade) share one history entry
+const URL_STATE_COALESCE_MS = 1000;
+
+// Changes made by someone at this page get their own history entry; automation
+// and other tabs replace the current one, at most once per URL_STATE_COALESCE_MS
+// so a running program doesn't flood the history API
+const URL_STATE_PUSH_SOURCES = [
+    'switch', 'button', 'slider', 'control', 'keyboard', 'voice', 'scene', 'room', 'launch', 'api'
+];
+
+// Changes never mirrored: the ones that came from the address itself
+const URL_STATE_SKIP_SOURCES = ['link', 'navigation'];
+
+// Friendlier spellings for temp=
+const URL_STATE_WHITES = {
+    warm: 2700,
+    neutral: 4000,
+    cool: 5000,
+    daylight: 6500
+};
+
+// parse() returns any of these it finds valid, or null when the link sets nothing:
+//   { isOn, brightness, colorMode, colorTemperature, color, scene }
+const UrlState = {
+    // Query first, then the hash, which wins where both set a value
+    read(location) {
+        const params = new URLSearchParams(location.search);
+        new URLSearchParams(location.hash.replace(/^#/, '')).forEach((value, key) => {
+            params.set(key, value);
+        });
+        return UrlState.parse(params);
+    },
+
+    parse(params) {
+        const target = {};
+
+        const power = params.get('power');
+        if (power === 'on' || power === 'off') target.isOn = power === 'on';
+
+        const brightness = parseInt(params.get('brightness'), 10);
+        if (Number.isFinite(brightness)) target.brightness = Math.max(0, Math.min(100, brightness));
+
+        const color = ColorUtils.hexToRgb(params.get('color'));
+        const temp = params.get('temp');
+        const kelvin = URL_STATE_WHITES[temp] || parseInt(temp, 10);
+        if (color) {
+            target.colorMode = 'rgb';
+            target.color = ColorUtils.rgbToHex(color);
+        } else if (Number.isFinite(kelvin)) {
+            target.colorMode = 'white';
+            target.colorTemperature = Math.max(COLOR_TEMP_MIN, Math.min(COLOR_TEMP_MAX, kelvin));
+        }
+
+        if (params.get('scene')) target.scene = params.get('scene');
+
+        return Object.keys(target).length > 0 ? target : null;
+    },
+
+    // Without a leading '#' or '?'
+    serialize(state, sceneId = null) {
+        const params = new URLSearchParams();
+        params.set('power', state.isOn ? 'on' : 'off');
+        params.set('brightness', String(state.brightness));
+        if (state.colorMode === 'rgb') {
+            params.set('color', state.color.replace(/^#/, '').toLowerCase());
+        } else {
+            params.set('temp', String(state.colorTemperature));
+        }
+        if (sceneId) params.set('scene', sceneId);
+
+        return params.toString();
+    }
+};
+
+class UrlStatePanel {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.scenes = options.scenes || null;
+        this.location = options.location || window.location;
+        this.history = options.history || window.history;
+        this.storageKey = options.storageKey || URL_STATE_STORAGE_KEY;
+
+        this.mirror = false;
+        this.lastMirrorAt = 0;
+        this.replaceTimeout = null;
+        this.unsubscribers = [];
+
+        this.handlePopState = () => this.applyLocation('navigation');
+
+        // A reload reads the address back as a link, so it must not be behind the light
+        this.handlePageHide = () => this.flushReplace();
+    }
+
+    init() {
+        this.loadMirror();
+        this.cacheElements();
+        this.setupEventListeners();
+
+        this.applyLocation('link');
+        if (this.mirror) this.writeLocation(false);
+        this.render();
+
+        this.unsubscribers.push(this.bulb.on('change', (detail) => this.handleChange(detail)));
+        window.addEventListener('popstate', this.handlePopState);
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    loadMirror() {
+        try {
+            this.mirror = localStorage.getItem(this.storageKey) === 'true';
+        } catch (error) {
+            console.warn('Could not load link settings:', error);
+        }
+    }
+
+    saveMirror() {
+        try {
+            localStorage.setItem(this.storageKey, String(this.mirror));
+        } catch (error) {
+            console.warn('Could not save link settings:', error);
+        }
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            mirrorInput: find('url-mirror'),
+            linkInput: find('share-link'),
+            copyBtn: find('copy-link-btn')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.mirrorInput.addEventListener('change', (e) => {
+            this.setMirror(e.target.checked);
+        });
+
+        this.elements.copyBtn.addEventListener('click', () => this.copyLink());
+
+        // Clicking the link selects all of it for a manual copy
+        this.elements.linkInput.addEventListener('focus', (e) => e.target.select());
+    }
+
+    // Returns the applied target, or null when the URL holds no state
+    applyLocation(source) {
+        const target = UrlState.read(this.location);
+        if (!target) return null;
+
+        this.apply(target, source);
+        return target;
+    }
+
+    apply(target, source) {
+        const { bulb } = this;
+
+        bulb.withSource(source, () => {
+            // Scenes live in each browser, so a link falls back to its explicit values
+            const scene = target.scene && this.scenes ? this.scenes.getScene(target.scene) : null;
+            if (scene) {
+                this.scenes.applyScene(scene.id);
+                return;
+            }
+
+            if (target.colorMode === 'rgb') {
+                bulb.setColor(target.color);
+            } else if (target.colorMode === 'white') {
+                bulb.setColorTemperature(target.colorTemperature);
+            }
+
+            // Power on first, or the switch-on minimum would override a low level;
+            // power off last, or a bright level would switch the light back on
+            if (target.isOn === true) bulb.turnOn();
+            if (target.brightness !== undefined) bulb.setBrightness(target.brightness);
+            if (target.isOn === false) bulb.turnOff();
+        });
+    }
+
+    handleChange({ source, timestamp }) {
+        this.renderLink();
+        if (!this.mirror || URL_STATE_SKIP_SOURCES.includes(source)) return;
+
+        if (!URL_STATE_PUSH_SOURCES.includes(source)) {
+            this.scheduleReplace();
+            return;
+        }
+
+        // This write covers anything still waiting to replace the entry
+        this.cancelReplace();
+        const coalesce = timestamp - this.lastMirrorAt < URL_STATE_COALESCE_MS;
+        if (this.writeLocation(!coalesce)) {
+            this.lastMirrorAt = timestamp;
+        }
+    }
+
+    // The entry catches up with the latest state once the wait is over
+    scheduleReplace() {
+        if (this.replaceTimeout) return;
+        this.replaceTimeout = setTimeout(() => this.flushReplace(), URL_STATE_COALESCE_MS);
+    }
+
+    flushReplace() {
+        if (!this.replaceTimeout) return;
+        this.cancelReplace();
+        if (this.mirror) this.writeLocation(false);
+    }
+
+    cancelReplace() {
+        clearTimeout(this.replaceTimeout);
+        this.replaceTimeout = null;
+    }
+
+    getHash() {
+        const scene = this.scenes ? this.scenes.getActiveScene() : null;
+        return UrlState.serialize(this.bulb.state, scene ? scene.id : null);
+    }
+
+    // The current address with the state in its hash; returns whether it changed
+    writeLocation(push) {
+        const { pathname, search } = this.location;
+        const hash = `#${this.getHash()}`;
+        if (hash === this.location.hash) return false;
+
+        const url = `${pathname}${search}${hash}`;
+        if (push) {
+            this.history.pushState(this.history.state, '', url);
+        } else {
+            this.history.replaceState(this.history.state, '', url);
+        }
+        return true;
+    }
+
+    getShareLink() {
+        const url = new URL(this.location.href);
+        url.search = '';
+        url.hash = this.getHash();
+        return url.href;
+    }
+
+    copyLink() {
+        const link = this.getShareLink();
+        this.elements.linkInput.value = link;
+
+        const clipboard = navigator.clipboard;
+        if (!clipboard || !clipboard.writeText) {
+            this.elements.linkInput.focus();
+            this.announce('Link selected - press Ctrl+C to copy it');
+            return Promise.resolve(false);
+        }
+
+        return clipboard.writeText(link).then(() => {
+            this.announce('Link copied');
+            return true;
+        }).catch(error => {
+            console.warn('Could not copy link:', error);
+            this.elements.linkInput.focus();
+            this.announce('Link selected - press Ctrl+C to copy it');
+            return false;
+        });
+    }
+
+    setMirror(enabled) {
+        this.mirror = enabled;
+        this.saveMirror();
+        if (enabled) this.writeLocation(false);
+        this.render();
+        this.announce(enabled ? 'Address bar follows the light' : 'Address bar no longer follows the light');
+    }
+
+    render() {
+        this.elements.mirrorInput.checked = this.mirror;
+        this.renderLink();
+    }
+
+    renderLink() {
+        this.elements.linkInput.value = this.getShareLink();
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+
+    destroy() {
+        this.cancelReplace();
+        window.removeEventListener('popstate', this.handlePopState);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+window.UrlState = UrlState;
+window.UrlStatePanel = UrlStatePanel;
@@ -0,0 +1,304 @@
+/**
+ * Voice Control
+ * Hands-free control through the Web Speech API. Recognized phrases go
+ * through VoiceCommands.parse - a pure text-to-command parser that needs no
+ * microphone - and then onto the bulb's usual togglePower() / setBrightness()
+ * and scene paths, with the result confirmed in the aria-announcement region
+ */
+
+const VOICE_STEP = 10; // brightness points for "brighter" / "dimmer"
+
+const VOICE_NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// Each parse returns one of these, or null when the phrase isn't understood:
+//   { type: 'power', value: 'on' | 'off' | 'toggle' }
+//   { type: 'brightness', value: 0-100 }
+//   { type: 'brightness-step', value: +/- points }
+//   { type: 'scene', value: scene name as spoken }
+const VoiceCommands = {
+    // Lowercase words only; '30%' keeps its digits and hyphenated numbers split
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/%/g, ' percent')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    // First number in the phrase: '30', 'thirty', 'twenty five', 'a hundred'
+    findNumber(text) {
+        const digits = /\b(\d{1,3})\b/.exec(text);
+        if (digits) return Number(digits[1]);
+
+        let value = null;
+        const words = text.split(' ');
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            if (word in VOICE_NUMBER_WORDS) {
+                value = (value || 0) + VOICE_NUMBER_WORDS[word];
+            } else if (word === 'hundred') {
+                value = (value || 1) * 100;
+            } else if (word === 'a' && words[i + 1] === 'hundred') {
+                continue;
+            } else if (value !== null) {
+                break;
+            }
+        }
+        return value;
+    },
+
+    parse(text) {
+        const phrase = VoiceCommands.normalize(text);
+        if (!phrase) return null;
+
+        // Scene names are free text, so they are matched before anything else
+        const scene = /\bscene (?:to )?(.+)$/.exec(phrase) || /^(?:set |apply |activate )?(?:the )?(.+) scene$/.exec(phrase);
+        if (scene) {
+            return { type: 'scene', value: scene[1] };
+        }
+
+        if (/\b(full|max|maximum) brightness\b|\bas bright as\b/.test(phrase)) {
+            return { type: 'brightness', value: 100 };
+        }
+        if (/\b(min|minimum|lowest) brightness\b/.test(phrase)) {
+            return { type: 'brightness', value: 0 };
+        }
+
+        const number = VoiceCommands.findNumber(phrase);
+        if (number !== null && /\b(dim|set|brightness|bright|brighten|percent|to)\b/.test(phrase)) {
+            return { type: 'brightness', value: Math.max(0, Math.min(100, number)) };
+        }
+
+        if (/\btoggle\b/.test(phrase)) {
+            return { type: 'power', value: 'toggle' };
+        }
+        const power = /\b(?:turn|switch|power|lights?|lamp|bulb)\b.*\b(on|off)\b/.exec(phrase) ||
+            /^(on|off)$/.exec(phrase);
+        if (power) {
+            return { type: 'power', value: power[1] };
+        }
+
+        if (/\b(brighter|brighten|up|more light)\b/.test(phrase)) {
+            return { type: 'brightness-step', value: VOICE_STEP };
+        }
+        if (/\b(dimmer|dim|darker|down|less light)\b/.test(phrase)) {
+            return { type: 'brightness-step', value: -VOICE_STEP };
+        }
+
+        return null;
+    }
+};
+
+class VoiceControl {
+    constructor(bulb, options = {}) {
+        this.bulb = bulb;
+        this.root = options.root || bulb.root;
+        this.scenes = options.scenes || null;
+        this.Recognition = options.Recognition || window.SpeechRecognition || window.webkitSpeechRecognition || null;
+        this.lang = options.lang || 'en-US';
+
+        this.recognition = null;
+        this.listening = false; // the user asked to listen
+        this.status = this.Recognition ? 'idle' : 'unsupported';
+    }
+
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    cacheElements() {
+        const find = (role) => this.root.querySelector(`[data-role="${role}"]`);
+
+        this.elements = {
+            micBtn: find('voice-btn'),
+            status: find('voice-status'),
+            transcript: find('voice-transcript')
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.micBtn.addEventListener('click', () => {
+            if (this.listening) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+    }
+
+    start() {
+        if (!this.Recognition) {
+            this.announce('Voice control is not supported in this browser');
+            return;
+        }
+
+        const recognition = new this.Recognition();
+        recognition.lang = this.lang;
+        recognition.continuous = true;
+        recognition.interimResults = true;
+
+        recognition.onresult = (e) => this.handleResult(e);
+        recognition.onerror = (e) => {
+            // Silence is normal; a blocked microphone is not worth retrying
+            if (e.error === 'not-allowed' || e.error === 'service-not-allowed') {
+                this.listening = false;
+                this.setStatus('blocked');
+            }
+        };
+        recognition.onend = () => {
+            // Browsers end recognition after a pause; keep listening until turned off
+            if (this.listening && this.recognition === recognition) {
+                try {
+                    recognition.start();
+                    return;
+                } catch (error) {
+                    console.warn('Could not restart voice recognition:', error);
+                    this.listening = false;
+                }
+            }
+            if (this.status !== 'blocked') this.setStatus('idle');
+        };
+
+        this.recognition = recognition;
+        this.listening = true;
+        try {
+            recognition.start();
+        } catch (error) {
+            console.warn('Could not start voice recognition:', error);
+            this.listening = false;
+            this.setStatus('idle');
+            return;
+        }
+
+        this.setStatus('listening');
+        this.announce('Listening for voice commands');
+    }
+
+    stop() {
+        this.listening = false;
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+        this.setStatus('idle');
+    }
+
+    handleResult(e) {
+        for (let i = e.resultIndex; i < e.results.length; i++) {
+            const result = e.results[i];
+            const text = result[0].transcript.trim();
+
+            if (result.isFinal) {
+                this.handleTranscript(text);
+            } else {
+                this.showTranscript(text, true);
+            }
+        }
+    }
+
+    // Also the way to drive voice control from text, e.g. in a demo without a microphone
+    handleTranscript(text) {
+        this.showTranscript(text, false);
+
+        const command = VoiceCommands.parse(text);
+        if (!command) {
+            this.announce(`Sorry, I didn't understand "${text}"`);
+            return null;
+        }
+
+        const confirmation = this.execute(command);
+        this.announce(confirmation);
+        return command;
+    }
+
+    execute(command) {
+        const { bulb } = this;
+        let message = '';
+
+        bulb.withSource('voice', () => {
+            switch (command.type) {
+                case 'power': {
+                    const turnOn = command.value === 'toggle' ? !bulb.state.isOn : command.value === 'on';
+                    if (turnOn !== bulb.state.isOn) bulb.togglePower();
+                    message = bulb.state.isOn ? 'Light on' : 'Light off';
+                    break;
+                }
+                case 'brightness':
+                    bulb.setBrightness(command.value);
+                    message = `Brightness ${bulb.state.brightness}%`;
+                    break;
+                case 'brightness-step':
+                    bulb.setBrightness(bulb.state.brightness + command.value);
+                    message = `Brightness ${bulb.state.brightness}%`;
+                    break;
+                case 'scene': {
+                    const scene = this.findScene(command.value);
+                    if (scene) {
+                        this.scenes.applyScene(scene.id);
+                        message = `Scene ${scene.name}`;
+                    } else {
+                        message = `No scene called "${command.value}"`;
+                    }
+                    break;
+                }
+            }
+        });
+
+        return message;
+    }
+
+    // Spoken names are matched loosely: case and punctuation don't matter
+    findScene(name) {
+        if (!this.scenes) return null;
+
+        const spoken = VoiceCommands.normalize(name);
+        return this.scenes.getScenes().find(scene => VoiceCommands.normalize(scene.name) === spoken) || null;
+    }
+
+    showTranscript(text, interim) {
+        this.elements.transcript.textContent = `“${text}”`;
+        this.elements.transcript.classList.toggle('interim', interim);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.render();
+    }
+
+    render() {
+        const labels = {
+            idle: 'Microphone off',
+            listening: 'Listening…',
+            blocked: 'Microphone access was blocked',
+            unsupported: 'Not supported in this browser'
+        };
+        const { micBtn, status } = this.elements;
+
+        status.textContent = labels[this.status];
+        micBtn.disabled = this.status === 'unsupported';
+        micBtn.classList.toggle('active', this.listening);
+        micBtn.setAttribute('aria-pressed', String(this.listening));
+        micBtn.innerHTML = this.listening ?
+            '<i class="fas fa-microphone-slash"></i><span>Stop Listening</span>' :
+            '<i class="fas fa-microphone"></i><span>Start Listening</span>';
+    }
+
+    announce(message) {
+        const region = this.bulb.elements.ariaAnnouncement;
+        region.textContent = message;
+
+        setTimeout(() => {
+            region.textContent = '';
+        }, 1000);
+    }
+}
+
+window.VoiceCommands = VoiceCommands;
+window.VoiceControl = VoiceControl;